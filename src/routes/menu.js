@@ -3,7 +3,8 @@ import multer from "multer";
 import rateLimit from "express-rate-limit";
 
 import { extractMenuTextFromImageBuffer } from "../services/openaiVision.js";
-import { scoreMenuLine } from "../services/scoring.js";
+import { extractMenuFromHtml } from "../services/menuHtml.js";
+import { isPublicHttpUrl, hostIsPublic } from "../services/netGuard.js";
 
 const router = express.Router();
 
@@ -29,6 +30,63 @@ function isHttpUrl(v) {
   }
 }
 
+// Menu pages are fetched on the caller's behalf: every hop must be a public host, and the
+// body is capped (MENU_PAGE_MAX_BYTES, default 3 MB) before it reaches the HTML parser.
+const MENU_PAGE_MAX_BYTES = Math.max(64 * 1024, Number(process.env.MENU_PAGE_MAX_BYTES) || 3 * 1024 * 1024);
+const MAX_REDIRECTS = 5;
+
+function blockedUrlError(url) {
+  const err = new Error(`Refusing to fetch non-public url: ${url}`);
+  err.status = 400;
+  err.code = "url_not_allowed";
+  return err;
+}
+
+async function readBodyCapped(res, maxBytes) {
+  const declared = Number(res.headers.get("content-length") || 0);
+  if (declared > maxBytes) {
+    res.body?.cancel().catch(() => {});
+    const err = new Error(`Page is larger than ${maxBytes} bytes`);
+    err.status = 413;
+    err.code = "page_too_large";
+    throw err;
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res.body || []) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      const err = new Error(`Page is larger than ${maxBytes} bytes`);
+      err.status = 413;
+      err.code = "page_too_large";
+      throw err;
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+// One GET that follows redirects by hand, re-checking each Location
+async function fetchPublic(url, options) {
+  let current = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    if (!isPublicHttpUrl(current) || !(await hostIsPublic(current))) throw blockedUrlError(current);
+
+    const res = await fetch(current, { ...options, redirect: "manual" });
+    const location = res.headers.get("location");
+    if (res.status >= 300 && res.status < 400 && location) {
+      res.body?.cancel().catch(() => {});
+      current = new URL(location, current).toString();
+      continue;
+    }
+    return { res, finalUrl: current };
+  }
+  const err = new Error("Too many redirects");
+  err.status = 502;
+  throw err;
+}
+
 async function fetchPageHtml(url, timeoutMs = 15000) {
   const controller = new AbortController();
   const t = setTimeout(() => controller.abort(), timeoutMs);
@@ -44,22 +102,18 @@ async function fetchPageHtml(url, timeoutMs = 15000) {
   };
 
   try {
-    let res = await fetch(url, {
-      headers,
-      redirect: "follow",
-      signal: controller.signal,
-    });
+    let { res, finalUrl } = await fetchPublic(url, { headers, signal: controller.signal });
 
     if (res.status === 403) {
+      res.body?.cancel().catch(() => {});
       const origin = new URL(url).origin;
-      res = await fetch(url, {
+      ({ res, finalUrl } = await fetchPublic(url, {
         headers: { ...headers, Referer: `${origin}/` },
-        redirect: "follow",
         signal: controller.signal,
-      });
+      }));
     }
 
-    const body = await res.text();
+    const body = await readBodyCapped(res, MENU_PAGE_MAX_BYTES);
 
     if (!res.ok) {
       const err = new Error(`Failed to fetch url (${res.status})`);
@@ -68,7 +122,7 @@ async function fetchPageHtml(url, timeoutMs = 15000) {
       throw err;
     }
 
-    return { html: body, finalUrl: res.url };
+    return { html: body, finalUrl };
   } finally {
     clearTimeout(t);
   }
@@ -83,50 +137,20 @@ function normalizeLines(text) {
     .filter((s) => s.length >= 2 && s.length <= 120);
 }
 
-function htmlToLines(html) {
-  // remove script/style
-  let cleaned = String(html || "")
-    .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, " ")
-    .replace(/<style\b[^<]*(?:(?!<\/style>)<[^<]*)*<\/style>/gi, " ")
-    .replace(/<!--[\s\S]*?-->/g, " ")
-    .replace(/<\/(p|div|li|h1|h2|h3|h4|tr|br)\s*>/gi, "\n")
-    .replace(/<br\s*\/?>/gi, "\n")
-    .replace(/<[^>]+>/g, " ");
-
-  cleaned = cleaned
-    .replace(/&nbsp;/g, " ")
-    .replace(/&amp;/g, "&")
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'");
-
-  return normalizeLines(cleaned);
-}
-
-function rateItems(items, profile) {
-  return items.slice(0, 200).map((name) => {
-    const scored = scoreMenuLine(name, profile);
-    const score = typeof scored?.score === "number" ? scored.score : 70;
-    const verdict =
-      scored?.verdict || (score >= 80 ? "FIT" : score >= 60 ? "MODERATE" : "AVOID");
-    const reasons = scored?.reasons || scored?.tags || ["Heuristic rating (MVP)."];
-
-    return {
-      name,
-      verdict,
-      score,
-      reasons: Array.isArray(reasons) ? reasons : [String(reasons)],
-    };
-  });
-}
-
 // ---------- routes ----------
 
 /**
  * POST /api/menu/extract
  * body: { url }
+ * returns: { url, finalUrl, method, sections: [{ name, items: [{ name, description, price }] }], fallback }
+ *
+ * method is "jsonld" | "microdata" | "heuristic" (see services/menuHtml.js). When the page's
+ * JSON-LD only links to its menu (hasMenu: "<url>"), that page is fetched once instead.
  *
  * IMPORTANT:
  * - If blocked (403) we return HTTP 200 + { fallback:"upload" } so UI can switch to OCR.
+ * - Private / loopback / metadata hosts (directly or via a redirect) -> 400 url_not_allowed;
+ *   pages over MENU_PAGE_MAX_BYTES -> 413 page_too_large.
  */
 router.post("/extract", async (req, res) => {
   res.set("X-Voravia-Menu", "v2"); // helps confirm you’re running this file
@@ -137,16 +161,31 @@ router.post("/extract", async (req, res) => {
       return res.status(400).json({ error: "missing_or_invalid_url" });
     }
 
-    const { html, finalUrl } = await fetchPageHtml(url);
-
-    const lines = htmlToLines(html);
-    const items = lines.slice(0, 120).map((x) => ({ name: x }));
+    let { html, finalUrl } = await fetchPageHtml(url);
+    let extracted = extractMenuFromHtml(html);
+
+    if (extracted.method !== "jsonld" && extracted.menuUrl) {
+      const menuUrl = new URL(extracted.menuUrl, finalUrl || url).toString();
+      if (isHttpUrl(menuUrl) && menuUrl !== finalUrl) {
+        try {
+          const linked = await fetchPageHtml(menuUrl);
+          const fromLinked = extractMenuFromHtml(linked.html);
+          if (fromLinked.itemCount > extracted.itemCount) {
+            extracted = fromLinked;
+            finalUrl = linked.finalUrl;
+          }
+        } catch {
+          // keep what the first page gave us
+        }
+      }
+    }
 
-    // If menu is JS-rendered, you may get very few usable lines:
-    if (items.length < 8) {
+    // If menu is JS-rendered (or has no recognizable structure), you may get very few items:
+    if (extracted.itemCount < 3) {
       return res.json({
         url,
         finalUrl,
+        method: extracted.method,
         sections: [],
         fallback: "upload",
         message:
@@ -157,7 +196,9 @@ router.post("/extract", async (req, res) => {
     return res.json({
       url,
       finalUrl,
-      sections: [{ name: "Menu", items }],
+      method: extracted.method,
+      itemCount: extracted.itemCount,
+      sections: extracted.sections,
       fallback: null,
     });
   } catch (e) {
@@ -170,6 +211,10 @@ router.post("/extract", async (req, res) => {
       });
     }
 
+    if (e?.code === "url_not_allowed" || e?.code === "page_too_large") {
+      return res.status(e.status).json({ error: e.code, message: e.message });
+    }
+
     return res.status(500).json({
       error: "menu_extract_error",
       message: e?.message || "extract_failed",
@@ -200,23 +245,4 @@ router.post("/ocr", ocrLimiter, upload.single("image"), async (req, res) => {
   }
 });
 
-/**
- * POST /api/menu/rate
- * body: { items: string[], profile?: {...} }
- */
-router.post("/rate", async (req, res) => {
-  res.set("X-Voravia-Menu", "v2");
-  try {
-    const { items, profile } = req.body || {};
-    if (!Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({ error: "missing_items" });
-    }
-
-    const ratedItems = rateItems(items, profile || {});
-    return res.json({ profileUsed: profile || {}, ratedItems });
-  } catch (e) {
-    return res.status(500).json({ error: "menu_rate_error", message: e?.message || "rate_failed" });
-  }
-});
-
 export default router;
@@ -0,0 +1,23 @@
+// src/scripts/importOpenFoodFacts.js
+// Usage: npm run import:off -- <path to en.openfoodfacts.org.products.csv | products.jsonl>
+// Loads packaged-food nutrition into FOOD_DB_PATH for POST /v1/barcode/lookup.
+import "dotenv/config";
+import { importOpenFoodFacts } from "../services/foodDb.js";
+
+const file = process.argv[2];
+if (!file) {
+  console.error("Usage: npm run import:off -- <openfoodfacts .csv (tab-separated) or .jsonl>");
+  process.exit(1);
+}
+
+const started = Date.now();
+importOpenFoodFacts(file, {
+  onProgress: (s) => console.log(`[off] read=${s.read} imported=${s.imported} skipped=${s.skipped}`),
+})
+  .then((s) => {
+    console.log(`✅ Open Food Facts import done in ${Math.round((Date.now() - started) / 1000)}s`, s);
+  })
+  .catch((e) => {
+    console.error("❌ import failed:", e?.message || e);
+    process.exit(1);
+  });
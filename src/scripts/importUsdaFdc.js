@@ -0,0 +1,28 @@
+// src/scripts/importUsdaFdc.js
+// Usage: npm run import:fdc -- <unzipped FoodData Central CSV dir> [data_type,data_type...]
+// Loads generic food/dish nutrition into FOOD_DB_PATH; /api/menu/rate matches dishes against it
+// before asking the model. Default data types: foundation_food, sr_legacy_food, survey_fndds_food.
+import "dotenv/config";
+import { importUsdaFdc } from "../services/foodDb.js";
+
+const dir = process.argv[2];
+if (!dir) {
+  console.error("Usage: npm run import:fdc -- <dir with food.csv + food_nutrient.csv> [data types]");
+  process.exit(1);
+}
+const dataTypes = process.argv[3]
+  ? process.argv[3].split(",").map((s) => s.trim()).filter(Boolean)
+  : undefined;
+
+const started = Date.now();
+importUsdaFdc(dir, {
+  dataTypes,
+  onProgress: (s) => console.log(`[fdc] ${JSON.stringify(s)}`),
+})
+  .then((s) => {
+    console.log(`✅ USDA FDC import done in ${Math.round((Date.now() - started) / 1000)}s`, s);
+  })
+  .catch((e) => {
+    console.error("❌ import failed:", e?.message || e);
+    process.exit(1);
+  });
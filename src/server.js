@@ -1,12 +1,12 @@
 // src/server.js – Voravia backend (MVP)
 // Adds: /v1/me (profile-aware family list), /v1/family (alias),
-//       /v1/logs (SQLite), /v1/day-summary, /v1/scans (vision)
+//       /v1/logs (SQLite), /v1/day-summary, /v1/scans (vision),
+//       /v1/auth (end-user signup/login, JWT), /v1/progress (nutrition targets)
 // Keeps: your existing /api/* routes (Places + Menu upload/rate)
 
 import express from "express";
 import cors from "cors";
 import multer from "multer";
-import OpenAI from "openai";
 import "dotenv/config";
 
 import crypto from "crypto";
@@ -15,6 +15,36 @@ import helmet from "helmet";
 import rateLimit from "express-rate-limit";
 import Database from "better-sqlite3";
 import { requireAdminSession, handleAdminLogin } from "./adminAuth.mjs";
+import { getVisionProvider } from "./services/visionProvider.js";
+import { runValidated, SCAN_SCHEMA, MENU_SCHEMA, NUTRITION_SCHEMA } from "./services/modelOutput.js";
+import { normalizeBarcode, lookupProductByBarcode, nutritionForGrams } from "./services/foodDb.js";
+import { lookupDishNutrition } from "./services/nutritionLookup.js";
+import {
+  scoreDish,
+  normalizeScoringProfile,
+  CONDITION_TOKENS,
+  DEFAULT_RULESET,
+  validateRuleset,
+  getActiveRuleset,
+  setActiveRuleset,
+} from "./services/scoring.js";
+import { ALLERGEN_TOKENS, DIET_TOKENS } from "./services/dietary.js";
+import { parsePrice, perItemAmount, splitTrailingPrice, DEFAULT_CURRENCY } from "./services/price.js";
+import { mergeMenuSections } from "./services/menuMerge.js";
+import menuRouter from "./routes/menu.js";
+import { isPublicHttpUrl, hostIsPublic } from "./services/netGuard.js";
+import {
+  normalizeEmail,
+  isValidEmail,
+  isValidPassword,
+  hashPassword,
+  checkPassword,
+  issueUserTokens,
+  verifyUserAccessToken,
+  verifyUserRefreshToken,
+  readBearerToken,
+  isDevUserHeaderAllowed,
+} from "./userAuth.mjs";
 import fs from "fs";
 import path from "path";
 
@@ -104,8 +134,7 @@ app.use(
     res.on("finish", () => {
       // Avoid logging sensitive bodies; log only metadata
       const ms = Date.now() - start;
-      //const uid = String(req.header("x-user-id") || req.query.userId || "");
-      const uid = String(req.ctx?.userId || req.header("x-user-id") || req.query.userId || "");
+      const uid = String(req.ctx?.userId || "");
 
       console.log(
         JSON.stringify({
@@ -147,8 +176,8 @@ app.use(
 
 
 
-// ---------- OpenAI Client ----------
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+// ---------- Vision / LLM provider (VISION_PROVIDER, VISION_MODEL*) ----------
+const vision = getVisionProvider();
 
 // ---------- Upload handling (in-memory) ----------
 const upload = multer({
@@ -173,6 +202,7 @@ function computeOpenAICostUsdFromUsage({ model, usage }) {
   // Source: OpenAI pricing tables (gpt-4.1-mini) :contentReference[oaicite:2]{index=2}
   const RATES_PER_1M = {
     "gpt-4.1-mini": { input: 0.80, output: 3.20 },
+    "gpt-4o-mini": { input: 0.15, output: 0.60 },
     // If you later switch to dated model IDs, you can add:
     // "gpt-4.1-mini-2025-04-14": { input: 0.80, output: 3.20 },
   };
@@ -221,20 +251,61 @@ function getSubjectUserId(req, ctx) {
   if (bSub) return bSub;
 
   // fallback = caller user
-  return String(ctx?.me?.userId || ctx?.userId || h["x-user-id"] || "").trim();
+  return String(ctx?.me?.userId || ctx?.userId || "").trim();
 }
 
 
+// Role-aware: who may create/edit/delete logs for a given member id.
+// - family owner: any family member
+// - parent: their own member + child members
+// - child: only their own member
+function canManageMemberLogs(me, memberId) {
+  const id = String(memberId || "");
+  if (!id) return false;
+
+  if (me?.mode === "family") {
+    const byId = new Map((me.family?.members || []).map((m) => [String(m.id), m]));
+    if (!byId.has(id)) return false;
+
+    const role = me.family?.role || null;
+    const selfId = String(me.family?.selfMemberId || "");
+    if (role === "owner") return true;
+    if (role === "child") return id === selfId;
+    return id === selfId || String(byId.get(id)?.memberType) === "child";
+  }
+
+  // Individual/workplace: only the active member
+  const activeId = String(me?.family?.activeMemberId || me?.userId || "u_self");
+  return id === activeId;
+}
+
+// Explains a canManageMemberLogs() denial with a stable error code
+function logPermissionCode(me) {
+  return me?.mode === "family" && me.family?.role === "child" ? "CHILD_SELF_ONLY" : "LOG_FORBIDDEN";
+}
+
 function canDeleteLog(me, logRow) {
   if (!logRow) return false;
+  return canManageMemberLogs(me, logRow.userId);
+}
+
+// Viewing stays family-wide: any family member can see the family's logs
+// Member ids whose logs/scans the caller can read (family-wide in family mode)
+function viewableMemberIds(me, uid) {
+  if (me?.mode === "family") {
+    return (me.family?.members || []).map((m) => String(m.id)).filter(Boolean);
+  }
+  return [String(me?.family?.activeMemberId || me?.userId || uid || "u_self")].filter(Boolean);
+}
+
+function canViewLog(me, logRow) {
+  if (!logRow) return false;
 
-  // Family mode: allow deleting any log belonging to a family member id
   if (me?.mode === "family") {
     const allowed = new Set((me.family?.members || []).map((m) => String(m.id)));
     return allowed.has(String(logRow.userId));
   }
 
-  // Individual/workplace: only allow deleting active member’s logs
   const activeId = String(me?.family?.activeMemberId || me?.userId || "u_self");
   return String(logRow.userId) === activeId;
 }
@@ -846,6 +917,25 @@ usageDb.exec(`
     ON family_members(familyId);
 `);
 
+// ---- family ownership + member <-> user linking ----
+function ensureFamilyLinkSchema() {
+  for (const sql of [
+    `ALTER TABLE families ADD COLUMN ownerUserId TEXT`,
+    `ALTER TABLE family_members ADD COLUMN userId TEXT`,
+  ]) {
+    try {
+      usageDb.prepare(sql).run();
+    } catch (e) {
+      // ignore "duplicate column name"
+    }
+  }
+  usageDb.exec(`
+    CREATE INDEX IF NOT EXISTS idx_family_members_userId
+      ON family_members(userId);
+  `);
+}
+ensureFamilyLinkSchema();
+
 const userUpsertStmt = usageDb.prepare(`
   INSERT INTO users(id, familyId)
   VALUES (@id, @familyId)
@@ -854,6 +944,75 @@ const userUpsertStmt = usageDb.prepare(`
 
 const userGetStmt = usageDb.prepare(`SELECT id, familyId FROM users WHERE id = ?`);
 
+// ---- users: credentials (email + bcrypt hash) for end-user auth ----
+function ensureUserAuthSchema() {
+  for (const col of [
+    "email TEXT",
+    "passwordHash TEXT",
+    "tokenVersion INTEGER NOT NULL DEFAULT 0",
+    "createdAt TEXT",
+    "updatedAt TEXT",
+  ]) {
+    try {
+      usageDb.prepare(`ALTER TABLE users ADD COLUMN ${col}`).run();
+    } catch (e) {
+      // ignore "duplicate column name"
+    }
+  }
+  usageDb.exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email
+      ON users(email) WHERE email IS NOT NULL;
+  `);
+}
+ensureUserAuthSchema();
+
+// ---- users: persisted /v1/me state (mode + active member) ----
+function ensureUserStateSchema() {
+  for (const col of ["mode TEXT", "activeMemberId TEXT", "timezone TEXT"]) {
+    try {
+      usageDb.prepare(`ALTER TABLE users ADD COLUMN ${col}`).run();
+    } catch (e) {
+      // ignore "duplicate column name"
+    }
+  }
+}
+ensureUserStateSchema();
+
+const userStateGetStmt = usageDb.prepare(`SELECT mode, activeMemberId, timezone FROM users WHERE id = ?`);
+
+const userTimezoneUpdateStmt = usageDb.prepare(`UPDATE users SET timezone = @timezone WHERE id = @id`);
+
+const userStateUpdateStmt = usageDb.prepare(`
+  UPDATE users
+  SET mode = @mode,
+      activeMemberId = @activeMemberId
+  WHERE id = @id
+`);
+
+const userGetByEmailStmt = usageDb.prepare(`
+  SELECT id, familyId, email, passwordHash, tokenVersion
+  FROM users
+  WHERE email = ?
+`);
+
+const userGetAuthStmt = usageDb.prepare(`
+  SELECT id, familyId, email, passwordHash, tokenVersion
+  FROM users
+  WHERE id = ?
+`);
+
+const userInsertWithCredentialsStmt = usageDb.prepare(`
+  INSERT INTO users(id, familyId, email, passwordHash, tokenVersion, createdAt, updatedAt)
+  VALUES (@id, NULL, @email, @passwordHash, 0, @createdAt, @updatedAt)
+`);
+
+const userBumpTokenVersionStmt = usageDb.prepare(`
+  UPDATE users
+  SET tokenVersion = tokenVersion + 1,
+      updatedAt = @updatedAt
+  WHERE id = @id
+`);
+
 const familyInsertStmt = usageDb.prepare(`
   INSERT INTO families(id, name, createdAt, updatedAt)
   VALUES (@id, @name, @createdAt, @updatedAt)
@@ -863,7 +1022,7 @@ const familyGetStmt = usageDb.prepare(`SELECT id, name FROM families WHERE id =
 const familyDeleteStmt = usageDb.prepare(`DELETE FROM families WHERE id = ?`);
 
 const membersListStmt = usageDb.prepare(`
-  SELECT id, familyId, name, memberType, insuranceId, corporateId, createdAt, updatedAt
+  SELECT id, familyId, name, memberType, insuranceId, corporateId, userId, createdAt, updatedAt
   FROM family_members
   WHERE familyId = ?
   ORDER BY createdAt ASC
@@ -871,7 +1030,7 @@ const membersListStmt = usageDb.prepare(`
 
 
 const memberGetStmt = usageDb.prepare(`
-  SELECT id, familyId, name, memberType, insuranceId, corporateId, createdAt, updatedAt
+  SELECT id, familyId, name, memberType, insuranceId, corporateId, userId, createdAt, updatedAt
   FROM family_members
   WHERE id = ?
 `);
@@ -901,6 +1060,123 @@ const memberCountStmt = usageDb.prepare(`
   WHERE familyId = ?
 `);
 
+const familyOwnerGetStmt = usageDb.prepare(`SELECT ownerUserId FROM families WHERE id = ?`);
+
+const familySetOwnerStmt = usageDb.prepare(`UPDATE families SET ownerUserId = @ownerUserId WHERE id = @id`);
+
+const memberLinkUserStmt = usageDb.prepare(`
+  UPDATE family_members
+  SET userId = @userId,
+      updatedAt = @updatedAt
+  WHERE id = @id
+`);
+
+const memberGetByUserStmt = usageDb.prepare(`
+  SELECT id, familyId, name, memberType, userId
+  FROM family_members
+  WHERE familyId = @familyId AND userId = @userId
+  LIMIT 1
+`);
+
+// ============================================================================
+//  FAMILY INVITES (SQLite) - short codes with TTL, max uses, optional approval
+// ============================================================================
+
+usageDb.exec(`
+  CREATE TABLE IF NOT EXISTS family_invites (
+    code TEXT PRIMARY KEY,
+    familyId TEXT NOT NULL,
+    createdByUserId TEXT NOT NULL,
+    memberType TEXT NOT NULL,
+    memberId TEXT,              -- optional: link joiner to this existing member record
+    maxUses INTEGER NOT NULL,
+    uses INTEGER NOT NULL DEFAULT 0,
+    requiresApproval INTEGER NOT NULL DEFAULT 0,
+    expiresAt TEXT NOT NULL,
+    revokedAt TEXT,
+    createdAt TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_family_invites_familyId
+    ON family_invites(familyId);
+
+  CREATE TABLE IF NOT EXISTS family_join_requests (
+    id TEXT PRIMARY KEY,
+    inviteCode TEXT NOT NULL,
+    familyId TEXT NOT NULL,
+    userId TEXT NOT NULL,
+    name TEXT NOT NULL,
+    status TEXT NOT NULL,       -- 'pending' | 'approved' | 'rejected'
+    memberId TEXT,
+    createdAt TEXT NOT NULL,
+    decidedAt TEXT,
+    decidedByUserId TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_family_join_requests_family_status
+    ON family_join_requests(familyId, status);
+`);
+
+const inviteInsertStmt = usageDb.prepare(`
+  INSERT INTO family_invites
+  (code, familyId, createdByUserId, memberType, memberId, maxUses, uses, requiresApproval, expiresAt, revokedAt, createdAt)
+  VALUES
+  (@code, @familyId, @createdByUserId, @memberType, @memberId, @maxUses, 0, @requiresApproval, @expiresAt, NULL, @createdAt)
+`);
+
+const inviteGetStmt = usageDb.prepare(`SELECT * FROM family_invites WHERE code = ?`);
+
+const invitesListStmt = usageDb.prepare(`
+  SELECT *
+  FROM family_invites
+  WHERE familyId = ?
+  ORDER BY createdAt DESC
+`);
+
+const inviteRevokeStmt = usageDb.prepare(`
+  UPDATE family_invites
+  SET revokedAt = @revokedAt
+  WHERE code = @code AND revokedAt IS NULL
+`);
+
+const inviteAddUsesStmt = usageDb.prepare(`
+  UPDATE family_invites
+  SET uses = MAX(0, uses + @delta)
+  WHERE code = @code
+`);
+
+const joinRequestInsertStmt = usageDb.prepare(`
+  INSERT INTO family_join_requests
+  (id, inviteCode, familyId, userId, name, status, memberId, createdAt, decidedAt, decidedByUserId)
+  VALUES
+  (@id, @inviteCode, @familyId, @userId, @name, 'pending', NULL, @createdAt, NULL, NULL)
+`);
+
+const joinRequestGetStmt = usageDb.prepare(`SELECT * FROM family_join_requests WHERE id = ?`);
+
+const joinRequestPendingForUserStmt = usageDb.prepare(`
+  SELECT *
+  FROM family_join_requests
+  WHERE familyId = @familyId AND userId = @userId AND status = 'pending'
+  LIMIT 1
+`);
+
+const joinRequestsListStmt = usageDb.prepare(`
+  SELECT *
+  FROM family_join_requests
+  WHERE familyId = @familyId AND (@status = 'all' OR status = @status)
+  ORDER BY createdAt DESC
+`);
+
+const joinRequestDecideStmt = usageDb.prepare(`
+  UPDATE family_join_requests
+  SET status = @status,
+      memberId = @memberId,
+      decidedAt = @decidedAt,
+      decidedByUserId = @decidedByUserId
+  WHERE id = @id AND status = 'pending'
+`);
+
 function nowIso() {
   return new Date().toISOString();
 }
@@ -913,6 +1189,29 @@ function makeMemberId() {
   return `mem_${Date.now().toString(36)}_${Math.random().toString(16).slice(2)}`;
 }
 
+// 8 chars from an unambiguous alphabet (no 0/O/1/I/L), shown as XXXX-XXXX
+const INVITE_CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+function makeInviteCode() {
+  let raw = "";
+  for (let i = 0; i < 8; i++) raw += INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)];
+  return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+}
+
+function normalizeInviteCode(x) {
+  const raw = String(x || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  if (raw.length !== 8) return "";
+  return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+}
+
+function makeJoinRequestId() {
+  return `jr_${Date.now().toString(36)}_${Math.random().toString(16).slice(2)}`;
+}
+
+function makeUserId() {
+  return `usr_${Date.now().toString(36)}_${Math.random().toString(16).slice(2)}`;
+}
+
 function normalizeMemberType(x) {
   const v = String(x || "").toLowerCase().trim();
   if (v === "parent" || v === "child" || v === "individual") return v;
@@ -1236,62 +1535,191 @@ function emitUsageEvent(req, evt) {
 // ---------------------------------------------------------------------------
 //  Request Context (Identity + Scope) - minimal compliance risk
 // ---------------------------------------------------------------------------
-// We keep your MVP identity method (x-user-id / query userId) but centralize it.
-// Later you can replace this with real auth without touching route handlers.
-app.use((req, _res, next) => {
+// req.ctx.userId is derived ONLY from a verified access token (Authorization: Bearer).
+// Dev-only: ALLOW_DEV_USER_HEADER=true keeps the old x-user-id / ?userId= path for local tooling.
+if (isDevUserHeaderAllowed()) {
+  console.warn("⚠️  ALLOW_DEV_USER_HEADER is on: x-user-id is trusted without auth (dev only)");
+}
+
+app.use((req, res, next) => {
   req.ctx = req.ctx || {};
-  req.ctx.userId = String(req.header("x-user-id") || req.query.userId || "u_head").trim();
+  req.ctx.userId = "";
+
+  // /admin/* carries an admin session token (adminAuth.mjs), never a user access token
+  if (req.path.startsWith("/admin/")) return next();
+
+  const token = readBearerToken(req);
+  if (token) {
+    try {
+      const decoded = verifyUserAccessToken(token);
+      req.ctx.userId = String(decoded.sub);
+      req.ctx.authMethod = "jwt";
+    } catch {
+      return res.status(401).json({ error: "invalid_or_expired_token" });
+    }
+    return next();
+  }
+
+  if (isDevUserHeaderAllowed()) {
+    req.ctx.userId = String(req.header("x-user-id") || req.query.userId || "u_head").trim();
+    req.ctx.authMethod = "dev_header";
+  }
+
   next();
 });
 
+function requireUser(req, res, next) {
+  if (!req.ctx?.userId) return res.status(401).json({ error: "not_authenticated" });
+  next();
+}
 
-function stableJsonKey(obj) {
-  const keys = Object.keys(obj || {}).sort();
-  const out = {};
-  for (const k of keys) out[k] = obj[k];
-  return JSON.stringify(out);
+
+// ============================================================================
+//  USER AUTH – /v1/auth/*
+//  - email + password (bcrypt), JWT access + refresh tokens
+// ============================================================================
+const authLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: Number(process.env.AUTH_RATE_LIMIT_PER_MIN || 20),
+  standardHeaders: "draft-7",
+  legacyHeaders: false,
+});
+
+function authResponse(userRow) {
+  const tokens = issueUserTokens({
+    userId: String(userRow.id),
+    email: userRow.email || null,
+    tokenVersion: Number(userRow.tokenVersion || 0),
+  });
+  return { userId: String(userRow.id), email: userRow.email || null, ...tokens };
 }
 
-function extractFirstJson(text) {
-  if (!text) throw new Error("Empty model response");
+app.post("/v1/auth/signup", authLimiter, async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body?.email);
+    const password = String(req.body?.password || "");
+
+    if (!isValidEmail(email)) return res.status(400).json({ error: "invalid_email" });
+    if (!isValidPassword(password)) {
+      return res.status(400).json({ error: "weak_password", message: "Password must be at least 8 characters." });
+    }
+    if (userGetByEmailStmt.get(email)) return res.status(409).json({ error: "email_taken" });
+
+    const passwordHash = await hashPassword(password);
+    const ts = nowIso();
+    const id = makeUserId();
+
+    userInsertWithCredentialsStmt.run({ id, email, passwordHash, createdAt: ts, updatedAt: ts });
+
+    return res.status(201).json(authResponse(userGetAuthStmt.get(id)));
+  } catch (e) {
+    if (String(e?.code || "").startsWith("SQLITE_CONSTRAINT")) {
+      return res.status(409).json({ error: "email_taken" });
+    }
+    console.error("signup error:", e);
+    return res.status(500).json({ error: "signup_failed" });
+  }
+});
+
+app.post("/v1/auth/login", authLimiter, async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body?.email);
+    const password = String(req.body?.password || "");
+    if (!email || !password) return res.status(400).json({ error: "email and password required" });
 
-  let t = String(text).trim();
-  t = t.replace(/^```json\s*/i, "").replace(/^```\s*/i, "");
-  t = t.replace(/\s*```$/i, "").trim();
+    const row = userGetByEmailStmt.get(email);
+    const ok = row ? await checkPassword(password, row.passwordHash) : false;
+    if (!ok) return res.status(401).json({ error: "invalid_credentials" });
 
-  const firstBrace = t.indexOf("{");
-  const lastBrace = t.lastIndexOf("}");
-  if (firstBrace === -1 || lastBrace === -1 || lastBrace <= firstBrace) {
-    throw new Error("No JSON object found in model response");
+    return res.json(authResponse(row));
+  } catch (e) {
+    console.error("login error:", e);
+    return res.status(500).json({ error: "login_failed" });
   }
+});
 
-  let sliced = t.slice(firstBrace, lastBrace + 1).trim();
+app.post("/v1/auth/refresh", authLimiter, (req, res) => {
+  const refreshToken = String(req.body?.refreshToken || "").trim();
+  if (!refreshToken) return res.status(400).json({ error: "missing_refresh_token" });
 
-  // remove unsafe control chars (keep common whitespace)
-  sliced = sliced.replace(/[\u0000-\u001F\u007F]/g, (c) => {
-    if (c === "\n" || c === "\r" || c === "\t") return c;
-    return "";
-  });
+  let decoded;
+  try {
+    decoded = verifyUserRefreshToken(refreshToken);
+  } catch {
+    return res.status(401).json({ error: "invalid_or_expired_token" });
+  }
+
+  const row = userGetAuthStmt.get(String(decoded.sub));
+  if (!row || Number(row.tokenVersion || 0) !== Number(decoded.ver || 0)) {
+    return res.status(401).json({ error: "token_revoked" });
+  }
+
+  return res.json(authResponse(row));
+});
+
+// Revokes all refresh tokens for the caller (access tokens expire on their own)
+app.post("/v1/auth/logout", requireUser, (req, res) => {
+  userBumpTokenVersionStmt.run({ id: req.ctx.userId, updatedAt: nowIso() });
+  res.json({ ok: true });
+});
 
+// Everything user-scoped below requires an identity
+app.use(
+  [
+    "/v1/me",
+    "/v1/family",
+    "/v1/logs",
+    "/v1/day-summary",
+    "/v1/home-recommendations",
+    "/v1/scans",
+    "/v1/group-usage",
+    "/v1/trends",
+    "/v1/progress",
+    "/v1/barcode",
+  ],
+  requireUser
+);
+
+
+function stableJsonKey(obj) {
+  const keys = Object.keys(obj || {}).sort();
+  const out = {};
+  for (const k of keys) out[k] = obj[k];
+  return JSON.stringify(out);
+}
+
+// ---------- TIME ZONES ----------
+// "Today" is a calendar day in the user's IANA zone (x-timezone header > users.timezone > default),
+// never the server's local time.
+function isValidTimeZone(tz) {
+  if (!tz || typeof tz !== "string") return false;
   try {
-    return JSON.parse(sliced);
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
   } catch {
-    const unescaped = sliced
-      .replace(/\\+"/g, '"')
-      .replace(/\\\\/g, "\\")
-      .replace(/\\n/g, "\n")
-      .replace(/\\r/g, "\r")
-      .replace(/\\t/g, "\t");
-    return JSON.parse(unescaped);
+    return false;
   }
 }
 
-function isoDay(d = new Date()) {
-  const dt = new Date(d);
-  const yyyy = dt.getFullYear();
-  const mm = String(dt.getMonth() + 1).padStart(2, "0");
-  const dd = String(dt.getDate()).padStart(2, "0");
-  return `${yyyy}-${mm}-${dd}`;
+const DEFAULT_TIME_ZONE = isValidTimeZone(process.env.DEFAULT_TIMEZONE) ? process.env.DEFAULT_TIMEZONE : "UTC";
+
+function resolveTimeZone(req, storedTz) {
+  const h = String(req.header("x-timezone") || "").trim();
+  if (isValidTimeZone(h)) return h;
+  if (isValidTimeZone(storedTz)) return storedTz;
+  return DEFAULT_TIME_ZONE;
+}
+
+// YYYY-MM-DD of an instant, as seen in timeZone
+function isoDay(d = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+  const parts = new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).formatToParts(new Date(d));
+  const get = (t) => parts.find((p) => p.type === t)?.value;
+  return `${get("year")}-${get("month")}-${get("day")}`;
 }
 
 function clampScore(n) {
@@ -1303,8 +1731,10 @@ function clampScore(n) {
 // ============================================================================
 //  PERSONALITY (MVP): per-member health preferences used for scoring
 // ============================================================================
-// Keep simple + safe: seeded in-memory defaults; can be edited later via PATCH /v1/me if desired.
-const MEMBER_PREFERENCES = {
+// Source of truth: member_preferences (SQLite), edited via
+// GET/PUT /v1/family/members/:memberId/preferences.
+// LEGACY_MEMBER_PREFERENCES only seeds the old demo ids (u_head, u_spouse, ...).
+const LEGACY_MEMBER_PREFERENCES = {
   u_head: {
     goals: ["balanced", "high_protein"],
     avoid: ["excess_sugar"],
@@ -1333,27 +1763,197 @@ const MEMBER_PREFERENCES = {
   },
 };
 
+const ALLOWED_GOAL_TOKENS = new Set([
+  "balanced",
+  "high_protein",
+  "high_fiber",
+  "low_sodium",
+  "low_sugar",
+  "low_carb",
+  "weight_loss",
+]);
+
+const ALLOWED_AVOID_TOKENS = new Set([
+  "excess_sugar",
+  "high_sugar",
+  "excess_sodium",
+  "fried",
+  "processed_meat",
+  "excess_sat_fat",
+]);
+
+// Health conditions the scorer knows about (services/scoring.js)
+const ALLOWED_CONDITION_TOKENS = new Set(CONDITION_TOKENS);
+
+// Allergies + diets checked against menu text (services/dietary.js); conflicts force AVOID
+const ALLOWED_ALLERGEN_TOKENS = new Set(ALLERGEN_TOKENS);
+const ALLOWED_DIET_TOKENS = new Set(DIET_TOKENS);
+
+const DEFAULT_MEMBER_PREFERENCES = {
+  goals: ["balanced"],
+  avoid: [],
+  conditions: [],
+  allergens: [],
+  diets: [],
+  cuisines: [],
+  notes: "",
+};
+
+usageDb.exec(`
+  CREATE TABLE IF NOT EXISTS member_preferences (
+    memberId TEXT PRIMARY KEY,
+    goalsJson TEXT NOT NULL,
+    avoidJson TEXT NOT NULL,
+    cuisinesJson TEXT NOT NULL,
+    notes TEXT,
+    updatedAt TEXT NOT NULL
+  );
+`);
+
+function ensureMemberPreferencesSchema() {
+  const cols = usageDb.prepare(`PRAGMA table_info(member_preferences)`).all();
+  const has = (name) => cols.some((c) => c.name === name);
+  try {
+    if (!has("conditionsJson")) usageDb.exec(`ALTER TABLE member_preferences ADD COLUMN conditionsJson TEXT`);
+    if (!has("allergensJson")) usageDb.exec(`ALTER TABLE member_preferences ADD COLUMN allergensJson TEXT`);
+    if (!has("dietsJson")) usageDb.exec(`ALTER TABLE member_preferences ADD COLUMN dietsJson TEXT`);
+  } catch (e) {
+    console.error("ensureMemberPreferencesSchema error:", e);
+  }
+}
+ensureMemberPreferencesSchema();
+
+const memberPrefsGetStmt = usageDb.prepare(`
+  SELECT memberId, goalsJson, avoidJson, conditionsJson, allergensJson, dietsJson, cuisinesJson, notes, updatedAt
+  FROM member_preferences
+  WHERE memberId = ?
+`);
+
+const memberPrefsUpsertStmt = usageDb.prepare(`
+  INSERT INTO member_preferences(memberId, goalsJson, avoidJson, conditionsJson, allergensJson, dietsJson, cuisinesJson, notes, updatedAt)
+  VALUES (@memberId, @goalsJson, @avoidJson, @conditionsJson, @allergensJson, @dietsJson, @cuisinesJson, @notes, @updatedAt)
+  ON CONFLICT(memberId) DO UPDATE SET
+    goalsJson = excluded.goalsJson,
+    avoidJson = excluded.avoidJson,
+    conditionsJson = excluded.conditionsJson,
+    allergensJson = excluded.allergensJson,
+    dietsJson = excluded.dietsJson,
+    cuisinesJson = excluded.cuisinesJson,
+    notes = excluded.notes,
+    updatedAt = excluded.updatedAt
+`);
+
+const memberPrefsDeleteStmt = usageDb.prepare(`DELETE FROM member_preferences WHERE memberId = ?`);
+
+function parseJsonArray(s) {
+  try {
+    const v = JSON.parse(String(s || "[]"));
+    return Array.isArray(v) ? v.map(String) : [];
+  } catch {
+    return [];
+  }
+}
+
+// DB row -> legacy seed -> defaults
+function getMemberPreferences(memberId) {
+  const id = String(memberId || "");
+  const row = id ? memberPrefsGetStmt.get(id) : null;
+  if (row) {
+    return {
+      goals: parseJsonArray(row.goalsJson),
+      avoid: parseJsonArray(row.avoidJson),
+      conditions: parseJsonArray(row.conditionsJson),
+      allergens: parseJsonArray(row.allergensJson),
+      diets: parseJsonArray(row.dietsJson),
+      cuisines: parseJsonArray(row.cuisinesJson),
+      notes: String(row.notes || ""),
+      updatedAt: String(row.updatedAt),
+    };
+  }
+
+  const legacy = LEGACY_MEMBER_PREFERENCES[id];
+  if (legacy) return { ...DEFAULT_MEMBER_PREFERENCES, ...legacy };
+
+  return { ...DEFAULT_MEMBER_PREFERENCES };
+}
+
+/**
+ * Validates a preferences payload.
+ * Returns { value } or { errors } where errors maps field -> problems.
+ */
+function validateMemberPreferences(body) {
+  const b = body && typeof body === "object" ? body : {};
+  const errors = {};
+
+  const tokens = (field, allowed) => {
+    const raw = b[field] === undefined ? [] : b[field];
+    if (!Array.isArray(raw)) {
+      errors[field] = ["must be an array of strings"];
+      return [];
+    }
+    const norm = Array.from(new Set(raw.map((x) => String(x || "").toLowerCase().trim()).filter(Boolean)));
+    if (allowed) {
+      const bad = norm.filter((x) => !allowed.has(x));
+      if (bad.length) errors[field] = bad.map((x) => `unknown token: ${x}`);
+    }
+    return norm;
+  };
+
+  const goals = tokens("goals", ALLOWED_GOAL_TOKENS);
+  const avoid = tokens("avoid", ALLOWED_AVOID_TOKENS);
+  const conditions = tokens("conditions", ALLOWED_CONDITION_TOKENS);
+  const allergens = tokens("allergens", ALLOWED_ALLERGEN_TOKENS);
+  const diets = tokens("diets", ALLOWED_DIET_TOKENS);
+  const cuisines = tokens("cuisines", null).slice(0, 20);
+
+  const notes = b.notes === undefined || b.notes === null ? "" : String(b.notes).trim();
+  if (notes.length > 500) errors.notes = ["max 500 characters"];
+
+  if (Object.keys(errors).length) return { errors };
+  return { value: { goals, avoid, conditions, allergens, diets, cuisines, notes } };
+}
+
+function saveMemberPreferences(memberId, prefs) {
+  memberPrefsUpsertStmt.run({
+    memberId: String(memberId),
+    goalsJson: JSON.stringify(prefs.goals || []),
+    avoidJson: JSON.stringify(prefs.avoid || []),
+    conditionsJson: JSON.stringify(prefs.conditions || []),
+    allergensJson: JSON.stringify(prefs.allergens || []),
+    dietsJson: JSON.stringify(prefs.diets || []),
+    cuisinesJson: JSON.stringify(prefs.cuisines || []),
+    notes: prefs.notes || "",
+    updatedAt: nowIso(),
+  });
+  return getMemberPreferences(memberId);
+}
+
 function getMemberIdForScan(req) {
+  // Only members visible to the caller can be scanned for; anything else falls back
+  let me = null;
+  try {
+    me = buildMe(req);
+  } catch {
+    me = null;
+  }
+  const allowed = new Set((me?.family?.members || []).map((m) => String(m.id)));
+
   // 1) explicit query param
   const q = String(req.query.memberId || "").trim();
-  if (q) return q;
+  if (q && allowed.has(q)) return q;
 
   // 2) explicit form body field (optional)
   const b = String(req.body?.memberId || "").trim();
-  if (b) return b;
+  if (b && allowed.has(b)) return b;
 
   // 3) fallback to canonical /v1/me active member
-  try {
-    const me = buildMe(req);
-    return String(me?.family?.activeMemberId || "u_self");
-  } catch {
-    return "u_self";
-  }
+  return String(me?.family?.activeMemberId || "u_self");
 }
 
-function mergeProfile(userProfile, memberPrefs) {
+// Merges caller-supplied profile overrides on top of the member's stored preferences
+function mergeProfile(userProfile, memberId) {
   const a = userProfile && typeof userProfile === "object" ? userProfile : {};
-  const b = memberPrefs && typeof memberPrefs === "object" ? memberPrefs : {};
+  const b = getMemberPreferences(memberId);
 
   // Merge arrays by union
   const unionArr = (x, y) => {
@@ -1371,14 +1971,35 @@ function mergeProfile(userProfile, memberPrefs) {
     return out;
   };
 
+  const { updatedAt: _updatedAt, ...basePrefs } = b;
+
   return {
-    ...b, // member prefs first (baseline)
+    ...basePrefs, // member prefs first (baseline)
     ...a, // user supplied overrides
     goals: unionArr(a.goals, b.goals),
     avoid: unionArr(a.avoid, b.avoid),
+    conditions: unionArr(a.conditions, b.conditions),
+    allergens: unionArr(a.allergens, b.allergens),
+    diets: unionArr(a.diets, b.diets),
+    cuisines: unionArr(a.cuisines, b.cuisines),
   };
 }
 
+// Merged profile + the member's daily targets, as consumed by services/scoring.js
+function memberScoringProfile(memberId, overrides) {
+  const merged = mergeProfile(overrides, memberId);
+  const hasTargets = merged.targets && typeof merged.targets === "object";
+  return { ...merged, targets: hasTargets ? merged.targets : getMemberTargets(memberId).targets };
+}
+
+// Anonymous callers: the request profile plus the default targets its goals imply, i.e. what a
+// signed-in member with nothing stored gets (no shared "u_self" preferences)
+function requestScoringProfile(profile) {
+  const p = profile && typeof profile === "object" ? profile : {};
+  const hasTargets = p.targets && typeof p.targets === "object";
+  return { ...p, targets: hasTargets ? p.targets : defaultNutritionTargets(p) };
+}
+
 
 
 // ---------- HEALTH CHECK ----------
@@ -1602,10 +2223,9 @@ app.get("/v1/group-usage", (req, res) => {
 //  MVP "ME" + FAMILY (DB-backed source of truth)
 // ============================================================================
 
-const ME_STATE = new Map(); // userId -> { mode, activeMemberId }
-
+// Identity comes from the request-context middleware (verified token or dev header)
 function getUserId(req) {
-  return String(req.query.userId || req.header("x-user-id") || "u_head").trim();
+  return String(req?.ctx?.userId || "").trim();
 }
 
 function resolveMode(req) {
@@ -1616,11 +2236,26 @@ function resolveMode(req) {
   return null;
 }
 
+// Mode + active member live on the users row so they survive restarts
+// and stay consistent across instances.
 function ensureMeState(userId) {
-  if (ME_STATE.has(userId)) return ME_STATE.get(userId);
-  const seeded = { mode: "individual", activeMemberId: userId };
-  ME_STATE.set(userId, seeded);
-  return seeded;
+  ensureUserRow(userId);
+  const row = userStateGetStmt.get(userId);
+  return {
+    mode: row?.mode || "individual",
+    activeMemberId: row?.activeMemberId || userId,
+    timezone: row?.timezone || null,
+  };
+}
+
+function setMeState(userId, patch) {
+  const next = { ...ensureMeState(userId), ...patch };
+  userStateUpdateStmt.run({
+    id: userId,
+    mode: next.mode || "individual",
+    activeMemberId: next.activeMemberId || null,
+  });
+  return next;
 }
 
 function listFamilyMembersForUser(userId) {
@@ -1639,7 +2274,7 @@ function listFamilyMembersForUser(userId) {
 }
 
 function buildMe(req) {
-  const userId = req?.ctx?.userId ? String(req.ctx.userId) : getUserId(req);
+  const userId = getUserId(req);
 
   const state = ensureMeState(userId);
   const overrideMode = resolveMode(req);
@@ -1667,22 +2302,28 @@ function buildMe(req) {
     activeMemberId = set.has(preferred) ? preferred : (effectiveMembers[0]?.id || userId);
   }
 
-  // persist (unless override)
-  if (!overrideMode) {
-    ME_STATE.set(userId, { ...state, mode, activeMemberId });
+  // persist (unless override); skip the write when nothing changed
+  if (!overrideMode && (state.mode !== mode || state.activeMemberId !== activeMemberId)) {
+    setMeState(userId, { mode, activeMemberId });
   }
 
+  const role = familyId ? getFamilyRole(userId, familyId) : null;
+  const selfMemberId = familyId ? memberGetByUserStmt.get({ familyId, userId })?.id || null : null;
+
   return {
     userId,
     mode,
+    timezone: state.timezone || null,
     family: {
       familyId: familyId || null,
       name: familyName || "Your Family",
       activeMemberId,
+      role,
+      selfMemberId,
       members: effectiveMembers,
     },
     preferences: {
-      byMemberId: MEMBER_PREFERENCES,
+      byMemberId: Object.fromEntries(effectiveMembers.map((m) => [m.id, getMemberPreferences(m.id)])),
     },
   };
 }
@@ -1695,7 +2336,13 @@ app.get("/v1/me", (req, res) => {
 app.use((req, _res, next) => {
   try {
     req.ctx = req.ctx || {};
+    if (!req.ctx.userId) {
+      req.ctx.me = null;
+      req.ctx.billingOwnerId = null;
+      return next();
+    }
     req.ctx.me = buildMe(req);
+    req.ctx.timeZone = resolveTimeZone(req, req.ctx.me?.timezone);
 
     // Billing owner remains the same semantics: family rolls up to caller (or keep u_head if you prefer)
     req.ctx.billingOwnerId =
@@ -1704,24 +2351,46 @@ app.use((req, _res, next) => {
     req.ctx = req.ctx || {};
     req.ctx.me = null;
     req.ctx.billingOwnerId = req.ctx.userId;
+    req.ctx.timeZone = resolveTimeZone(req, null);
   }
   next();
 });
 
-// PATCH /v1/me (unchanged behavior)
+// PATCH /v1/me – persists mode, timezone (IANA) + activeMemberId (must belong to the caller's family)
 app.patch("/v1/me", (req, res) => {
   const userId = getUserId(req);
-  const state = ensureMeState(userId);
   const body = req.body || {};
+  const patch = {};
+
+  if (body.mode !== undefined) {
+    if (body.mode !== "individual" && body.mode !== "family" && body.mode !== "workplace") {
+      return res.status(400).json({ error: "INVALID_MODE" });
+    }
+    patch.mode = body.mode;
+  }
 
-  if (body.mode === "individual" || body.mode === "family" || body.mode === "workplace") {
-    state.mode = body.mode;
+  if (body.timezone !== undefined) {
+    const tz = body.timezone === null ? "" : String(body.timezone).trim();
+    if (tz && !isValidTimeZone(tz)) return res.status(400).json({ error: "INVALID_TIMEZONE" });
+    userTimezoneUpdateStmt.run({ id: userId, timezone: tz || null });
   }
+
   if (body.family && body.family.activeMemberId !== undefined) {
-    state.activeMemberId = String(body.family.activeMemberId || "").trim() || null;
+    const requested = String(body.family.activeMemberId || "").trim();
+
+    if (requested) {
+      // must be the caller or a member of the caller's family
+      const { members } = listFamilyMembersForUser(userId);
+      const allowed = new Set([userId, ...members.map((m) => m.id)]);
+      if (!allowed.has(requested)) {
+        return res.status(403).json({ error: "MEMBER_NOT_IN_FAMILY" });
+      }
+    }
+
+    patch.activeMemberId = requested || null;
   }
 
-  ME_STATE.set(userId, state);
+  setMeState(userId, patch);
   res.json(buildMe(req));
 });
 
@@ -1743,9 +2412,47 @@ app.get("/v1/family", (req, res) => {
 //  FAMILY CRUD (MVP)
 // ============================================================================
 
+// ---------- ROLES ----------
+// owner  = families.ownerUserId (families created before ownership was tracked:
+//          every member keeps owner rights so nobody gets locked out)
+// parent = linked member with memberType parent/individual (or not linked yet)
+// child  = linked member with memberType child
+function getFamilyRole(userId, familyId) {
+  const fam = familyOwnerGetStmt.get(familyId);
+  if (!fam) return null;
+  if (!fam.ownerUserId || String(fam.ownerUserId) === String(userId)) return "owner";
+
+  const self = memberGetByUserStmt.get({ familyId, userId });
+  return String(self?.memberType) === "child" ? "child" : "parent";
+}
+
+/**
+ * Returns null when allowed, else a 403 error code.
+ * actions: "create" | "update" | "update_type" | "delete"
+ */
+function memberPermissionError({ role, selfMemberId, action, target }) {
+  if (role === "owner") return null;
+
+  if (action === "delete") return "OWNER_REQUIRED";
+  if (action === "update_type") return "OWNER_REQUIRED";
+  if (action === "create") return role === "parent" ? null : "PARENT_OR_OWNER_REQUIRED";
+
+  // update: self always; parents may also manage children
+  const isSelf = !!selfMemberId && String(target?.id) === String(selfMemberId);
+  if (isSelf) return null;
+  if (role === "parent" && String(target?.memberType) === "child") return null;
+  return role === "child" ? "CHILD_SELF_ONLY" : "PARENT_OR_OWNER_REQUIRED";
+}
+
+function memberPermissionErrorFor(userId, familyId, action, target) {
+  const role = getFamilyRole(userId, familyId);
+  const selfMemberId = memberGetByUserStmt.get({ familyId, userId })?.id || null;
+  return memberPermissionError({ role, selfMemberId, action, target });
+}
+
 // Create family for logged-in user
 app.post("/v1/family", (req, res) => {
-  const userId = String(req.ctx?.userId || getUserId(req));
+  const userId = getUserId(req);
   ensureUserRow(userId);
 
   const body = req.body || {};
@@ -1756,6 +2463,7 @@ app.post("/v1/family", (req, res) => {
 
   usageDb.transaction(() => {
     familyInsertStmt.run({ id: familyId, name: familyName, createdAt: ts, updatedAt: ts });
+    familySetOwnerStmt.run({ id: familyId, ownerUserId: userId });
     userUpsertStmt.run({ id: userId, familyId });
 
     // Add the creator as a member
@@ -1768,10 +2476,10 @@ app.post("/v1/family", (req, res) => {
       createdAt: ts,
       updatedAt: ts,
     });
+    memberLinkUserStmt.run({ id: memberId, userId, updatedAt: ts });
 
     // switch to family mode + set active member
-    const st = ensureMeState(userId);
-    ME_STATE.set(userId, { ...st, mode: "family", activeMemberId: memberId });
+    setMeState(userId, { mode: "family", activeMemberId: memberId });
   })();
 
   const members = membersListStmt.all(familyId).map((m) => ({
@@ -1783,49 +2491,288 @@ app.post("/v1/family", (req, res) => {
   res.json({ familyId, name: familyName, members });
 });
 
-// Join family by code (simple: familyId or "FAM-<id>")
-app.post("/v1/family/join", (req, res) => {
-  const userId = String(req.ctx?.userId || getUserId(req));
-  ensureUserRow(userId);
+// ---------- INVITES + JOIN ----------
+function isFamilyOwner(userId, familyId) {
+  return getFamilyRole(userId, familyId) === "owner";
+}
 
-  const code = String(req.body?.code || "").trim();
-  const famId = code.startsWith("FAM-") ? code.slice(4) : code;
-  if (!famId || famId.length < 3) return res.status(400).json({ error: "invalid_code" });
+function inviteStatus(inv, now = Date.now()) {
+  if (inv.revokedAt) return "revoked";
+  if (Date.parse(inv.expiresAt) <= now) return "expired";
+  if (Number(inv.uses) >= Number(inv.maxUses)) return "exhausted";
+  return "active";
+}
 
-  const fam = familyGetStmt.get(famId);
-  if (!fam) return res.status(404).json({ error: "family_not_found" });
+function normalizeInviteRow(inv) {
+  return {
+    code: String(inv.code),
+    familyId: String(inv.familyId),
+    memberType: String(inv.memberType),
+    memberId: inv.memberId ? String(inv.memberId) : null,
+    maxUses: Number(inv.maxUses),
+    uses: Number(inv.uses),
+    requiresApproval: !!inv.requiresApproval,
+    expiresAt: String(inv.expiresAt),
+    revokedAt: inv.revokedAt ? String(inv.revokedAt) : null,
+    createdAt: String(inv.createdAt),
+    status: inviteStatus(inv),
+  };
+}
+
+function normalizeJoinRequestRow(r) {
+  return {
+    id: String(r.id),
+    inviteCode: String(r.inviteCode),
+    familyId: String(r.familyId),
+    userId: String(r.userId),
+    name: String(r.name),
+    status: String(r.status),
+    memberId: r.memberId ? String(r.memberId) : null,
+    createdAt: String(r.createdAt),
+    decidedAt: r.decidedAt ? String(r.decidedAt) : null,
+  };
+}
+
+function httpError(status, code) {
+  const e = new Error(code);
+  e.statusCode = status;
+  e.code = code;
+  return e;
+}
+
+/**
+ * Links userId into familyId (call inside a transaction).
+ * - invite.memberId set: claim that existing member record
+ * - user already has a member in this family: reuse it
+ * - otherwise: create one member record for the user
+ */
+function linkUserToFamily({ userId, familyId, invite, name }) {
+  const ts = nowIso();
+  let memberId = null;
+
+  if (invite?.memberId) {
+    const target = memberGetStmt.get(String(invite.memberId));
+    if (!target || String(target.familyId) !== familyId) throw httpError(409, "invite_member_missing");
+    if (target.userId && String(target.userId) !== userId) throw httpError(409, "member_already_linked");
+    memberId = String(target.id);
+  } else {
+    const existing = memberGetByUserStmt.get({ familyId, userId });
+    if (existing) memberId = String(existing.id);
+  }
+
+  if (!memberId) {
+    memberId = makeMemberId();
+    memberInsertStmt.run({
+      id: memberId,
+      familyId,
+      name: String(name || "Member").trim() || "Member",
+      memberType: normalizeMemberType(invite?.memberType || "parent"),
+      createdAt: ts,
+      updatedAt: ts,
+    });
+  }
+
+  memberLinkUserStmt.run({ id: memberId, userId, updatedAt: ts });
+  userUpsertStmt.run({ id: userId, familyId });
+  setMeState(userId, { mode: "family", activeMemberId: memberId });
+
+  return memberId;
+}
+
+// Create an invite code (owner only)
+// body: { memberType?, memberId?, ttlHours? (1..720, default 72), maxUses? (1..20, default 1), requiresApproval? }
+app.post("/v1/family/invites", (req, res) => {
+  const userId = getUserId(req);
+  const familyId = String(ensureUserRow(userId)?.familyId || "");
+  if (!familyId) return res.status(400).json({ error: "NO_FAMILY" });
+  if (!isFamilyOwner(userId, familyId)) return res.status(403).json({ error: "NOT_OWNER" });
+
+  const body = req.body || {};
 
-  userUpsertStmt.run({ id: userId, familyId: famId });
+  let memberId = null;
+  let memberType = normalizeMemberType(body.memberType);
+  if (body.memberId) {
+    const target = memberGetStmt.get(String(body.memberId));
+    if (!target || String(target.familyId) !== familyId) return res.status(400).json({ error: "INVALID_MEMBER" });
+    if (target.userId) return res.status(409).json({ error: "MEMBER_ALREADY_LINKED" });
+    memberId = String(target.id);
+    memberType = String(target.memberType);
+  }
 
-  // If user has no member entry in that family, create one
-  const existing = membersListStmt.all(famId);
+  const ttlHours = clampInt(body.ttlHours, 1, 24 * 30, 72);
+  const maxUses = clampInt(body.maxUses, 1, 20, 1);
   const ts = nowIso();
-  let memberId = existing[0]?.id || null;
 
-  if (!existing.find(() => false)) {
-    // no-op; left intentionally
+  // Retry on the (unlikely) code collision
+  let code = "";
+  for (let i = 0; i < 5 && !code; i++) {
+    const candidate = makeInviteCode();
+    if (!inviteGetStmt.get(candidate)) code = candidate;
   }
+  if (!code) return res.status(500).json({ error: "INVITE_CODE_UNAVAILABLE" });
 
-  // Always add a member record for this joining user if you want one-per-user.
-  // MVP simplest: add one.
-  memberId = makeMemberId();
-  memberInsertStmt.run({
-    id: memberId,
-    familyId: famId,
-    name: String(req.body?.name || "Member").trim() || "Member",
-    memberType: normalizeMemberType(req.body?.memberType || "parent"),
+  inviteInsertStmt.run({
+    code,
+    familyId,
+    createdByUserId: userId,
+    memberType,
+    memberId,
+    maxUses,
+    requiresApproval: body.requiresApproval ? 1 : 0,
+    expiresAt: new Date(Date.now() + ttlHours * 3600 * 1000).toISOString(),
     createdAt: ts,
-    updatedAt: ts,
   });
 
-  const st = ensureMeState(userId);
-  ME_STATE.set(userId, { ...st, mode: "family", activeMemberId: memberId });
+  res.status(201).json({ ok: true, item: normalizeInviteRow(inviteGetStmt.get(code)) });
+});
 
-  res.json({ ok: true, familyId: famId, familyName: String(fam.name || "Your Family") });
+app.get("/v1/family/invites", (req, res) => {
+  const userId = getUserId(req);
+  const familyId = String(ensureUserRow(userId)?.familyId || "");
+  if (!familyId) return res.json({ items: [] });
+  if (!isFamilyOwner(userId, familyId)) return res.status(403).json({ error: "NOT_OWNER" });
+
+  res.json({ items: invitesListStmt.all(familyId).map(normalizeInviteRow) });
+});
+
+// Revoke an invite (owner only)
+app.delete("/v1/family/invites/:code", (req, res) => {
+  const userId = getUserId(req);
+  const familyId = String(ensureUserRow(userId)?.familyId || "");
+  if (!familyId) return res.status(400).json({ error: "NO_FAMILY" });
+  if (!isFamilyOwner(userId, familyId)) return res.status(403).json({ error: "NOT_OWNER" });
+
+  const code = normalizeInviteCode(req.params.code);
+  const inv = code ? inviteGetStmt.get(code) : null;
+  if (!inv || String(inv.familyId) !== familyId) return res.status(404).json({ error: "NOT_FOUND" });
+
+  inviteRevokeStmt.run({ code, revokedAt: nowIso() });
+  res.json({ ok: true, item: normalizeInviteRow(inviteGetStmt.get(code)) });
+});
+
+// Join family by invite code
+// body: { code: "ABCD-EFGH", name? }
+// -> { status: "joined" } or 202 { status: "pending" } when the invite requires owner approval
+app.post("/v1/family/join", (req, res) => {
+  const userId = getUserId(req);
+  const userRow = ensureUserRow(userId);
+
+  const code = normalizeInviteCode(req.body?.code);
+  if (!code) return res.status(400).json({ error: "invalid_code" });
+
+  const inv = inviteGetStmt.get(code);
+  if (!inv) return res.status(404).json({ error: "invite_not_found" });
+
+  const status = inviteStatus(inv);
+  if (status !== "active") return res.status(410).json({ error: `invite_${status}` });
+
+  const familyId = String(inv.familyId);
+  const fam = familyGetStmt.get(familyId);
+  if (!fam) return res.status(404).json({ error: "family_not_found" });
+
+  const currentFamilyId = String(userRow?.familyId || "");
+  if (currentFamilyId && currentFamilyId !== familyId) {
+    return res.status(409).json({ error: "already_in_family" });
+  }
+
+  const name = String(req.body?.name || "Member").trim() || "Member";
+
+  try {
+    if (inv.requiresApproval && currentFamilyId !== familyId) {
+      const pending = joinRequestPendingForUserStmt.get({ familyId, userId });
+      if (pending) {
+        return res.status(202).json({ ok: true, status: "pending", request: normalizeJoinRequestRow(pending) });
+      }
+
+      const id = makeJoinRequestId();
+      usageDb.transaction(() => {
+        joinRequestInsertStmt.run({ id, inviteCode: code, familyId, userId, name, createdAt: nowIso() });
+        inviteAddUsesStmt.run({ code, delta: 1 });
+      })();
+
+      return res
+        .status(202)
+        .json({ ok: true, status: "pending", request: normalizeJoinRequestRow(joinRequestGetStmt.get(id)) });
+    }
+
+    const memberId = usageDb.transaction(() => {
+      const linked = linkUserToFamily({ userId, familyId, invite: inv, name });
+      inviteAddUsesStmt.run({ code, delta: 1 });
+      return linked;
+    })();
+
+    res.json({
+      ok: true,
+      status: "joined",
+      familyId,
+      familyName: String(fam.name || "Your Family"),
+      memberId,
+    });
+  } catch (e) {
+    if (e?.statusCode) return res.status(e.statusCode).json({ error: e.code });
+    throw e;
+  }
+});
+
+app.get("/v1/family/join-requests", (req, res) => {
+  const userId = getUserId(req);
+  const familyId = String(ensureUserRow(userId)?.familyId || "");
+  if (!familyId) return res.json({ items: [] });
+  if (!isFamilyOwner(userId, familyId)) return res.status(403).json({ error: "NOT_OWNER" });
+
+  const rawStatus = String(req.query.status || "pending").toLowerCase();
+  const status = ["pending", "approved", "rejected", "all"].includes(rawStatus) ? rawStatus : "pending";
+
+  res.json({ items: joinRequestsListStmt.all({ familyId, status }).map(normalizeJoinRequestRow) });
+});
+
+app.post("/v1/family/join-requests/:id/:decision", (req, res) => {
+  const userId = getUserId(req);
+  const familyId = String(ensureUserRow(userId)?.familyId || "");
+  if (!familyId) return res.status(400).json({ error: "NO_FAMILY" });
+  if (!isFamilyOwner(userId, familyId)) return res.status(403).json({ error: "NOT_OWNER" });
+
+  const decision = String(req.params.decision || "");
+  if (decision !== "approve" && decision !== "reject") return res.status(404).json({ error: "NOT_FOUND" });
+
+  const jr = joinRequestGetStmt.get(String(req.params.id || ""));
+  if (!jr || String(jr.familyId) !== familyId) return res.status(404).json({ error: "NOT_FOUND" });
+  if (jr.status !== "pending") return res.status(409).json({ error: "ALREADY_DECIDED" });
+
+  try {
+    usageDb.transaction(() => {
+      let memberId = null;
+
+      if (decision === "approve") {
+        const joiner = ensureUserRow(String(jr.userId));
+        const joinerFamilyId = String(joiner?.familyId || "");
+        if (joinerFamilyId && joinerFamilyId !== familyId) throw httpError(409, "ALREADY_IN_FAMILY");
+
+        const inv = inviteGetStmt.get(String(jr.inviteCode));
+        memberId = linkUserToFamily({ userId: String(jr.userId), familyId, invite: inv, name: jr.name });
+      } else {
+        // release the reserved invite slot
+        inviteAddUsesStmt.run({ code: String(jr.inviteCode), delta: -1 });
+      }
+
+      joinRequestDecideStmt.run({
+        id: String(jr.id),
+        status: decision === "approve" ? "approved" : "rejected",
+        memberId,
+        decidedAt: nowIso(),
+        decidedByUserId: userId,
+      });
+    })();
+  } catch (e) {
+    if (e?.statusCode) return res.status(e.statusCode).json({ error: String(e.code).toUpperCase() });
+    throw e;
+  }
+
+  res.json({ ok: true, item: normalizeJoinRequestRow(joinRequestGetStmt.get(String(jr.id))) });
 });
 
 app.get("/v1/family/members", (req, res) => {
-  const userId = String(req.ctx?.userId || getUserId(req));
+  const userId = getUserId(req);
   const userRow = ensureUserRow(userId);
   const familyId = String(userRow?.familyId || "");
   if (!familyId) return res.json({ items: [] });
@@ -1837,6 +2784,7 @@ app.get("/v1/family/members", (req, res) => {
     memberType: String(m.memberType),
     insuranceId: m.insuranceId ?? null,
     corporateId: m.corporateId ?? null,
+    userId: m.userId ?? null,
     createdAt: String(m.createdAt),
     updatedAt: String(m.updatedAt),
   }));
@@ -1846,11 +2794,14 @@ app.get("/v1/family/members", (req, res) => {
 });
 
 app.post("/v1/family/members", (req, res) => {
-  const userId = String(req.ctx?.userId || getUserId(req));
+  const userId = getUserId(req);
   const userRow = ensureUserRow(userId);
   const familyId = String(userRow?.familyId || "");
   if (!familyId) return res.status(400).json({ error: "NO_FAMILY" });
 
+  const denied = memberPermissionErrorFor(userId, familyId, "create", null);
+  if (denied) return res.status(403).json({ error: denied });
+
   const name = String(req.body?.name || "").trim();
   if (!name) return res.status(400).json({ error: "NAME_REQUIRED" });
 
@@ -1865,7 +2816,7 @@ app.post("/v1/family/members", (req, res) => {
 
 
 app.patch("/v1/family/members/:memberId", (req, res) => {
-  const userId = String(req.ctx?.userId || getUserId(req));
+  const userId = getUserId(req);
   const userRow = ensureUserRow(userId);
   const familyId = String(userRow?.familyId || "");
   if (!familyId) return res.status(400).json({ error: "NO_FAMILY" });
@@ -1874,6 +2825,11 @@ app.patch("/v1/family/members/:memberId", (req, res) => {
   const existing = memberGetStmt.get(memberId);
   if (!existing || String(existing.familyId) !== familyId) return res.status(404).json({ error: "NOT_FOUND" });
 
+  const denied =
+    memberPermissionErrorFor(userId, familyId, "update", existing) ||
+    (req.body?.memberType !== undefined ? memberPermissionErrorFor(userId, familyId, "update_type", existing) : null);
+  if (denied) return res.status(403).json({ error: denied });
+
   const name =
   req.body?.name !== undefined ? String(req.body.name || "").trim() : null;
 
@@ -1925,7 +2881,7 @@ memberUpdateStmt.run({
 
 // Delete member; if last -> delete family + fallback to individual
 app.delete("/v1/family/members/:memberId", (req, res) => {
-  const userId = String(req.ctx?.userId || getUserId(req));
+  const userId = getUserId(req);
   const userRow = ensureUserRow(userId);
   const familyId = String(userRow?.familyId || "");
   if (!familyId) return res.status(400).json({ error: "NO_FAMILY" });
@@ -1934,9 +2890,24 @@ app.delete("/v1/family/members/:memberId", (req, res) => {
   const existing = memberGetStmt.get(memberId);
   if (!existing || String(existing.familyId) !== familyId) return res.status(404).json({ error: "NOT_FOUND" });
 
+  const denied = memberPermissionErrorFor(userId, familyId, "delete", existing);
+  if (denied) return res.status(403).json({ error: denied });
+
+  // The owner's own record can only go last (dissolving the family)
+  const cntBefore = Number(memberCountStmt.get(familyId)?.cnt || 0);
+  if (existing.userId && String(existing.userId) === userId && cntBefore > 1) {
+    return res.status(409).json({ error: "OWNER_MUST_REMOVE_OTHERS_FIRST" });
+  }
+
   const result = usageDb.transaction(() => {
     const cnt = Number(memberCountStmt.get(familyId)?.cnt || 0);
 
+    memberPrefsDeleteStmt.run(memberId);
+    memberTargetsDeleteStmt.run(memberId);
+
+    // a removed member's linked account leaves the family
+    if (existing.userId) userUpsertStmt.run({ id: String(existing.userId), familyId: null });
+
     if (cnt > 1) {
       memberDeleteStmt.run(memberId);
       return { familyDeleted: false };
@@ -1950,8 +2921,7 @@ app.delete("/v1/family/members/:memberId", (req, res) => {
     usageDb.prepare(`UPDATE users SET familyId = NULL WHERE familyId = ?`).run(familyId);
 
     // fallback to individual
-    const st = ensureMeState(userId);
-    ME_STATE.set(userId, { ...st, mode: "individual", activeMemberId: userId });
+    setMeState(userId, { mode: "individual", activeMemberId: userId });
 
     return { familyDeleted: true };
   })();
@@ -1959,6 +2929,568 @@ app.delete("/v1/family/members/:memberId", (req, res) => {
   res.json({ ok: true, ...result });
 });
 
+// ---------- MEMBER PREFERENCES ----------
+// Individual mode has no family rows; the caller's own userId acts as their member id.
+function canAccessMemberPreferences(userId, memberId) {
+  if (!userId || !memberId) return false; // never create a users row for an anonymous caller
+  if (memberId === userId) return true;
+
+  const familyId = String(ensureUserRow(userId)?.familyId || "");
+  if (!familyId) return false;
+
+  const member = memberGetStmt.get(memberId);
+  return !!member && String(member.familyId) === familyId;
+}
+
+app.get("/v1/family/members/:memberId/preferences", (req, res) => {
+  const userId = getUserId(req);
+  const memberId = String(req.params.memberId || "").trim();
+  if (!canAccessMemberPreferences(userId, memberId)) return res.status(404).json({ error: "NOT_FOUND" });
+
+  res.json({ memberId, preferences: getMemberPreferences(memberId) });
+});
+
+app.put("/v1/family/members/:memberId/preferences", (req, res) => {
+  const userId = getUserId(req);
+  const memberId = String(req.params.memberId || "").trim();
+  if (!canAccessMemberPreferences(userId, memberId)) return res.status(404).json({ error: "NOT_FOUND" });
+
+  const familyId = String(ensureUserRow(userId)?.familyId || "");
+  if (familyId && memberId !== userId) {
+    const denied = memberPermissionErrorFor(userId, familyId, "update", memberGetStmt.get(memberId));
+    if (denied) return res.status(403).json({ error: denied });
+  }
+
+  const { value, errors } = validateMemberPreferences(req.body);
+  if (errors) {
+    return res.status(400).json({
+      error: "INVALID_PREFERENCES",
+      details: errors,
+      allowed: {
+        goals: [...ALLOWED_GOAL_TOKENS],
+        avoid: [...ALLOWED_AVOID_TOKENS],
+        conditions: [...ALLOWED_CONDITION_TOKENS],
+        allergens: [...ALLOWED_ALLERGEN_TOKENS],
+        diets: [...ALLOWED_DIET_TOKENS],
+      },
+    });
+  }
+
+  res.json({ ok: true, memberId, preferences: saveMemberPreferences(memberId, value) });
+});
+
+
+// ---------- NUTRITION TARGETS ----------
+// Daily targets per member: explicit values win, then values derived from body stats, then goal-based defaults.
+// sugarG / sodiumMg are upper limits; everything else is a goal to reach.
+const TARGET_LIMIT_FIELDS = new Set(["sugarG", "sodiumMg"]);
+
+const ACTIVITY_FACTORS = {
+  sedentary: 1.2,
+  light: 1.375,
+  moderate: 1.55,
+  active: 1.725,
+  very_active: 1.9,
+};
+
+const TARGET_SEXES = new Set(["male", "female", "other"]);
+
+usageDb.exec(`
+  CREATE TABLE IF NOT EXISTS member_targets (
+    memberId TEXT PRIMARY KEY,
+    targetsJson TEXT NOT NULL,
+    bodyJson TEXT,
+    updatedAt TEXT NOT NULL
+  );
+`);
+
+const memberTargetsGetStmt = usageDb.prepare(`
+  SELECT memberId, targetsJson, bodyJson, updatedAt
+  FROM member_targets
+  WHERE memberId = ?
+`);
+
+const memberTargetsUpsertStmt = usageDb.prepare(`
+  INSERT INTO member_targets(memberId, targetsJson, bodyJson, updatedAt)
+  VALUES (@memberId, @targetsJson, @bodyJson, @updatedAt)
+  ON CONFLICT(memberId) DO UPDATE SET
+    targetsJson = excluded.targetsJson,
+    bodyJson = excluded.bodyJson,
+    updatedAt = excluded.updatedAt
+`);
+
+const memberTargetsDeleteStmt = usageDb.prepare(`DELETE FROM member_targets WHERE memberId = ?`);
+
+// Goal-token defaults for an average adult (formerly buildThresholds in /v1/home-recommendations)
+function defaultNutritionTargets(prefs) {
+  const { goals, avoid } = normalizeGoalTokens(prefs);
+  return {
+    caloriesKcal: goals.includes("weight_loss") ? 1700 : 2000,
+    proteinG: goals.includes("high_protein") ? 90 : 60,
+    carbsG: goals.includes("low_carb") ? 130 : 250,
+    fatG: 65,
+    fiberG: goals.includes("high_fiber") ? 28 : 20,
+    sugarG: avoid.includes("excess_sugar") || avoid.includes("high_sugar") || goals.includes("low_sugar") ? 30 : 45,
+    sodiumMg: goals.includes("low_sodium") || avoid.includes("excess_sodium") ? 1500 : 1800,
+  };
+}
+
+// Schofield (WHO) basal metabolic rate, kcal/day
+function schofieldBmr(sex, age, weightKg) {
+  const eq = {
+    male: [[3, 59.512, -30.4], [10, 22.706, 504.3], [18, 17.686, 658.2], [30, 15.057, 692.2], [60, 11.472, 873.1], [Infinity, 11.711, 587.7]],
+    female: [[3, 58.317, -31.1], [10, 20.315, 485.9], [18, 13.384, 692.6], [30, 14.818, 486.6], [60, 8.126, 845.6], [Infinity, 9.082, 658.5]],
+  };
+  const bmrFor = (s) => {
+    const [, a, b] = eq[s].find(([maxAge]) => age < maxAge);
+    return a * weightKg + b;
+  };
+  if (sex === "male" || sex === "female") return bmrFor(sex);
+  return (bmrFor("male") + bmrFor("female")) / 2;
+}
+
+function deriveNutritionTargets(body, prefs) {
+  const { goals, avoid } = normalizeGoalTokens(prefs);
+  const { age, sex, weightKg, activity } = body;
+
+  let kcal = schofieldBmr(sex, age, weightKg) * (ACTIVITY_FACTORS[activity] || ACTIVITY_FACTORS.light);
+  if (goals.includes("weight_loss")) kcal *= 0.85;
+  kcal = Math.max(age >= 18 ? 1200 : 1000, kcal);
+
+  const proteinPerKg = goals.includes("high_protein") ? 1.6 : age < 18 ? 0.95 : 0.8;
+  const carbShare = goals.includes("low_carb") ? 0.25 : 0.5;
+  const fatShare = goals.includes("low_carb") ? 0.4 : 0.3;
+  const sugarShare = avoid.includes("excess_sugar") || avoid.includes("high_sugar") || goals.includes("low_sugar") ? 0.05 : 0.1;
+
+  const round = (x) => Math.round(x);
+  return {
+    caloriesKcal: round(kcal / 10) * 10,
+    proteinG: round(Math.max(proteinPerKg * weightKg, (kcal * 0.1) / 4)),
+    carbsG: round((kcal * carbShare) / 4),
+    fatG: round((kcal * fatShare) / 9),
+    fiberG: round((kcal / 1000) * (goals.includes("high_fiber") ? 16 : 14)),
+    sugarG: round((kcal * sugarShare) / 4),
+    sodiumMg: goals.includes("low_sodium") || avoid.includes("excess_sodium") ? 1500 : age < 14 ? 1800 : 2300,
+  };
+}
+
+/**
+ * Validates PUT .../targets. Both parts are optional; null clears that part.
+ * - targets: partial { caloriesKcal, proteinG, ... } set explicitly
+ * - body: { age, sex, weightKg, activity } used to derive the rest
+ */
+function validateTargetsInput(input) {
+  const b = input && typeof input === "object" ? input : {};
+  const errors = {};
+
+  let targets = {};
+  if (b.targets !== undefined && b.targets !== null) {
+    const r = validateNutrition(b.targets);
+    if (r.errors) Object.assign(errors, Object.fromEntries(Object.entries(r.errors).map(([k, v]) => [`targets.${k}`, v])));
+    else targets = r.value || {};
+  }
+
+  let body = null;
+  if (b.body !== undefined && b.body !== null) {
+    if (typeof b.body !== "object" || Array.isArray(b.body)) {
+      errors.body = ["must be an object or null"];
+    } else {
+      const age = Number(b.body.age);
+      const weightKg = Number(b.body.weightKg);
+      const sex = String(b.body.sex || "other").toLowerCase().trim();
+      const activity = String(b.body.activity || "light").toLowerCase().trim();
+
+      if (!Number.isFinite(age) || age < 1 || age > 120) errors["body.age"] = ["must be a number between 1 and 120"];
+      if (!Number.isFinite(weightKg) || weightKg < 5 || weightKg > 400) errors["body.weightKg"] = ["must be a number between 5 and 400"];
+      if (!TARGET_SEXES.has(sex)) errors["body.sex"] = [`must be one of: ${[...TARGET_SEXES].join(", ")}`];
+      if (!ACTIVITY_FACTORS[activity]) errors["body.activity"] = [`must be one of: ${Object.keys(ACTIVITY_FACTORS).join(", ")}`];
+
+      body = { age: Math.floor(age), sex, weightKg: Math.round(weightKg * 10) / 10, activity };
+    }
+  }
+
+  if (Object.keys(errors).length) return { errors };
+  return { value: { targets, body } };
+}
+
+/**
+ * Effective targets for a member + where each value came from ("explicit" | "derived" | "default").
+ */
+function getMemberTargets(memberId) {
+  const prefs = getMemberPreferences(memberId);
+  const row = memberTargetsGetStmt.get(String(memberId));
+
+  let explicit = {};
+  let body = null;
+  try {
+    explicit = row ? JSON.parse(row.targetsJson || "{}") || {} : {};
+  } catch {
+    explicit = {};
+  }
+  try {
+    body = row?.bodyJson ? JSON.parse(row.bodyJson) : null;
+  } catch {
+    body = null;
+  }
+
+  const base = body ? deriveNutritionTargets(body, prefs) : defaultNutritionTargets(prefs);
+  const targets = {};
+  const sources = {};
+  for (const k of NUTRITION_FIELDS) {
+    if (Number.isFinite(Number(explicit[k]))) {
+      targets[k] = Number(explicit[k]);
+      sources[k] = "explicit";
+    } else {
+      targets[k] = base[k];
+      sources[k] = body ? "derived" : "default";
+    }
+  }
+
+  return { memberId: String(memberId), targets, sources, body, updatedAt: row?.updatedAt || null };
+}
+
+function buildNutritionProgress(totals, targets) {
+  const out = {};
+  for (const k of NUTRITION_FIELDS) {
+    const total = Math.round(Number(totals?.[k] || 0) * 10) / 10;
+    const target = Number(targets[k] || 0);
+    const kind = TARGET_LIMIT_FIELDS.has(k) ? "limit" : "goal";
+    const percent = target > 0 ? Math.round((total / target) * 100) : null;
+    out[k] = {
+      kind,
+      total,
+      target,
+      percent,
+      remaining: Math.round(Math.max(0, target - total) * 10) / 10,
+      status:
+        kind === "limit"
+          ? total > target ? "over" : "ok"
+          : total >= target ? "met" : "under",
+    };
+  }
+  return out;
+}
+
+app.get("/v1/family/members/:memberId/targets", (req, res) => {
+  const userId = getUserId(req);
+  const memberId = String(req.params.memberId || "").trim();
+  if (!canAccessMemberPreferences(userId, memberId)) return res.status(404).json({ error: "NOT_FOUND" });
+
+  res.json(getMemberTargets(memberId));
+});
+
+app.put("/v1/family/members/:memberId/targets", (req, res) => {
+  const userId = getUserId(req);
+  const memberId = String(req.params.memberId || "").trim();
+  if (!canAccessMemberPreferences(userId, memberId)) return res.status(404).json({ error: "NOT_FOUND" });
+
+  const familyId = String(ensureUserRow(userId)?.familyId || "");
+  if (familyId && memberId !== userId) {
+    const denied = memberPermissionErrorFor(userId, familyId, "update", memberGetStmt.get(memberId));
+    if (denied) return res.status(403).json({ error: denied });
+  }
+
+  const { value, errors } = validateTargetsInput(req.body);
+  if (errors) return res.status(400).json({ error: "INVALID_TARGETS", details: errors });
+
+  if (!Object.keys(value.targets).length && !value.body) {
+    memberTargetsDeleteStmt.run(memberId);
+  } else {
+    memberTargetsUpsertStmt.run({
+      memberId,
+      targetsJson: JSON.stringify(value.targets),
+      bodyJson: value.body ? JSON.stringify(value.body) : null,
+      updatedAt: nowIso(),
+    });
+  }
+
+  res.json({ ok: true, ...getMemberTargets(memberId) });
+});
+
+
+
+// ============================================================================
+//  NUTRITION SCORING (deterministic, no AI) – services/scoring.js for every dish
+//  - Per-meal thresholds (~40% of the member's daily targets), tightened by conditions/goals/avoid
+//  - Rules are a versioned ruleset; tuned versions live in scoring_rulesets (admin endpoints below)
+// ============================================================================
+const NUTRITION_FIELDS = ["caloriesKcal", "proteinG", "carbsG", "fatG", "fiberG", "sugarG", "sodiumMg"];
+
+/**
+ * Validates a nutrition object for storage.
+ * Returns { value } (null clears nutrition) or { errors } keyed by field.
+ */
+function validateNutrition(raw) {
+  if (raw === null) return { value: null };
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { errors: { nutrition: ["must be an object or null"] } };
+
+  const errors = {};
+  const value = {};
+  for (const [k, v] of Object.entries(raw)) {
+    if (!NUTRITION_FIELDS.includes(k)) {
+      errors[k] = ["unknown field"];
+      continue;
+    }
+    const n = Number(v);
+    if (v === null || v === "" || !Number.isFinite(n) || n < 0) {
+      errors[k] = ["must be a non-negative number"];
+      continue;
+    }
+    value[k] = Math.round(n * 10) / 10;
+  }
+
+  if (Object.keys(errors).length) return { errors };
+  return { value };
+}
+
+// Log/scan/barcode wrapper around the shared scorer; `profile` is a memberScoringProfile().
+// label is AVOID on a hard allergy/diet conflict regardless of the health score.
+function scoreMealNutrition(nutrition, profile, dishName, description) {
+  const r = scoreDish({ name: dishName, description, nutrition, profile });
+  return {
+    score: r.score,
+    label: r.verdict,
+    reasons: r.reasons,
+    contributions: r.contributions,
+    rulesetVersion: r.rulesetVersion,
+    allergens: r.allergens,
+    dietaryConflicts: r.dietaryConflicts,
+    hardConflict: r.hardConflict,
+  };
+}
+
+// ---------- SCORING RULESETS (admin) ----------
+// Versions are immutable once stored; tuning = upload a new version, then activate it.
+// The built-in DEFAULT_RULESET is used until some version is activated.
+usageDb.exec(`
+  CREATE TABLE IF NOT EXISTS scoring_rulesets (
+    version TEXT PRIMARY KEY,
+    rulesetJson TEXT NOT NULL,
+    note TEXT,
+    createdBy TEXT,
+    createdAt TEXT NOT NULL,
+    activatedAt TEXT,
+    active INTEGER NOT NULL DEFAULT 0
+  );
+`);
+
+const rulesetGetStmt = usageDb.prepare(`SELECT * FROM scoring_rulesets WHERE version = ?`);
+const rulesetActiveStmt = usageDb.prepare(`SELECT * FROM scoring_rulesets WHERE active = 1 LIMIT 1`);
+const rulesetListStmt = usageDb.prepare(`
+  SELECT version, note, createdBy, createdAt, activatedAt, active
+  FROM scoring_rulesets
+  ORDER BY createdAt DESC
+`);
+const rulesetInsertStmt = usageDb.prepare(`
+  INSERT INTO scoring_rulesets(version, rulesetJson, note, createdBy, createdAt, activatedAt, active)
+  VALUES (@version, @rulesetJson, @note, @createdBy, @createdAt, NULL, 0)
+`);
+const rulesetActivate = usageDb.transaction((version) => {
+  usageDb.prepare(`UPDATE scoring_rulesets SET active = 0 WHERE active = 1`).run();
+  usageDb.prepare(`UPDATE scoring_rulesets SET active = 1, activatedAt = ? WHERE version = ?`).run(nowIso(), version);
+});
+
+function loadActiveRuleset() {
+  const row = rulesetActiveStmt.get();
+  if (!row) return setActiveRuleset(null);
+  const { value, errors } = validateRuleset(safeJsonParse(row.rulesetJson, null));
+  if (errors) {
+    console.error(`scoring ruleset ${row.version} is invalid, using built-in default:`, errors);
+    return setActiveRuleset(null);
+  }
+  setActiveRuleset(value);
+}
+loadActiveRuleset();
+
+function rulesetSummary(row) {
+  return {
+    version: row.version,
+    note: row.note || null,
+    createdBy: row.createdBy || null,
+    createdAt: row.createdAt,
+    activatedAt: row.activatedAt || null,
+    active: !!row.active,
+  };
+}
+
+app.use("/admin/scoring", requireAdminSession({ allowDevHeaderToken: true }));
+
+app.get("/admin/scoring/rulesets", (req, res) => {
+  res.json({
+    activeVersion: getActiveRuleset().version,
+    builtInVersion: DEFAULT_RULESET.version,
+    items: rulesetListStmt.all().map(rulesetSummary),
+  });
+});
+
+// "default" returns the built-in ruleset (a starting point for a tuned copy)
+app.get("/admin/scoring/rulesets/:version", (req, res) => {
+  const version = String(req.params.version);
+  if (version === "default") return res.json({ builtIn: true, ruleset: DEFAULT_RULESET });
+
+  const row = rulesetGetStmt.get(version);
+  if (!row) return res.status(404).json({ error: "ruleset_not_found" });
+  res.json({ ...rulesetSummary(row), ruleset: safeJsonParse(row.rulesetJson, null) });
+});
+
+// body: { ruleset: {...}, note?, activate? }
+app.post("/admin/scoring/rulesets", (req, res) => {
+  const { value, errors } = validateRuleset(req.body?.ruleset);
+  if (errors) return res.status(400).json({ error: "invalid_ruleset", details: errors });
+  if (value.version === DEFAULT_RULESET.version || rulesetGetStmt.get(value.version)) {
+    return res.status(409).json({ error: "ruleset_version_exists", version: value.version });
+  }
+
+  rulesetInsertStmt.run({
+    version: value.version,
+    rulesetJson: JSON.stringify(value),
+    note: req.body?.note ? String(req.body.note).slice(0, 500) : null,
+    createdBy: req.admin?.email || "dev",
+    createdAt: nowIso(),
+  });
+
+  if (req.body?.activate === true) {
+    rulesetActivate(value.version);
+    setActiveRuleset(value);
+  }
+
+  res.status(201).json(rulesetSummary(rulesetGetStmt.get(value.version)));
+});
+
+// "default" deactivates all stored versions (back to the built-in ruleset)
+app.post("/admin/scoring/rulesets/:version/activate", (req, res) => {
+  const version = String(req.params.version);
+  if (version === "default") {
+    usageDb.prepare(`UPDATE scoring_rulesets SET active = 0 WHERE active = 1`).run();
+    setActiveRuleset(null);
+    return res.json({ ok: true, activeVersion: getActiveRuleset().version });
+  }
+
+  const row = rulesetGetStmt.get(version);
+  if (!row) return res.status(404).json({ error: "ruleset_not_found" });
+  const { value, errors } = validateRuleset(safeJsonParse(row.rulesetJson, null));
+  if (errors) return res.status(409).json({ error: "invalid_ruleset", details: errors });
+
+  rulesetActivate(version);
+  setActiveRuleset(value);
+  res.json({ ok: true, activeVersion: value.version });
+});
+
+// Plate total = sum of the given components' nutrition (fields rounded to 0.1)
+function sumComponentNutrition(components) {
+  const out = {};
+  for (const k of NUTRITION_FIELDS) {
+    const total = (components || []).reduce((a, c) => a + (Number(c?.nutrition?.[k]) || 0), 0);
+    out[k] = Math.round(total * 10) / 10;
+  }
+  return out;
+}
+
+// ---------- PORTIONS ----------
+// A log's nutrition = baseNutrition (one serving as scanned/entered) x portionMultiplier.
+// portionGrams is an alternative input: multiplier = portionGrams / servingGrams.
+const PORTION_MULTIPLIER_MIN = 0.05;
+const PORTION_MULTIPLIER_MAX = 20;
+
+function scaleNutrition(nutrition, multiplier) {
+  if (!nutrition || typeof nutrition !== "object") return nutrition ?? null;
+  const out = {};
+  for (const [k, v] of Object.entries(nutrition)) {
+    const n = Number(v);
+    out[k] = typeof v === "number" || (v !== "" && v !== null && Number.isFinite(n)) ? Math.round(n * multiplier * 10) / 10 : v;
+  }
+  return out;
+}
+
+/**
+ * Validates portion input ({ portionMultiplier } or { portionGrams }, plus optional servingGrams).
+ * Returns { value: { multiplier, grams, servingGrams } | null } (null = nothing sent) or { errors }.
+ */
+function resolvePortionInput(b, knownServingGrams) {
+  const has = (k) => b[k] !== undefined && b[k] !== null && b[k] !== "";
+  const errors = {};
+
+  let servingGrams = knownServingGrams ?? null;
+  if (has("servingGrams")) {
+    const g = Number(b.servingGrams);
+    if (!Number.isFinite(g) || g <= 0 || g > 5000) errors.servingGrams = ["must be a number between 0 and 5000"];
+    else servingGrams = g;
+  }
+
+  if (!has("portionMultiplier") && !has("portionGrams")) {
+    if (Object.keys(errors).length) return { errors };
+    return { value: null, servingGrams };
+  }
+  if (has("portionMultiplier") && has("portionGrams")) {
+    return { errors: { portionMultiplier: ["send portionMultiplier or portionGrams, not both"] } };
+  }
+
+  let multiplier = null;
+  let grams = null;
+  if (has("portionMultiplier")) {
+    multiplier = Number(b.portionMultiplier);
+    if (!Number.isFinite(multiplier) || multiplier < PORTION_MULTIPLIER_MIN || multiplier > PORTION_MULTIPLIER_MAX) {
+      errors.portionMultiplier = [`must be a number between ${PORTION_MULTIPLIER_MIN} and ${PORTION_MULTIPLIER_MAX}`];
+    } else if (servingGrams) {
+      grams = Math.round(servingGrams * multiplier);
+    }
+  } else {
+    grams = Number(b.portionGrams);
+    if (!Number.isFinite(grams) || grams <= 0 || grams > 5000) {
+      errors.portionGrams = ["must be a number between 0 and 5000"];
+    } else if (!servingGrams) {
+      errors.portionGrams = ["needs servingGrams (from the scan or the request)"];
+    } else {
+      multiplier = grams / servingGrams;
+      if (multiplier < PORTION_MULTIPLIER_MIN || multiplier > PORTION_MULTIPLIER_MAX) {
+        errors.portionGrams = [`implies a multiplier outside ${PORTION_MULTIPLIER_MIN}-${PORTION_MULTIPLIER_MAX}`];
+      }
+    }
+  }
+
+  if (Object.keys(errors).length) return { errors };
+  return { value: { multiplier: Math.round(multiplier * 1000) / 1000, grams, servingGrams } };
+}
+
+/**
+ * Validates a plate component list for a log: [{ id?, name, portion?, confidence?, nutrition, included? }].
+ * Unticked items stay in the list with included:false so the log remembers what was on the plate.
+ * Returns { value } or { errors } keyed by "components[i].field".
+ */
+function validateLogComponents(raw) {
+  if (!Array.isArray(raw)) return { errors: { components: ["must be an array"] } };
+  if (raw.length > 20) return { errors: { components: ["max 20 components"] } };
+
+  const errors = {};
+  const value = raw.map((c, i) => {
+    const at = `components[${i}]`;
+    if (!c || typeof c !== "object" || Array.isArray(c)) {
+      errors[at] = ["must be an object"];
+      return null;
+    }
+    const name = String(c.name ?? "").trim();
+    if (!name) errors[`${at}.name`] = ["is required"];
+
+    const n = validateNutrition(c.nutrition ?? c.estimatedNutrition ?? null);
+    if (n.errors) {
+      for (const [k, msgs] of Object.entries(n.errors)) errors[`${at}.${k === "nutrition" ? "nutrition" : `nutrition.${k}`}`] = msgs;
+    }
+
+    return {
+      id: String(c.id ?? `c${i + 1}`),
+      name: name.slice(0, 120),
+      portion: c.portion === null || c.portion === undefined ? null : String(c.portion).slice(0, 80),
+      confidence: clampScore(c.confidence ?? 0),
+      nutrition: n.value || null,
+      included: c.included !== false,
+    };
+  });
+
+  if (Object.keys(errors).length) return { errors };
+  if (!value.some((c) => c.included)) return { errors: { components: ["at least one component must be included"] } };
+  return { value };
+}
+
 
 
 // ============================================================================
@@ -1984,25 +3516,190 @@ usageDb.exec(`
   );
   CREATE INDEX IF NOT EXISTS idx_meal_logs_user_day ON meal_logs(userId, day);
   CREATE INDEX IF NOT EXISTS idx_meal_logs_created ON meal_logs(createdAt);
+  CREATE INDEX IF NOT EXISTS idx_meal_logs_user_created ON meal_logs(userId, createdAt);
 `);
 
+function ensureMealLogsSchema() {
+  for (const col of [
+    "updatedAt TEXT",
+    "portion TEXT",
+    "componentsJson TEXT",
+    "portionMultiplier REAL",
+    "portionGrams REAL",
+    "servingGrams REAL",
+    "baseNutritionJson TEXT",
+  ]) {
+    try {
+      usageDb.prepare(`ALTER TABLE meal_logs ADD COLUMN ${col}`).run();
+    } catch (e) {
+      // ignore "duplicate column name"
+    }
+  }
+}
+ensureMealLogsSchema();
+
 const logsInsertStmt = usageDb.prepare(`
   INSERT INTO meal_logs
-  (id, createdAt, day, userId, mealType, source, dishName, score, label, confidence, whyJson, tipsJson, nutritionJson, photoUri, scanId)
+  (id, createdAt, day, userId, mealType, source, dishName, score, label, confidence, whyJson, tipsJson, nutritionJson, photoUri, scanId, portion, componentsJson, portionMultiplier, portionGrams, servingGrams, baseNutritionJson, updatedAt)
   VALUES
-  (@id, @createdAt, @day, @userId, @mealType, @source, @dishName, @score, @label, @confidence, @whyJson, @tipsJson, @nutritionJson, @photoUri, @scanId)
+  (@id, @createdAt, @day, @userId, @mealType, @source, @dishName, @score, @label, @confidence, @whyJson, @tipsJson, @nutritionJson, @photoUri, @scanId, @portion, @componentsJson, @portionMultiplier, @portionGrams, @servingGrams, @baseNutritionJson, @createdAt)
 `);
 
-const logsListStmt = usageDb.prepare(`
-  SELECT id, createdAt, day, userId, mealType, source, dishName, score, label, confidence, whyJson, tipsJson, nutritionJson, photoUri, scanId
-  FROM meal_logs
-  WHERE userId IN (SELECT value FROM json_each(@userIdsJson))
-  ORDER BY createdAt DESC
-  LIMIT @limit
+const logsUpdateStmt = usageDb.prepare(`
+  UPDATE meal_logs
+  SET day = @day,
+      mealType = @mealType,
+      dishName = @dishName,
+      portion = @portion,
+      score = @score,
+      label = @label,
+      nutritionJson = @nutritionJson,
+      portionMultiplier = @portionMultiplier,
+      portionGrams = @portionGrams,
+      baseNutritionJson = @baseNutritionJson,
+      photoUri = @photoUri,
+      updatedAt = @updatedAt
+  WHERE id = @id
 `);
 
+/**
+ * Filtered, cursor-paginated log query (newest first).
+ * Cursor encodes the last row's (createdAt, id) so pages stay stable while new logs arrive.
+ */
+function queryLogs({ userIds, from, to, mealType, source, minScore, maxScore, q, cursor, limit }) {
+  const where = ["userId IN (SELECT value FROM json_each(@userIdsJson))"];
+  const params = { userIdsJson: JSON.stringify(userIds || []), lim: limit + 1 };
+
+  if (from) {
+    where.push("day >= @from");
+    params.from = from;
+  }
+  if (to) {
+    where.push("day <= @to");
+    params.to = to;
+  }
+  if (mealType) {
+    where.push("mealType = @mealType");
+    params.mealType = mealType;
+  }
+  if (source) {
+    where.push("source = @source");
+    params.source = source;
+  }
+  if (minScore !== null && minScore !== undefined) {
+    where.push("score >= @minScore");
+    params.minScore = minScore;
+  }
+  if (maxScore !== null && maxScore !== undefined) {
+    where.push("score <= @maxScore");
+    params.maxScore = maxScore;
+  }
+  if (q) {
+    where.push("dishName LIKE @q ESCAPE '\\'");
+    params.q = `%${q.replace(/[\\%_]/g, (c) => `\\${c}`)}%`;
+  }
+  if (cursor) {
+    where.push("(createdAt < @cursorCreatedAt OR (createdAt = @cursorCreatedAt AND id < @cursorId))");
+    params.cursorCreatedAt = cursor.createdAt;
+    params.cursorId = cursor.id;
+  }
+
+  const rows = usageDb
+    .prepare(
+      `
+      SELECT id, createdAt, day, userId, mealType, source, dishName, score, label, confidence, whyJson, tipsJson, nutritionJson, photoUri, scanId, portion, componentsJson, portionMultiplier, portionGrams, servingGrams, baseNutritionJson, updatedAt
+      FROM meal_logs
+      WHERE ${where.join(" AND ")}
+      ORDER BY createdAt DESC, id DESC
+      LIMIT @lim
+    `
+    )
+    .all(params);
+
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+  const last = page[page.length - 1];
+
+  return {
+    rows: page,
+    nextCursor: hasMore && last ? encodeLogsCursor({ createdAt: last.createdAt, id: last.id }) : null,
+  };
+}
+
+function encodeLogsCursor({ createdAt, id }) {
+  return Buffer.from(JSON.stringify({ c: String(createdAt), i: String(id) })).toString("base64url");
+}
+
+function decodeLogsCursor(raw) {
+  try {
+    const v = JSON.parse(Buffer.from(String(raw), "base64url").toString("utf8"));
+    if (!v?.c || !v?.i) return null;
+    return { createdAt: String(v.c), id: String(v.i) };
+  } catch {
+    return null;
+  }
+}
+
+function isIsoDay(v) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(v)) && !Number.isNaN(Date.parse(`${v}T00:00:00Z`));
+}
+
+/**
+ * Parses GET /v1/logs filters.
+ * Returns { filters } or { errors } keyed by query param.
+ */
+function parseLogsQuery(query) {
+  const qv = (k) => (query[k] === undefined ? "" : String(query[k]).trim());
+  const errors = {};
+  const filters = {};
+
+  const limitRaw = Number(query.limit ?? 200);
+  filters.limit = Number.isFinite(limitRaw) ? Math.max(1, Math.min(500, Math.trunc(limitRaw))) : 200;
+
+  for (const k of ["from", "to"]) {
+    const v = qv(k);
+    if (!v) continue;
+    if (!isIsoDay(v)) errors[k] = ["must be YYYY-MM-DD"];
+    else filters[k] = v;
+  }
+  if (filters.from && filters.to && filters.from > filters.to) errors.from = ["must be <= to"];
+
+  const mealType = qv("mealType").toLowerCase();
+  if (mealType) {
+    if (!LOG_MEAL_TYPES.has(mealType)) errors.mealType = [`must be one of: ${[...LOG_MEAL_TYPES].join(", ")}`];
+    else filters.mealType = mealType;
+  }
+
+  const source = qv("source");
+  if (source) filters.source = source.slice(0, 40);
+
+  for (const k of ["minScore", "maxScore"]) {
+    const v = qv(k);
+    if (!v) continue;
+    const n = Number(v);
+    if (!Number.isFinite(n) || n < 0 || n > 100) errors[k] = ["must be a number 0-100"];
+    else filters[k] = n;
+  }
+  if (filters.minScore !== undefined && filters.maxScore !== undefined && filters.minScore > filters.maxScore) {
+    errors.minScore = ["must be <= maxScore"];
+  }
+
+  const q = qv("q");
+  if (q) filters.q = q.slice(0, 100);
+
+  const cursor = qv("cursor");
+  if (cursor) {
+    const decoded = decodeLogsCursor(cursor);
+    if (!decoded) errors.cursor = ["invalid cursor"];
+    else filters.cursor = decoded;
+  }
+
+  if (Object.keys(errors).length) return { errors };
+  return { filters };
+}
+
 const logsListByUserStmt = usageDb.prepare(`
-  SELECT id, createdAt, day, userId, mealType, source, dishName, score, label, confidence, whyJson, tipsJson, nutritionJson, photoUri, scanId
+  SELECT id, createdAt, day, userId, mealType, source, dishName, score, label, confidence, whyJson, tipsJson, nutritionJson, photoUri, scanId, portion, componentsJson, portionMultiplier, portionGrams, servingGrams, baseNutritionJson, updatedAt
   FROM meal_logs
   WHERE userId = @userId
   ORDER BY createdAt DESC
@@ -2010,7 +3707,7 @@ const logsListByUserStmt = usageDb.prepare(`
 `);
 
 const logsListByUserDayStmt = usageDb.prepare(`
-  SELECT id, createdAt, day, userId, mealType, source, dishName, score, label, confidence, whyJson, tipsJson, nutritionJson, photoUri, scanId
+  SELECT id, createdAt, day, userId, mealType, source, dishName, score, label, confidence, whyJson, tipsJson, nutritionJson, photoUri, scanId, portion, componentsJson, portionMultiplier, portionGrams, servingGrams, baseNutritionJson, updatedAt
   FROM meal_logs
   WHERE userId = @userId AND day = @day
   ORDER BY createdAt DESC
@@ -2018,7 +3715,7 @@ const logsListByUserDayStmt = usageDb.prepare(`
 `);
 
 const logsGetByIdStmt = usageDb.prepare(`
-  SELECT id, createdAt, day, userId, mealType, source, dishName, score, label, confidence, whyJson, tipsJson, nutritionJson, photoUri, scanId
+  SELECT id, createdAt, day, userId, mealType, source, dishName, score, label, confidence, whyJson, tipsJson, nutritionJson, photoUri, scanId, portion, componentsJson, portionMultiplier, portionGrams, servingGrams, baseNutritionJson, updatedAt
   FROM meal_logs
   WHERE id = @id
   LIMIT 1
@@ -2061,6 +3758,13 @@ function normalizeLogRow(r) {
     nutrition: safeJsonParse(r.nutritionJson, null),
     photoUri: r.photoUri ? String(r.photoUri) : "",
     scanId: r.scanId ? String(r.scanId) : undefined,
+    portion: r.portion ? String(r.portion) : null,
+    components: safeJsonParse(r.componentsJson, null),
+    portionMultiplier: r.portionMultiplier === null || r.portionMultiplier === undefined ? 1 : Number(r.portionMultiplier),
+    portionGrams: r.portionGrams === null || r.portionGrams === undefined ? null : Number(r.portionGrams),
+    servingGrams: r.servingGrams === null || r.servingGrams === undefined ? null : Number(r.servingGrams),
+    baseNutrition: safeJsonParse(r.baseNutritionJson, null),
+    updatedAt: String(r.updatedAt || r.createdAt),
   };
 }
 
@@ -2068,25 +3772,21 @@ function inClausePlaceholders(n) {
   return Array.from({ length: n }, () => "?").join(", ");
 }
 
+// GET /v1/logs?userId=&from=&to=&mealType=&source=&minScore=&maxScore=&q=&limit=&cursor=
+// Returns: { logs, nextCursor } (nextCursor null on the last page)
 app.get("/v1/logs", (req, res) => {
   try {
-    const limitRaw = Number(req.query.limit ?? 200);
-    const limit = Number.isFinite(limitRaw) ? Math.max(1, Math.min(500, limitRaw)) : 200;
+    const { filters, errors } = parseLogsQuery(req.query || {});
+    if (errors) return res.status(400).json({ error: "invalid_query", details: errors });
 
     const uid = String(req.ctx?.userId || "").trim();
     const me = req.ctx?.me || null;
     if (!uid) return res.status(401).json({ error: "Not authenticated" });
 
     // meal_logs.userId stores member IDs in family mode (mem_*)
-    let allowedIds = [];
-    if (me?.mode === "family") {
-      allowedIds = (me.family?.members || []).map((m) => String(m.id)).filter(Boolean);
-    } else {
-      const active = String(me?.family?.activeMemberId || me?.userId || uid || "u_self");
-      allowedIds = [active].filter(Boolean);
-    }
+    let allowedIds = viewableMemberIds(me, uid);
 
-    if (!allowedIds.length) return res.json({ logs: [] });
+    if (!allowedIds.length) return res.json({ logs: [], nextCursor: null });
 
     // Optional: filter to one memberId (must be allowed)
     const requested = req.query.userId ? String(req.query.userId).trim() : "";
@@ -2097,12 +3797,9 @@ app.get("/v1/logs", (req, res) => {
       allowedIds = [requested];
     }
 
-    const rows = logsListStmt.all({
-      userIdsJson: JSON.stringify(allowedIds),
-      limit,
-    });
+    const { rows, nextCursor } = queryLogs({ ...filters, userIds: allowedIds });
 
-    return res.json({ logs: rows.map(normalizeLogRow) });
+    return res.json({ logs: rows.map(normalizeLogRow), nextCursor });
   } catch (e) {
     return res.status(500).json({ error: "Failed to fetch logs", details: String(e?.message || e) });
   }
@@ -2114,29 +3811,123 @@ app.get("/v1/logs/:id", (req, res) => {
     const id = String(req.params.id || "").trim();
     if (!id) return res.status(400).json({ error: "missing id" });
 
-    const uid = String(req.ctx?.userId || "").trim();
-    const me = req.ctx?.me || null;
-    if (!uid) return res.status(401).json({ error: "Not authenticated" });
+    const uid = String(req.ctx?.userId || "").trim();
+    const me = req.ctx?.me || null;
+    if (!uid) return res.status(401).json({ error: "Not authenticated" });
+
+    const row = logsGetByIdStmt.get({ id }); // <-- should be prepared on usageDb already
+    if (!row) return res.status(404).json({ error: "Log item not found." });
+
+    if (!canViewLog(me, row)) return res.status(403).json({ error: "forbidden", code: "LOG_FORBIDDEN" });
+
+    return res.json({ log: normalizeLogRow(row) });
+  } catch (e) {
+    return res.status(500).json({ error: "Failed to load log", details: String(e?.message || e) });
+  }
+});
+
+
+
+// DELETE a log (SQLite-backed)
+app.delete("/v1/logs/:id", (req, res) => {
+  try {
+    const id = String(req.params.id || "").trim();
+    if (!id) return res.status(400).json({ error: "missing id" });
+
+    const uid = String(req.ctx?.userId || "").trim();
+    const me = req.ctx?.me || null;
+    if (!uid) return res.status(401).json({ error: "Not authenticated" });
+
+    const row = logsGetByIdStmt.get({ id });
+    if (!row) return res.status(404).json({ error: "log not found" });
+
+    if (!canDeleteLog(me, row)) {
+      return res.status(403).json({ error: "forbidden", code: logPermissionCode(me) });
+    }
+
+    const info = logsDeleteByIdStmt.run({ id });
+    if (!info || Number(info.changes || 0) < 1) {
+      return res.status(404).json({ error: "log not found" });
+    }
+
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(500).json({ error: "failed to delete log", details: String(e?.message || e) });
+  }
+});
+
+
+
+
+// PATCH a log: { mealType?, dishName?, portion?, day?, photoUri?, nutrition? }
+// nutrition is field-level (sent fields replace stored ones, null clears it); editing it
+// recomputes score + label for the logged-for member.
+const LOG_MEAL_TYPES = new Set(["breakfast", "lunch", "dinner", "snack"]);
+
+function validateLogPatch(body) {
+  const b = body && typeof body === "object" ? body : {};
+  const errors = {};
+  const patch = {};
+  const allowed = new Set([
+    "mealType",
+    "dishName",
+    "portion",
+    "day",
+    "photoUri",
+    "nutrition",
+    "portionMultiplier",
+    "portionGrams",
+  ]);
+
+  for (const k of Object.keys(b)) {
+    if (!allowed.has(k)) errors[k] = ["field cannot be updated"];
+  }
+
+  if (b.mealType !== undefined) {
+    const v = String(b.mealType || "").toLowerCase().trim();
+    if (!LOG_MEAL_TYPES.has(v)) errors.mealType = [`must be one of: ${[...LOG_MEAL_TYPES].join(", ")}`];
+    else patch.mealType = v;
+  }
+
+  if (b.dishName !== undefined) {
+    const v = String(b.dishName || "").trim();
+    if (!v || v.length > 200) errors.dishName = ["must be 1-200 characters"];
+    else patch.dishName = v;
+  }
 
-    const row = logsGetByIdStmt.get({ id }); // <-- should be prepared on usageDb already
-    if (!row) return res.status(404).json({ error: "Log item not found." });
+  if (b.portion !== undefined) {
+    const v = b.portion === null ? "" : String(b.portion).trim();
+    if (v.length > 80) errors.portion = ["max 80 characters"];
+    else patch.portion = v || null;
+  }
 
-    // reuse your existing policy helper if present
-    if (typeof canDeleteLog === "function") {
-      // same check works for "can view" in your MVP
-      if (!canDeleteLog(me, row)) return res.status(403).json({ error: "forbidden" });
-    }
+  if (b.day !== undefined) {
+    const v = String(b.day || "").trim();
+    if (!isIsoDay(v)) errors.day = ["must be YYYY-MM-DD"];
+    else patch.day = v;
+  }
 
-    return res.json({ log: normalizeLogRow(row) });
-  } catch (e) {
-    return res.status(500).json({ error: "Failed to load log", details: String(e?.message || e) });
+  if (b.photoUri !== undefined) patch.photoUri = b.photoUri ? String(b.photoUri) : "";
+
+  if (b.nutrition !== undefined) {
+    const { value, errors: nErrors } = validateNutrition(b.nutrition);
+    if (nErrors) {
+      for (const [k, v] of Object.entries(nErrors)) errors[k === "nutrition" ? k : `nutrition.${k}`] = v;
+    } else patch.nutrition = value;
   }
-});
 
+  // Resolved against the log's servingGrams by the handler
+  for (const k of ["portionMultiplier", "portionGrams"]) {
+    if (b[k] !== undefined) patch[k] = b[k];
+  }
 
+  if (!Object.keys(errors).length && !Object.keys(patch).length) errors.body = ["no updatable fields"];
 
-// DELETE a log (SQLite-backed)
-app.delete("/v1/logs/:id", (req, res) => {
+  if (Object.keys(errors).length) return { errors };
+  return { patch };
+}
+
+app.patch("/v1/logs/:id", (req, res) => {
   try {
     const id = String(req.params.id || "").trim();
     if (!id) return res.status(400).json({ error: "missing id" });
@@ -2149,23 +3940,69 @@ app.delete("/v1/logs/:id", (req, res) => {
     if (!row) return res.status(404).json({ error: "log not found" });
 
     if (!canDeleteLog(me, row)) {
-      return res.status(403).json({ error: "forbidden" });
+      return res.status(403).json({ error: "forbidden", code: logPermissionCode(me) });
     }
 
-    const info = logsDeleteByIdStmt.run({ id });
-    if (!info || Number(info.changes || 0) < 1) {
-      return res.status(404).json({ error: "log not found" });
+    const { patch, errors } = validateLogPatch(req.body);
+    if (errors) return res.status(400).json({ error: "invalid_log_update", details: errors });
+
+    const current = normalizeLogRow(row);
+    const { portionMultiplier: _pm, portionGrams: _pg, ...fields } = patch;
+    const next = { ...current, ...fields };
+
+    const portionInput = resolvePortionInput(patch, current.servingGrams);
+    if (portionInput.errors) return res.status(400).json({ error: "invalid_log_update", details: portionInput.errors });
+    if (portionInput.value) {
+      next.portionMultiplier = portionInput.value.multiplier;
+      next.portionGrams = portionInput.value.grams;
     }
 
-    return res.json({ ok: true });
+    // Edited nutrition is what was eaten at the (new) portion; keep baseNutrition as one serving.
+    // Patched fields merge over the stored values, so { caloriesKcal } alone keeps protein etc.
+    const m = next.portionMultiplier || 1;
+    const currentBase = current.baseNutrition || scaleNutrition(current.nutrition, 1 / (current.portionMultiplier || 1));
+    if (patch.nutrition === null) {
+      next.nutrition = null;
+      next.baseNutrition = null;
+    } else if (patch.nutrition !== undefined) {
+      next.nutrition = { ...(scaleNutrition(currentBase, m) || {}), ...patch.nutrition };
+      next.baseNutrition = scaleNutrition(next.nutrition, 1 / m);
+    } else if (portionInput.value) {
+      next.baseNutrition = currentBase;
+      next.nutrition = scaleNutrition(currentBase, m);
+    }
+
+    let scoreRecomputed = false;
+    if (next.nutrition && (patch.nutrition !== undefined || portionInput.value)) {
+      const scored = scoreMealNutrition(next.nutrition, memberScoringProfile(current.userId), next.dishName);
+      next.score = scored.score;
+      next.label = scored.label;
+      scoreRecomputed = true;
+    }
+
+    logsUpdateStmt.run({
+      id,
+      day: next.day,
+      mealType: next.mealType,
+      dishName: next.dishName,
+      portion: next.portion ?? null,
+      score: clampScore(next.score),
+      label: String(next.label ?? ""),
+      nutritionJson: JSON.stringify(next.nutrition ?? null),
+      portionMultiplier: next.portionMultiplier ?? 1,
+      portionGrams: next.portionGrams ?? null,
+      baseNutritionJson: JSON.stringify(next.baseNutrition ?? null),
+      photoUri: next.photoUri || "",
+      updatedAt: nowIso(),
+    });
+
+    return res.json({ ok: true, item: normalizeLogRow(logsGetByIdStmt.get({ id })), scoreRecomputed });
   } catch (e) {
-    return res.status(500).json({ error: "failed to delete log", details: String(e?.message || e) });
+    return res.status(500).json({ error: "failed to update log", details: String(e?.message || e) });
   }
 });
 
 
-
-
 app.post("/v1/logs", (req, res) => {
 
   console.log("[/v1/logs POST] body keys:", Object.keys(req.body || {}), "userId:", (req.body || {}).userId);
@@ -2188,14 +4025,43 @@ app.post("/v1/logs", (req, res) => {
       // (If your family has exact names "Spouse", "Child 1", etc.)
       if (uid === "u_head") return String(me.family?.activeMemberId || uid);
     }
+
+    // Missing / legacy self id -> the caller's active member
+    if (!uid || uid === "u_self") return String(me?.family?.activeMemberId || "u_self");
   
-    return uid || "u_self";
+    return uid;
   }
   
 
 
 
-  const item = req.body || {};
+  const body = req.body || {};
+
+  // scanId alone is enough: fill the log from the stored scan, explicit body fields win.
+  // A full log body with an unknown scanId (older scans, lost rows) is logged as sent.
+  let scan = null;
+  if (body.scanId) {
+    scan = scanGetStmt.get(String(body.scanId));
+    if (scan && !canViewScan(req.ctx?.me || null, req.ctx?.userId, scan)) scan = null;
+    const scanIdOnly = !body.dishName && body.nutrition === undefined && body.estimatedNutrition === undefined;
+    if (!scan && scanIdOnly) return res.status(404).json({ error: "scan_not_found" });
+  }
+  const item = scan ? { ...scanToLogFields(normalizeScanRow(scan)), ...body } : body;
+
+  // Plate components: explicit list, or the stored scan's list narrowed by includedComponentIds
+  let components = null;
+  if (body.components !== undefined || (scan && Array.isArray(body.includedComponentIds))) {
+    let rawComponents = body.components;
+    if (rawComponents === undefined) {
+      const keep = new Set(body.includedComponentIds.map(String));
+      rawComponents = (item.components || []).map((c) => ({ ...c, included: keep.has(String(c.id)) }));
+    }
+    const r = validateLogComponents(rawComponents);
+    if (r.errors) return res.status(400).json({ error: "invalid_log", details: r.errors });
+    components = r.value;
+  } else if (Array.isArray(item.components) && item.components.length) {
+    components = item.components.map((c) => ({ ...c, included: true }));
+  }
 
   // accept multiple payload shapes
   const rawScore =
@@ -2222,28 +4088,68 @@ app.post("/v1/logs", (req, res) => {
     const me = req.ctx?.me || null;
     const loggedFor = normalizeLoggedForUserId(item.userId, me);
 
+  if (!canManageMemberLogs(me, loggedFor)) {
+    return res.status(403).json({ error: "forbidden", code: logPermissionCode(me) });
+  }
+
+  // Missing -> "lunch" (as before); values outside LOG_MEAL_TYPES ("brunch", "Supper") are
+  // stored as "snack" rather than rejected, so older clients keep logging
+  const requestedMealType = String(item.mealType || "lunch").toLowerCase().trim();
+  const mealType = LOG_MEAL_TYPES.has(requestedMealType) ? requestedMealType : "snack";
+
+  const portionInput = resolvePortionInput(body, item.servingGrams ?? null);
+  if (portionInput.errors) return res.status(400).json({ error: "invalid_log", details: portionInput.errors });
+
+  // Unticked components change what was eaten: total the rest and rescore
+  let componentNutrition = null;
+  let componentScore = null;
+  if (components && components.some((c) => !c.included)) {
+    componentNutrition = sumComponentNutrition(components.filter((c) => c.included));
+    componentScore = scoreMealNutrition(componentNutrition, memberScoringProfile(loggedFor), item.dishName);
+  } else if (components && body.nutrition === undefined && body.estimatedNutrition === undefined && !scan) {
+    componentNutrition = sumComponentNutrition(components);
+    if (rawScore === undefined) componentScore = scoreMealNutrition(componentNutrition, memberScoringProfile(loggedFor), item.dishName);
+  }
+
+  // Portion: nutrition is rescaled from one serving and the score recomputed from the result
+  const baseNutrition = componentNutrition || item.nutrition || item.estimatedNutrition || null;
+  const portion = portionInput.value;
+  let portionScore = null;
+  let nutrition = baseNutrition;
+  if (portion && portion.multiplier !== 1 && baseNutrition) {
+    nutrition = scaleNutrition(baseNutrition, portion.multiplier);
+    portionScore = scoreMealNutrition(nutrition, memberScoringProfile(loggedFor), item.dishName);
+  }
+  const scored = portionScore || componentScore;
+
   const entry = {
     
     id: `log_${Date.now()}_${Math.random().toString(16).slice(2)}`,
     createdAt: new Date().toISOString(),
-    day: item.day ? String(item.day) : isoDay(),
+    day: item.day ? String(item.day) : isoDay(new Date(), req.ctx?.timeZone),
 
     // IMPORTANT: this is the "logged-for" member id (mem_...) or user id (u_...)
     //userId: String(item.userId || "u_self"),
     userId: loggedFor,
 
-    mealType: String(item.mealType || "lunch"),
+    mealType,
     source: String(item.source || "scan"),
     dishName: String(item.dishName || "Unknown dish"),
-    score: clampScore(rawScore),
-    label: String(rawLabel || ""),
+    score: scored ? scored.score : clampScore(rawScore),
+    label: scored ? scored.label : String(rawLabel || ""),
     confidence: Number(rawConfidence ?? 0),
 
     why: Array.isArray(item.why) ? item.why.map(String) : [],
     tips: Array.isArray(item.tips) ? item.tips.map(String) : [],
-    nutrition: item.nutrition || item.estimatedNutrition || null,
+    nutrition,
     photoUri: item.photoUri ? String(item.photoUri) : "",
     scanId: item.scanId ? String(item.scanId) : undefined,
+    portion: item.portion ? String(item.portion).slice(0, 80) : null,
+    components,
+    portionMultiplier: portion ? portion.multiplier : 1,
+    portionGrams: portion ? portion.grams : null, // only when the user picked a portion
+    servingGrams: portion ? portion.servingGrams : portionInput.servingGrams ?? null,
+    baseNutrition,
   };
 
   logsInsertStmt.run({
@@ -2251,9 +4157,11 @@ app.post("/v1/logs", (req, res) => {
     whyJson: JSON.stringify(entry.why || []),
     tipsJson: JSON.stringify(entry.tips || []),
     nutritionJson: JSON.stringify(entry.nutrition ?? null),
+    componentsJson: components ? JSON.stringify(components) : null,
+    baseNutritionJson: JSON.stringify(baseNutrition ?? null),
   });
 
-  res.json({ ok: true, item: entry });
+  res.json({ ok: true, item: { ...entry, updatedAt: entry.createdAt } });
 });
 
 
@@ -2280,9 +4188,10 @@ app.get("/v1/day-summary", (req, res) => {
 
     const windowDays = Math.max(1, Math.min(Number(req.query.windowDays) || 1, 60));
 
-    const day = String(req.query.day || "").trim() || isoDay();
+    const timeZone = req.ctx?.timeZone || DEFAULT_TIME_ZONE;
+    const day = String(req.query.day || "").trim() || isoDay(new Date(), timeZone);
 
-    // Use UTC day boundaries for stability
+    // "day" is already a calendar day in the caller's zone; step back over it with UTC date math
     const end = new Date(`${day}T00:00:00.000Z`);
     const start = new Date(end);
     start.setUTCDate(start.getUTCDate() - (windowDays - 1));
@@ -2325,6 +4234,7 @@ app.get("/v1/day-summary", (req, res) => {
     res.json({
       userId,
       day,
+      timeZone,
       mealsLogged,
       dailyScore,
       avgScore,
@@ -2338,6 +4248,120 @@ app.get("/v1/day-summary", (req, res) => {
 });
 
 
+// ---------- TRENDS (per-bucket counts, scores, nutrition totals) ----------
+// GET /v1/trends?memberId=<id>&granularity=day|week|month&from=YYYY-MM-DD&to=YYYY-MM-DD
+// Returns: { memberId, granularity, from, to, buckets: [{ bucket, start, end, meals, avgScore, nutrition }] }
+// Empty buckets are included (zeros) so charts get a continuous x-axis.
+const TREND_GRANULARITIES = {
+  day: { defaultSpanDays: 30, maxSpanDays: 366 },
+  week: { defaultSpanDays: 7 * 12, maxSpanDays: 7 * 104 },
+  month: { defaultSpanDays: 365, maxSpanDays: 365 * 5 },
+};
+
+const trendLogsRangeStmt = usageDb.prepare(`
+  SELECT day, score, nutritionJson
+  FROM meal_logs
+  WHERE userId = @userId
+    AND day >= @startDay
+    AND day <= @endDay
+  ORDER BY day ASC
+`);
+
+function addDaysUtc(dayStr, n) {
+  const d = new Date(`${dayStr}T00:00:00.000Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return isoDayUtc(d);
+}
+
+// Bucket start for a day: itself, the Monday of its ISO week, or the 1st of its month
+function trendBucketStart(dayStr, granularity) {
+  if (granularity === "month") return `${dayStr.slice(0, 7)}-01`;
+  if (granularity === "week") {
+    const dow = new Date(`${dayStr}T00:00:00.000Z`).getUTCDay(); // 0 = Sunday
+    return addDaysUtc(dayStr, -((dow + 6) % 7));
+  }
+  return dayStr;
+}
+
+function trendBucketEnd(startDay, granularity) {
+  if (granularity === "month") {
+    const d = new Date(`${startDay}T00:00:00.000Z`);
+    d.setUTCMonth(d.getUTCMonth() + 1);
+    d.setUTCDate(0);
+    return isoDayUtc(d);
+  }
+  if (granularity === "week") return addDaysUtc(startDay, 6);
+  return startDay;
+}
+
+function trendBucketLabel(startDay, granularity) {
+  return granularity === "month" ? startDay.slice(0, 7) : startDay;
+}
+
+app.get("/v1/trends", (req, res) => {
+  try {
+    const me = req.ctx?.me || null;
+
+    const granularity = String(req.query.granularity || "day").toLowerCase().trim();
+    const cfg = TREND_GRANULARITIES[granularity];
+    if (!cfg) return res.status(400).json({ error: "invalid_granularity", allowed: Object.keys(TREND_GRANULARITIES) });
+
+    const memberId =
+      String(req.query.memberId || "").trim() ||
+      String(me?.family?.activeMemberId || me?.userId || req.ctx?.userId || "u_self");
+
+    if (!canViewLog(me, { userId: memberId })) {
+      return res.status(403).json({ error: "forbidden", code: "LOG_FORBIDDEN" });
+    }
+
+    const toRaw = String(req.query.to || "").trim();
+    const fromRaw = String(req.query.from || "").trim();
+    if ((toRaw && !isIsoDay(toRaw)) || (fromRaw && !isIsoDay(fromRaw))) {
+      return res.status(400).json({ error: "invalid_query", message: "from/to must be YYYY-MM-DD" });
+    }
+
+    const to = toRaw || isoDay(new Date(), req.ctx?.timeZone);
+    const from = fromRaw || addDaysUtc(to, -(cfg.defaultSpanDays - 1));
+    if (from > to) return res.status(400).json({ error: "invalid_query", message: "from must be <= to" });
+    if (addDaysUtc(from, cfg.maxSpanDays) <= to) {
+      return res.status(400).json({ error: "range_too_large", maxSpanDays: cfg.maxSpanDays });
+    }
+
+    // Pre-build every bucket in range
+    const buckets = new Map();
+    for (let start = trendBucketStart(from, granularity); start <= to; ) {
+      const end = trendBucketEnd(start, granularity);
+      buckets.set(start, { start, end, logs: [] });
+      start = addDaysUtc(end, 1);
+    }
+
+    const rows = trendLogsRangeStmt.all({ userId: memberId, startDay: from, endDay: to }) || [];
+    for (const r of rows) {
+      const b = buckets.get(trendBucketStart(String(r.day), granularity));
+      if (b) b.logs.push({ score: Number(r.score || 0), nutrition: safeJsonParse(r.nutritionJson, null) });
+    }
+
+    const out = Array.from(buckets.values()).map((b) => {
+      const meals = b.logs.length;
+      const { hasAny: _hasAny, ...nutrition } = sumNutrition(b.logs);
+      return {
+        bucket: trendBucketLabel(b.start, granularity),
+        start: b.start,
+        end: b.end,
+        meals,
+        avgScore: meals ? clampScore(b.logs.reduce((a, x) => a + x.score, 0) / meals) : null,
+        nutrition,
+      };
+    });
+
+    res.json({ memberId, granularity, from, to, buckets: out });
+  } catch (e) {
+    console.error("trends error:", e);
+    res.status(500).json({ error: "trends_error" });
+  }
+});
+
+
 
 
 
@@ -2346,7 +4370,7 @@ app.get("/v1/day-summary", (req, res) => {
 
 // ============================================================================
 //  HOME RECOMMENDATIONS – /v1/home-recommendations
-//  - Uses /v1/me + in-memory logs + MEMBER_PREFERENCES (personality)
+//  - Uses /v1/me + SQLite logs + member_preferences (personality)
 //  - Returns next meal focus + 3 food suggestions
 // ============================================================================
 function normalizeGoalTokens(prefs) {
@@ -2592,7 +4616,8 @@ function buildSuggestionPool({ goals, avoid, cuisines }, recentHints) {
 }
 
 app.get("/v1/home-recommendations", (req, res) => {
-  const day = String(req.query.day || "").trim() || isoDay();
+  const timeZone = req.ctx?.timeZone || DEFAULT_TIME_ZONE;
+  const day = String(req.query.day || "").trim() || isoDay(new Date(), timeZone);
 
   // Use explicit memberId if provided; else use /v1/me active member; else u_self
   let memberId = String(req.query.memberId || "").trim();
@@ -2605,27 +4630,17 @@ app.get("/v1/home-recommendations", (req, res) => {
     }
   }
 
-  const prefs = (typeof MEMBER_PREFERENCES === "object" && MEMBER_PREFERENCES[memberId]) || {};
+  const prefs = getMemberPreferences(memberId);
   const { goals, avoid, cuisines } = normalizeGoalTokens(prefs);
 
-  function buildThresholds(goals, avoid) {
-    // defaults (per-day)
-    let proteinMin = 60;
-    let fiberMin = 20;
-    let sugarMax = 45;
-    let sodiumMax = 1800;
-  
-    // profile-aware tweaks
-    if (goals.includes("high_protein")) proteinMin = 90;
-    if (goals.includes("high_fiber")) fiberMin = 28;
-  
-    if (avoid.includes("excess_sugar") || avoid.includes("high_sugar")) sugarMax = 30;
-    if (goals.includes("low_sodium") || avoid.includes("excess_sodium")) sodiumMax = 1500;
-  
-    return { proteinMin, fiberMin, sugarMax, sodiumMax };
-  }
-  
-  const thresholds = buildThresholds(goals, avoid);
+  // Per-day thresholds come from the member's nutrition targets
+  const { targets } = getMemberTargets(memberId);
+  const thresholds = {
+    proteinMin: targets.proteinG,
+    fiberMin: targets.fiberG,
+    sugarMax: targets.sugarG,
+    sodiumMax: targets.sodiumMg,
+  };
   
 
 
@@ -2651,6 +4666,7 @@ app.get("/v1/home-recommendations", (req, res) => {
   res.json({
     memberId,
     day,
+    timeZone,
     todaySummary: {
       mealsLogged,
       avgScore,
@@ -2673,168 +4689,744 @@ app.get("/v1/home-recommendations", (req, res) => {
 
 
 
-// ============================================================================
-//  SCAN (vision) – /v1/scans
-// ============================================================================
-//app.post("/v1/scans", upload.single("image"), async (req, res) => {
-  app.post("/v1/scans", costlyLimiter, upload.single("image"), async (req, res) => {
+// GET /v1/progress?memberId=&day= – day totals vs the member's nutrition targets
+app.get("/v1/progress", (req, res) => {
+  const userId = getUserId(req);
+  const me = req.ctx?.me || null;
+  const memberId =
+    String(req.query.memberId || "").trim() || String(me?.family?.activeMemberId || me?.userId || userId);
+  if (!canAccessMemberPreferences(userId, memberId)) return res.status(404).json({ error: "NOT_FOUND" });
+
+  const timeZone = req.ctx?.timeZone || DEFAULT_TIME_ZONE;
+  const day = String(req.query.day || "").trim() || isoDay(new Date(), timeZone);
+  if (!isIsoDay(day)) return res.status(400).json({ error: "invalid_query", details: { day: ["must be YYYY-MM-DD"] } });
+
+  const dayLogs = logsListByUserDayStmt.all({ userId: memberId, day, limit: 500 }).map(normalizeLogRow);
+  const totals = sumNutrition(dayLogs);
+  const { targets, sources } = getMemberTargets(memberId);
+
+  res.json({
+    memberId,
+    day,
+    timeZone,
+    mealsLogged: dayLogs.length,
+    mealsWithNutrition: dayLogs.filter((x) => x.nutrition).length,
+    targets,
+    sources,
+    progress: buildNutritionProgress(totals, targets),
+  });
+});
+
+
+
+
+// ============================================================================
+//  SCAN (vision) – /v1/scans
+// ============================================================================
+// Runs one scan: cache -> model -> validate -> meter.
+// Shared by the synchronous route and the job worker; `usageReq` only needs { requestId, ctx }
+// so a job can meter against the request that enqueued it.
+async function runScan({ usageReq, memberId, effectiveProfile, image }) {
+  const userId = usageReq?.ctx?.userId || "";
+  const imageHash = sha256(image.buffer);
+  const profileSource = userId ? "member" : "request";
+  const scoringProfile = userId ? memberScoringProfile(memberId, effectiveProfile) : requestScoringProfile(effectiveProfile);
+
+  const cacheKey = `scan:${imageHash}:${memberId}:${getActiveRuleset().version}:${sha256(
+    Buffer.from(stableJsonKey(scoringProfile))
+  )}`;
+
+  const cached = cache.get(cacheKey);
+  if (cached) {
+    // Cached call -> cost is effectively 0
+    emitUsageEvent(usageReq, {
+      provider: vision.name,
+      service: "openai_scan_vision",
+      subjectUserId: memberId,
+      units: 0,
+      unitCostUsd: 0,
+      costUsd: 0,
+      metadata: { cached: true, memberId },
+    });
+    return { ok: true, payload: { ...cached, cached: true } };
+  }
+
+  const result = await runValidated({
+    provider: vision,
+    task: "scan",
+    schema: SCAN_SCHEMA,
+    key: imageHash,
+    call: () =>
+      vision.analyzeMealImage({
+        image: { buffer: image.buffer, mimeType: String(image.mimeType || "image/jpeg") },
+        context: { memberId, ...effectiveProfile },
+        key: imageHash,
+      }),
+  });
+
+  if (result.fatal) {
+    return {
+      ok: false,
+      status: 502,
+      body: {
+        error: "scan_invalid_output",
+        message: "Model did not return a usable scan result.",
+        details: result.errors,
+        attempts: result.attempts,
+      },
+    };
+  }
+
+  const parsed = result.value;
+
+  // Each detected item on the plate; the plate total is their sum when the model found any
+  const components = (parsed.components || [])
+    .filter((c) => c && c.name)
+    .map((c, i) => ({
+      id: `c${i + 1}`,
+      name: c.name,
+      portion: c.portion || null,
+      confidence: clampScore(c.confidence),
+      nutrition: c.estimatedNutrition,
+    }));
+
+  const plateTotal = components.length
+    ? sumComponentNutrition(components)
+    : parsed.estimatedNutrition || sumComponentNutrition([]);
+
+  // Scored like every other dish; the model's own score is kept for comparison only
+  const dishName = parsed.dishName || "Unknown dish";
+  const scored = scoreMealNutrition(plateTotal, scoringProfile, dishName, components.map((c) => c.name).join(", "));
+
+  const payload = {
+    scanId: `scan_${Date.now()}_${Math.random().toString(16).slice(2)}`,
+    dishName,
+    confidence: clampScore(parsed.confidence),
+    score: scored.score,
+    label: scored.label,
+    reasons: scored.reasons,
+    contributions: scored.contributions,
+    rulesetVersion: scored.rulesetVersion,
+    rulesetNotes: getActiveRuleset().notes || [],
+    allergens: scored.allergens,
+    dietaryConflicts: scored.dietaryConflicts,
+    hardConflict: scored.hardConflict,
+    modelScore: clampScore(parsed.score),
+    why: parsed.why.filter(Boolean),
+    tips: parsed.tips.filter(Boolean),
+    components,
+    plateTotal,
+    // Same as plateTotal; kept for clients that read the single-dish field
+    estimatedNutrition: plateTotal,
+    // Nutrition above is for the pictured serving (multiplier 1); logs rescale from here
+    servingGrams: parsed.servingGrams || null,
+    portionMultiplier: 1,
+    memberIdUsed: memberId,
+    profileSource,
+    profileUsed: effectiveProfile,
+    imageHash,
+
+    cached: false,
+    source: result.provider,
+    model: result.model,
+    validation: { errors: result.errors, coercions: result.coercions, repaired: result.repaired },
+  };
+
+  const model = result.model;
+
+  // Compute real cost from returned usage tokens
+  const { costUsd, inputTokens, outputTokens, totalTokens } =
+    computeOpenAICostUsdFromUsage({ model, usage: result.usage });
+
+  emitUsageEvent(usageReq, {
+    provider: result.provider,
+    service: "openai_scan_vision",
+    subjectUserId: memberId,
+
+    // Keep "units" as 1 scan call, but now the unit cost is calculated
+    units: 1,
+    unitCostUsd: costUsd,
+    costUsd,
+
+    metadata: {
+      cached: false,
+      model,
+      memberId,
+      inputTokens,
+      outputTokens,
+      totalTokens,
+      attempts: result.attempts,
+    },
+  });
+
+  saveScan({ userId, payload, imageHash, tokens: { inputTokens, outputTokens, totalTokens } });
+  cache.set(cacheKey, payload);
+  return { ok: true, payload };
+}
+
+//app.post("/v1/scans", upload.single("image"), async (req, res) => {
+  app.post("/v1/scans", costlyLimiter, upload.single("image"), async (req, res) => {
+
+  //const memberId = String(req.query.memberId || "").trim() || "u_self";
+  const memberId = String(getMemberIdForScan(req) || "u_self");
+
+
+
+  let profile = {};
+  let effectiveProfile = {};
+
+  try {
+    const missing = vision.missingConfig();
+    if (missing) return res.status(500).json({ error: missing });
+    if (!req.file?.buffer) {
+      return res.status(400).json({ error: "Missing image file (field: image)" });
+    }
+
+    const profileRaw = req.body?.profile;
+    try {
+      profile = profileRaw ? JSON.parse(profileRaw) : {};
+    } catch {
+      profile = {};
+    }
+
+
+    // Stored preferences only for signed-in callers (see runScan)
+    effectiveProfile = req.ctx?.userId ? mergeProfile(profile, memberId) : profile;
+
+    const image = { buffer: req.file.buffer, mimeType: String(req.file.mimetype || "image/jpeg") };
+
+    // ?async=1 -> queue a job and answer right away
+    const asyncRaw = String(req.query.async || "").toLowerCase();
+    if (asyncRaw === "1" || asyncRaw === "true") {
+      const callbackUrl = String(req.body?.callbackUrl || req.query.callbackUrl || "").trim() || null;
+      if (callbackUrl && !isAllowedCallbackUrl(callbackUrl)) {
+        return res.status(400).json({ error: "invalid_callback_url" });
+      }
+
+      const job = enqueueScanJob({ req, memberId, effectiveProfile, image, callbackUrl });
+      return res.status(202).json({
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/v1/scans/jobs/${job.id}`,
+      });
+    }
+
+    const r = await runScan({ usageReq: req, memberId, effectiveProfile, image });
+    if (!r.ok) return res.status(r.status).json(r.body);
+    return res.json(r.payload);
+  } catch (err) {
+    console.error("scan error:", err);
+    return res.status(500).json({ error: "scan_error", message: err?.message || String(err) });
+  }
+});
+
+// ---------- SCAN JOBS (async mode) ----------
+// POST /v1/scans?async=1 stores the image on a job row; an in-process worker runs up to
+// SCAN_JOB_CONCURRENCY jobs at once. Jobs left "running" by a restart are re-queued on boot.
+usageDb.exec(`
+  CREATE TABLE IF NOT EXISTS scan_jobs (
+    id TEXT PRIMARY KEY,
+    userId TEXT NOT NULL,
+    memberId TEXT NOT NULL,
+    status TEXT NOT NULL,
+    image BLOB,
+    mimeType TEXT,
+    profileJson TEXT NOT NULL,
+    usageCtxJson TEXT NOT NULL,
+    callbackUrl TEXT,
+    callbackStatus TEXT,
+    callbackAt TEXT,
+    resultJson TEXT,
+    errorJson TEXT,
+    createdAt TEXT NOT NULL,
+    startedAt TEXT,
+    finishedAt TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_scan_jobs_status_created
+  ON scan_jobs(status, createdAt);
+`);
+
+const scanJobInsertStmt = usageDb.prepare(`
+  INSERT INTO scan_jobs(id, userId, memberId, status, image, mimeType, profileJson, usageCtxJson, callbackUrl, createdAt)
+  VALUES (@id, @userId, @memberId, 'queued', @image, @mimeType, @profileJson, @usageCtxJson, @callbackUrl, @createdAt)
+`);
+
+const scanJobGetStmt = usageDb.prepare(`SELECT * FROM scan_jobs WHERE id = ?`);
+
+const scanJobNextQueuedStmt = usageDb.prepare(`
+  SELECT id FROM scan_jobs WHERE status = 'queued' ORDER BY createdAt ASC LIMIT 1
+`);
+
+const scanJobClaimStmt = usageDb.prepare(`
+  UPDATE scan_jobs SET status = 'running', startedAt = @startedAt
+  WHERE id = @id AND status = 'queued'
+`);
+
+// Image is dropped once the job is done; the result lives in resultJson
+const scanJobFinishStmt = usageDb.prepare(`
+  UPDATE scan_jobs
+  SET status = @status, resultJson = @resultJson, errorJson = @errorJson, finishedAt = @finishedAt, image = NULL
+  WHERE id = @id
+`);
+
+const scanJobCallbackStmt = usageDb.prepare(`
+  UPDATE scan_jobs SET callbackStatus = @callbackStatus, callbackAt = @callbackAt WHERE id = @id
+`);
+
+usageDb.prepare(`UPDATE scan_jobs SET status = 'queued', startedAt = NULL WHERE status = 'running'`).run();
+
+const SCAN_JOB_CONCURRENCY = Math.max(1, Number(process.env.SCAN_JOB_CONCURRENCY || 2));
+let scanJobsRunning = 0;
+
+function makeScanJobId() {
+  return `sjob_${Date.now()}_${crypto.randomBytes(6).toString("hex")}`;
+}
+
+// SCAN_CALLBACK_ALLOW_PRIVATE=true lets local dev point callbacks at localhost
+const allowPrivateCallbacks = () =>
+  process.env.NODE_ENV !== "production" && String(process.env.SCAN_CALLBACK_ALLOW_PRIVATE || "") === "true";
+
+// https only in production; never loopback / private hosts or literals (checked again at send time)
+function isAllowedCallbackUrl(v) {
+  if (allowPrivateCallbacks()) {
+    try {
+      const u = new URL(String(v));
+      return u.protocol === "https:" || u.protocol === "http:";
+    } catch {
+      return false;
+    }
+  }
+  return isPublicHttpUrl(v, { allowHttp: process.env.NODE_ENV !== "production" });
+}
+
+async function callbackHostIsPublic(url) {
+  return allowPrivateCallbacks() || hostIsPublic(url);
+}
+
+function enqueueScanJob({ req, memberId, effectiveProfile, image, callbackUrl }) {
+  const id = makeScanJobId();
+  scanJobInsertStmt.run({
+    id,
+    userId: String(req.ctx?.userId || ""),
+    memberId,
+    image: image.buffer,
+    mimeType: image.mimeType,
+    profileJson: JSON.stringify(effectiveProfile || {}),
+    usageCtxJson: JSON.stringify({
+      requestId: req.requestId || null,
+      ctx: {
+        userId: req.ctx?.userId || null,
+        billingOwnerId: req.ctx?.billingOwnerId || null,
+        me: { mode: req.ctx?.me?.mode || null },
+      },
+    }),
+    callbackUrl,
+    createdAt: nowIso(),
+  });
+  setImmediate(pumpScanJobs);
+  return scanJobGetStmt.get(id);
+}
+
+function parseJsonOrNull(s) {
+  if (!s) return null;
+  try {
+    return JSON.parse(s);
+  } catch {
+    return null;
+  }
+}
+
+function normalizeScanJob(row) {
+  return {
+    jobId: row.id,
+    status: row.status,
+    memberId: row.memberId,
+    createdAt: row.createdAt,
+    startedAt: row.startedAt || null,
+    finishedAt: row.finishedAt || null,
+    result: parseJsonOrNull(row.resultJson),
+    error: parseJsonOrNull(row.errorJson),
+    callback: row.callbackUrl
+      ? { url: row.callbackUrl, status: row.callbackStatus || "pending", at: row.callbackAt || null }
+      : null,
+  };
+}
+
+async function notifyScanJobCallback(jobId) {
+  const row = scanJobGetStmt.get(jobId);
+  if (!row?.callbackUrl) return;
+
+  const body = JSON.stringify(normalizeScanJob(row));
+  const headers = { "Content-Type": "application/json" };
+  if (process.env.SCAN_CALLBACK_SECRET) {
+    headers["X-Voravia-Signature"] = crypto
+      .createHmac("sha256", process.env.SCAN_CALLBACK_SECRET)
+      .update(body)
+      .digest("hex");
+  }
+
+  if (!isAllowedCallbackUrl(row.callbackUrl) || !(await callbackHostIsPublic(row.callbackUrl))) {
+    scanJobCallbackStmt.run({ id: jobId, callbackStatus: "blocked_address", callbackAt: nowIso() });
+    return;
+  }
+
+  const controller = new AbortController();
+  const t = setTimeout(() => controller.abort(), 10000);
+  let callbackStatus;
+  try {
+    // No redirects: a 30x could point the signed POST at an internal host
+    const resp = await fetch(row.callbackUrl, { method: "POST", headers, body, redirect: "manual", signal: controller.signal });
+    callbackStatus = resp.ok ? "delivered" : `failed_${resp.status}`;
+  } catch (e) {
+    callbackStatus = e?.name === "AbortError" ? "failed_timeout" : "failed_network";
+  } finally {
+    clearTimeout(t);
+  }
+  scanJobCallbackStmt.run({ id: jobId, callbackStatus, callbackAt: nowIso() });
+}
+
+async function runScanJob(jobId) {
+  const row = scanJobGetStmt.get(jobId);
+  let status = "failed";
+  let result = null;
+  let error = null;
+
+  try {
+    const r = await runScan({
+      usageReq: parseJsonOrNull(row.usageCtxJson) || {},
+      memberId: row.memberId,
+      effectiveProfile: parseJsonOrNull(row.profileJson) || {},
+      image: { buffer: row.image, mimeType: row.mimeType },
+    });
+    if (r.ok) {
+      status = "succeeded";
+      result = r.payload;
+    } else {
+      error = r.body;
+    }
+  } catch (err) {
+    console.error("scan job error:", jobId, err);
+    error = { error: "scan_error", message: err?.message || String(err) };
+  }
+
+  scanJobFinishStmt.run({
+    id: jobId,
+    status,
+    resultJson: result ? JSON.stringify(result) : null,
+    errorJson: error ? JSON.stringify(error) : null,
+    finishedAt: nowIso(),
+  });
+
+  await notifyScanJobCallback(jobId);
+}
+
+function claimNextScanJob() {
+  return usageDb.transaction(() => {
+    const next = scanJobNextQueuedStmt.get();
+    if (!next) return null;
+    const r = scanJobClaimStmt.run({ id: next.id, startedAt: nowIso() });
+    return r.changes ? next.id : null;
+  })();
+}
+
+function pumpScanJobs() {
+  while (scanJobsRunning < SCAN_JOB_CONCURRENCY) {
+    const jobId = claimNextScanJob();
+    if (!jobId) return;
+
+    scanJobsRunning++;
+    runScanJob(jobId)
+      .catch((e) => console.error("scan job worker error:", jobId, e))
+      .finally(() => {
+        scanJobsRunning--;
+        setImmediate(pumpScanJobs);
+      });
+  }
+}
+
+setImmediate(pumpScanJobs);
+
+// GET /v1/scans/jobs/:id – status + result (only the user who queued it)
+app.get("/v1/scans/jobs/:id", (req, res) => {
+  const row = scanJobGetStmt.get(String(req.params.id || ""));
+  if (!row || String(row.userId) !== String(getUserId(req))) return res.status(404).json({ error: "NOT_FOUND" });
+  res.json(normalizeScanJob(row));
+});
+
+// ---------- SCAN HISTORY ----------
+// Every fresh scan result is persisted here; meal_logs.scanId points at scans.id.
+usageDb.exec(`
+  CREATE TABLE IF NOT EXISTS scans (
+    id TEXT PRIMARY KEY,
+    createdAt TEXT NOT NULL,
+    userId TEXT NOT NULL,
+    memberId TEXT NOT NULL,
+    dishName TEXT NOT NULL,
+    confidence INTEGER NOT NULL,
+    score INTEGER NOT NULL,
+    whyJson TEXT NOT NULL,
+    tipsJson TEXT NOT NULL,
+    nutritionJson TEXT,
+    profileJson TEXT,
+    provider TEXT,
+    model TEXT,
+    inputTokens INTEGER NOT NULL DEFAULT 0,
+    outputTokens INTEGER NOT NULL DEFAULT 0,
+    totalTokens INTEGER NOT NULL DEFAULT 0,
+    imageHash TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_scans_member_created ON scans(memberId, createdAt);
+  CREATE INDEX IF NOT EXISTS idx_scans_user_created ON scans(userId, createdAt);
+`);
 
-  //const memberId = String(req.query.memberId || "").trim() || "u_self";
-  const memberId = String(getMemberIdForScan(req) || "u_self");
+function ensureScansSchema() {
+  for (const col of ["componentsJson TEXT", "servingGrams REAL"]) {
+    try {
+      usageDb.prepare(`ALTER TABLE scans ADD COLUMN ${col}`).run();
+    } catch (e) {
+      // ignore "duplicate column name"
+    }
+  }
+}
+ensureScansSchema();
 
+const scanInsertStmt = usageDb.prepare(`
+  INSERT OR IGNORE INTO scans
+  (id, createdAt, userId, memberId, dishName, confidence, score, whyJson, tipsJson, nutritionJson, componentsJson, servingGrams, profileJson, provider, model, inputTokens, outputTokens, totalTokens, imageHash)
+  VALUES
+  (@id, @createdAt, @userId, @memberId, @dishName, @confidence, @score, @whyJson, @tipsJson, @nutritionJson, @componentsJson, @servingGrams, @profileJson, @provider, @model, @inputTokens, @outputTokens, @totalTokens, @imageHash)
+`);
 
+const scanGetStmt = usageDb.prepare(`SELECT * FROM scans WHERE id = ?`);
+
+function saveScan({ userId, payload, imageHash, tokens }) {
+  scanInsertStmt.run({
+    id: payload.scanId,
+    createdAt: nowIso(),
+    userId: String(userId || ""),
+    memberId: String(payload.memberIdUsed || ""),
+    dishName: payload.dishName,
+    confidence: payload.confidence,
+    score: payload.score,
+    whyJson: JSON.stringify(payload.why || []),
+    tipsJson: JSON.stringify(payload.tips || []),
+    nutritionJson: JSON.stringify(payload.estimatedNutrition ?? null),
+    componentsJson: JSON.stringify(payload.components || []),
+    servingGrams: payload.servingGrams ?? null,
+    profileJson: JSON.stringify(payload.profileUsed || {}),
+    provider: payload.source || null,
+    model: payload.model || null,
+    inputTokens: tokens?.inputTokens || 0,
+    outputTokens: tokens?.outputTokens || 0,
+    totalTokens: tokens?.totalTokens || 0,
+    imageHash,
+  });
+}
 
-  const memberPrefs = (MEMBER_PREFERENCES && MEMBER_PREFERENCES[memberId]) || {};
-  let profile = {};
-  let effectiveProfile = {};
+function normalizeScanRow(r) {
+  return {
+    scanId: r.id,
+    createdAt: r.createdAt,
+    userId: r.userId,
+    memberId: r.memberId,
+    dishName: r.dishName,
+    confidence: Number(r.confidence || 0),
+    score: Number(r.score || 0),
+    why: parseJsonArray(r.whyJson),
+    tips: parseJsonArray(r.tipsJson),
+    estimatedNutrition: parseJsonOrNull(r.nutritionJson),
+    components: parseJsonOrNull(r.componentsJson) || [],
+    servingGrams: r.servingGrams === null || r.servingGrams === undefined ? null : Number(r.servingGrams),
+    portionMultiplier: 1,
+    profileUsed: parseJsonOrNull(r.profileJson) || {},
+    source: r.provider || null,
+    model: r.model || null,
+    usage: {
+      inputTokens: Number(r.inputTokens || 0),
+      outputTokens: Number(r.outputTokens || 0),
+      totalTokens: Number(r.totalTokens || 0),
+    },
+    imageHash: r.imageHash,
+  };
+}
 
-  try {
-    if (!process.env.OPENAI_API_KEY) {
-      return res.status(500).json({ error: "MISSING_OPENAI_API_KEY" });
-    }
-    if (!req.file?.buffer) {
-      return res.status(400).json({ error: "Missing image file (field: image)" });
-    }
+// The scanning user, or anyone who can see the member's logs
+function canViewScan(me, uid, row) {
+  if (!row) return false;
+  if (uid && String(row.userId) === String(uid)) return true;
+  return viewableMemberIds(me, uid).includes(String(row.memberId));
+}
 
-    const profileRaw = req.body?.profile;
-    try {
-      profile = profileRaw ? JSON.parse(profileRaw) : {};
-    } catch {
-      profile = {};
-    }
+// Log fields derived from a stored scan (POST /v1/logs with only scanId)
+function scanToLogFields(scan) {
+  const score = clampScore(scan.score);
+  return {
+    userId: scan.memberId,
+    source: "scan",
+    dishName: scan.dishName,
+    score,
+    label: score >= 80 ? "FIT" : score >= 60 ? "MODERATE" : "AVOID",
+    confidence: scan.confidence,
+    why: scan.why,
+    tips: scan.tips,
+    nutrition: scan.estimatedNutrition,
+    components: scan.components,
+    servingGrams: scan.servingGrams,
+  };
+}
 
+function queryScans({ memberIds, uid, cursor, limit }) {
+  const where = ["(memberId IN (SELECT value FROM json_each(@memberIdsJson)) OR userId = @uid)"];
+  const params = { memberIdsJson: JSON.stringify(memberIds || []), uid: String(uid || ""), lim: limit + 1 };
 
-    effectiveProfile =
-    typeof mergeProfile === "function"
-      ? mergeProfile(profile, memberPrefs)
-      : { ...memberPrefs, ...profile };
+  if (cursor) {
+    where.push("(createdAt < @cursorCreatedAt OR (createdAt = @cursorCreatedAt AND id < @cursorId))");
+    params.cursorCreatedAt = cursor.createdAt;
+    params.cursorId = cursor.id;
+  }
 
-    const imgB64 = req.file.buffer.toString("base64");
-    const mime = String(req.file.mimetype || "image/jpeg");
+  const rows = usageDb
+    .prepare(
+      `
+      SELECT * FROM scans
+      WHERE ${where.join(" AND ")}
+      ORDER BY createdAt DESC, id DESC
+      LIMIT @lim
+    `
+    )
+    .all(params);
+
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+  const last = page[page.length - 1];
 
-    const cacheKey = `scan:${sha256(req.file.buffer)}:${memberId}:${sha256(
-      Buffer.from(stableJsonKey(effectiveProfile))
-    )}`;
+  return {
+    rows: page,
+    nextCursor: hasMore && last ? encodeLogsCursor({ createdAt: last.createdAt, id: last.id }) : null,
+  };
+}
 
-    const cached = cache.get(cacheKey);
-      if (cached) {
-        // Cached call -> cost is effectively 0
-        emitUsageEvent(req, {
-          provider: "openai",
-          service: "openai_scan_vision",
-          subjectUserId: memberId,
-          units: 0,
-          unitCostUsd: 0,
-          costUsd: 0,
-          metadata: { cached: true, memberId },
-        });
-        return res.json({ ...cached, cached: true });
-      }
+// GET /v1/scans?memberId=&limit=&cursor= – newest first
+app.get("/v1/scans", (req, res) => {
+  const uid = String(req.ctx?.userId || "");
+  const me = req.ctx?.me || null;
+  const errors = {};
 
+  const limitRaw = req.query.limit === undefined ? 20 : Number(req.query.limit);
+  if (!Number.isInteger(limitRaw) || limitRaw < 1 || limitRaw > 100) errors.limit = ["must be an integer 1-100"];
 
-    const instruction =
-      `Return ONLY valid JSON (no markdown). Schema:\n` +
-      `{\n` +
-      `  "dishName": string,\n` +
-      `  "confidence": number,     // 0-100\n` +
-      `  "score": number,          // 0-100 overall health fit\n` +
-      `  "why": string[],          // 2-6 bullets\n` +
-      `  "tips": string[],         // 2-6 bullets\n` +
-      `  "estimatedNutrition": {\n` +
-      `    "caloriesKcal": number,\n` +
-      `    "proteinG": number,\n` +
-      `    "carbsG": number,\n` +
-      `    "fatG": number,\n` +
-      `    "fiberG": number,\n` +
-      `    "sugarG": number,\n` +
-      `    "sodiumMg": number\n` +
-      `  }\n` +
-      `}\n\n` +
-      `Personalization (member-specific): ${JSON.stringify({
-        memberId,
-        ...effectiveProfile,
-      })}\n`;
-
-
-    const response = await openai.responses.create({
-      model: "gpt-4.1-mini",
-      input: [
-        {
-          role: "user",
-          content: [
-            { type: "input_text", text: instruction },
-            {
-              type: "input_image",
-              image_url: `data:${mime};base64,${imgB64}`,
-            },
-          ],
-        },
-      ],
-    });
+  let cursor = null;
+  if (req.query.cursor) {
+    cursor = decodeLogsCursor(req.query.cursor);
+    if (!cursor) errors.cursor = ["invalid cursor"];
+  }
+  if (Object.keys(errors).length) return res.status(400).json({ error: "invalid_query", details: errors });
+
+  let memberIds = viewableMemberIds(me, uid);
+  let ownUid = uid;
+  const requested = String(req.query.memberId || "").trim();
+  if (requested) {
+    if (!memberIds.includes(requested)) return res.status(403).json({ error: "forbidden", code: "SCAN_FORBIDDEN" });
+    memberIds = [requested];
+    ownUid = ""; // only that member's scans
+  }
 
-    const modelText = response?.output?.[0]?.content?.[0]?.text ?? "{}";
-    const parsed = extractFirstJson(modelText);
+  const { rows, nextCursor } = queryScans({ memberIds, uid: ownUid, cursor, limit: limitRaw });
+  res.json({ scans: rows.map(normalizeScanRow), nextCursor });
+});
 
-    const payload = {
-      scanId: `scan_${Date.now()}_${Math.random().toString(16).slice(2)}`,
-      dishName: String(parsed?.dishName || "Unknown dish"),
-      confidence: clampScore(parsed?.confidence ?? 0),
-      score: clampScore(parsed?.score ?? 0),
-      why: Array.isArray(parsed?.why) ? parsed.why.map(String).slice(0, 6) : [],
-      tips: Array.isArray(parsed?.tips) ? parsed.tips.map(String).slice(0, 6) : [],
-      estimatedNutrition: {
-        caloriesKcal: Number(parsed?.estimatedNutrition?.caloriesKcal ?? 0) || 0,
-        proteinG: Number(parsed?.estimatedNutrition?.proteinG ?? 0) || 0,
-        carbsG: Number(parsed?.estimatedNutrition?.carbsG ?? 0) || 0,
-        fatG: Number(parsed?.estimatedNutrition?.fatG ?? 0) || 0,
-        fiberG: Number(parsed?.estimatedNutrition?.fiberG ?? 0) || 0,
-        sugarG: Number(parsed?.estimatedNutrition?.sugarG ?? 0) || 0,
-        sodiumMg: Number(parsed?.estimatedNutrition?.sodiumMg ?? 0) || 0,
-      },
-      memberIdUsed: memberId,
-      profileUsed: effectiveProfile,
+app.get("/v1/scans/:scanId", (req, res) => {
+  const row = scanGetStmt.get(String(req.params.scanId || ""));
+  if (!canViewScan(req.ctx?.me || null, req.ctx?.userId, row)) return res.status(404).json({ error: "NOT_FOUND" });
+  res.json(normalizeScanRow(row));
+});
 
-      cached: false,
-      source: "openai",
-    };
+// ============================================================================
+//  BARCODE – packaged foods from the local product DB (services/foodDb.js)
+// ============================================================================
+// POST /v1/barcode/lookup  { barcode, memberId?, portionGrams? }
+// Nutrition comes back in the estimatedNutrition shape, for one serving when the product
+// declares one (else per 100 g), scored with the member's preferences. The `log` object can
+// be sent to POST /v1/logs as-is.
+app.post("/v1/barcode/lookup", (req, res) => {
+  const barcode = normalizeBarcode(req.body?.barcode ?? req.body?.code);
+  if (!barcode) {
+    return res.status(400).json({ error: "invalid_barcode", message: "Expected a UPC/EAN code with a valid check digit." });
+  }
 
-    const model = "gpt-4.1-mini";
+  let portionGrams = null;
+  if (req.body?.portionGrams !== undefined && req.body?.portionGrams !== null) {
+    portionGrams = Number(req.body.portionGrams);
+    if (!Number.isFinite(portionGrams) || portionGrams <= 0 || portionGrams > 5000) {
+      return res.status(400).json({ error: "invalid_lookup", details: { portionGrams: ["must be a number between 0 and 5000"] } });
+    }
+  }
 
-    // Compute real cost from returned usage tokens
-    const { costUsd, inputTokens, outputTokens, totalTokens } =
-      computeOpenAICostUsdFromUsage({ model, usage: response?.usage });
-    
-    emitUsageEvent(req, {
-      provider: "openai",
-      service: "openai_scan_vision",
-      subjectUserId: memberId,
-    
-      // Keep "units" as 1 scan call, but now the unit cost is calculated
-      units: 1,
-      unitCostUsd: costUsd,
-      costUsd,
-    
-      metadata: {
-        cached: false,
-        model,
-        memberId,
-        inputTokens,
-        outputTokens,
-        totalTokens,
-      },
-    });
-    
-    
+  let product;
+  try {
+    product = lookupProductByBarcode(barcode);
+  } catch (e) {
+    console.error("barcode lookup error:", e);
+    return res.status(500).json({ error: "barcode_lookup_error", message: e?.message || String(e) });
+  }
+  if (!product) return res.status(404).json({ error: "product_not_found", barcode });
 
+  const memberId = String(getMemberIdForScan(req) || "u_self");
+  const grams = portionGrams || product.servingGrams || 100;
+  const basis = portionGrams ? "portion" : product.servingGrams ? "serving" : "100g";
+  const estimatedNutrition = nutritionForGrams(product.per100g, grams);
+  const dishName = product.brand ? `${product.name} (${product.brand})` : product.name;
+  const { score, label, reasons, contributions, rulesetVersion, allergens, dietaryConflicts, hardConflict } = scoreMealNutrition(
+    estimatedNutrition,
+    req.ctx?.userId ? memberScoringProfile(memberId) : requestScoringProfile({}),
+    dishName
+  );
 
-    cache.set(cacheKey, payload);
-    return res.json(payload);
-  } catch (err) {
-    console.error("scan error:", err);
-    return res.status(500).json({ error: "scan_error", message: err?.message || String(err) });
-  }
+  res.json({
+    barcode,
+    product: {
+      code: product.code,
+      name: product.name,
+      brand: product.brand,
+      servingSize: product.servingSize,
+      servingGrams: product.servingGrams,
+      per100g: product.per100g,
+      database: product.source,
+    },
+    basis,
+    grams,
+    estimatedNutrition,
+    score,
+    label,
+    reasons,
+    contributions,
+    rulesetVersion,
+    rulesetNotes: getActiveRuleset().notes || [],
+    allergens,
+    dietaryConflicts,
+    hardConflict,
+    memberIdUsed: memberId,
+    profileSource: req.ctx?.userId ? "member" : "request",
+    source: "barcode",
+    log: {
+      userId: memberId,
+      source: "barcode",
+      dishName,
+      score,
+      label,
+      why: reasons,
+      confidence: 100,
+      nutrition: estimatedNutrition,
+      servingGrams: grams,
+      portion: basis === "serving" ? product.servingSize || `${grams} g` : `${grams} g`,
+    },
+  });
 });
 
+
+
 // ============================================================================
 //  Your existing /api/* routes (Places + Menu) – unchanged from your file
 // ============================================================================
@@ -2921,7 +5513,8 @@ async function handlePlacesNearby(req, res) {
       metadata: { radiusMeters, maxResultCount },
     });
 
-    return res.json({ places: normalizePlaces(json) });
+    // hasMenu: a menu is on file for the place (GET /api/places/:placeId/menu)
+    return res.json({ places: withMenuFlags(normalizePlaces(json)) });
   } catch (err) {
     console.error("Places nearby error:", err);
     return res.status(500).json({ error: "places_error", message: err?.message });
@@ -2991,7 +5584,7 @@ async function handlePlacesSearch(req, res) {
       metadata: { q, radiusMeters, maxResultCount },
     });
 
-    return res.json({ places: normalizePlaces(json) });
+    return res.json({ places: withMenuFlags(normalizePlaces(json)) });
   } catch (err) {
     console.error("Places search error:", err);
     return res.status(500).json({ error: "search_error", message: err?.message });
@@ -3005,24 +5598,301 @@ app.post("/api/places/nearby", costlyLimiter, handlePlacesNearby);
 app.get("/api/places/search", costlyLimiter, handlePlacesSearch);
 app.post("/api/places/search", costlyLimiter, handlePlacesSearch);
 
+// ---------- RESTAURANT MENUS (by Google Place id) ----------
+// Extracted menus are kept per place so the next diner at the same restaurant skips extraction.
+// Every attach is a new version (1, 2, ...); re-attaching identical sections returns the latest.
+//
+// Moderation: only "approved" versions are served to other diners or flag a place hasMenu.
+// Every attach starts "pending" (an uploaded photo is only as trustworthy as its uploader);
+// admins approve/flag versions under /admin/restaurant-menus. The uploader is always kept on
+// the row and can see their own pending versions.
+usageDb.exec(`
+  CREATE TABLE IF NOT EXISTS restaurant_menus (
+    id TEXT PRIMARY KEY,
+    placeId TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    placeName TEXT,
+    source TEXT NOT NULL,
+    sourceUrl TEXT,
+    uploadKey TEXT,
+    sectionsJson TEXT NOT NULL,
+    contentHash TEXT NOT NULL,
+    itemCount INTEGER NOT NULL,
+    createdBy TEXT,
+    createdAt TEXT NOT NULL,
+    UNIQUE(placeId, version)
+  );
+`);
+
+function ensureRestaurantMenusSchema() {
+  for (const col of ["status TEXT NOT NULL DEFAULT 'pending'", "reviewedBy TEXT", "reviewedAt TEXT", "reviewNote TEXT"]) {
+    try {
+      usageDb.prepare(`ALTER TABLE restaurant_menus ADD COLUMN ${col}`).run();
+    } catch (e) {
+      // ignore "duplicate column name"
+    }
+  }
+}
+ensureRestaurantMenusSchema();
+
+const RESTAURANT_MENU_STATUSES = ["pending", "approved", "flagged"];
+
+const restaurantMenuLatestStmt = usageDb.prepare(`
+  SELECT * FROM restaurant_menus WHERE placeId = ? ORDER BY version DESC LIMIT 1
+`);
+const restaurantMenuLatestApprovedStmt = usageDb.prepare(`
+  SELECT * FROM restaurant_menus WHERE placeId = ? AND status = 'approved' ORDER BY version DESC LIMIT 1
+`);
+const restaurantMenuVersionStmt = usageDb.prepare(`SELECT * FROM restaurant_menus WHERE placeId = ? AND version = ?`);
+const restaurantMenuGetStmt = usageDb.prepare(`SELECT * FROM restaurant_menus WHERE id = ?`);
+const restaurantMenuListStmt = usageDb.prepare(`
+  SELECT id, placeId, version, placeName, source, sourceUrl, itemCount, createdBy, createdAt, status, reviewedBy, reviewedAt
+  FROM restaurant_menus
+  WHERE placeId = ? AND (status = 'approved' OR createdBy = ?)
+  ORDER BY version DESC
+`);
+const restaurantMenuByStatusStmt = usageDb.prepare(`
+  SELECT id, placeId, version, placeName, source, sourceUrl, itemCount, createdBy, createdAt, status, reviewedBy, reviewedAt
+  FROM restaurant_menus
+  WHERE status = ?
+  ORDER BY createdAt DESC
+  LIMIT 200
+`);
+const restaurantMenuInsertStmt = usageDb.prepare(`
+  INSERT INTO restaurant_menus(id, placeId, version, placeName, source, sourceUrl, uploadKey, sectionsJson, contentHash, itemCount, createdBy, createdAt, status)
+  VALUES (@id, @placeId, @version, @placeName, @source, @sourceUrl, @uploadKey, @sectionsJson, @contentHash, @itemCount, @createdBy, @createdAt, @status)
+`);
+const restaurantMenuReviewStmt = usageDb.prepare(`
+  UPDATE restaurant_menus SET status = @status, reviewedBy = @reviewedBy, reviewedAt = @reviewedAt, reviewNote = @reviewNote
+  WHERE id = @id
+`);
+
+const RESTAURANT_MENU_SOURCES = ["upload", "url", "manual"];
+const RESTAURANT_MENU_MAX_SECTIONS = 100;
+const RESTAURANT_MENU_MAX_ITEMS = 1500;
+const RESTAURANT_MENU_MAX_BYTES = 512 * 1024;
+const isPlaceId = (v) => /^[A-Za-z0-9_-]{1,256}$/.test(String(v || ""));
+
+// Per-user cap on new menu versions, on top of the per-IP costlyLimiter
+const menuAttachLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  limit: Number(process.env.MENU_ATTACH_LIMIT_PER_HOUR || 20),
+  standardHeaders: "draft-7",
+  legacyHeaders: false,
+  keyGenerator: (req) => `user:${req.ctx?.userId || ""}`,
+});
+
+// Identical sections only collapse into the live approved menu or the uploader's own pending
+// version; anyone else's pending/flagged copy gets a fresh pending row for review.
+const attachRestaurantMenu = usageDb.transaction((row) => {
+  const approved = restaurantMenuLatestApprovedStmt.get(row.placeId);
+  if (approved && approved.contentHash === row.contentHash) return { row: approved, created: false };
+  const latest = restaurantMenuLatestStmt.get(row.placeId);
+  const ownPending = latest?.status === "pending" && latest.createdBy === row.createdBy;
+  if (ownPending && latest.contentHash === row.contentHash) return { row: latest, created: false };
+  const version = (latest?.version || 0) + 1;
+  const next = { ...row, id: `rm_${crypto.randomUUID()}`, version, placeName: row.placeName ?? latest?.placeName ?? null };
+  restaurantMenuInsertStmt.run(next);
+  return { row: next, created: true };
+});
+
+function restaurantMenuSummary(row) {
+  return {
+    id: row.id,
+    placeId: row.placeId,
+    version: row.version,
+    placeName: row.placeName || null,
+    source: row.source,
+    sourceUrl: row.sourceUrl || null,
+    itemCount: row.itemCount,
+    status: row.status,
+    createdBy: row.createdBy || null,
+    createdAt: row.createdAt,
+    reviewedAt: row.reviewedAt || null,
+  };
+}
+
+// placeId -> { version, updatedAt } for the places that have an approved menu on file
+function menusOnFile(placeIds) {
+  const ids = [...new Set(placeIds.filter(Boolean).map(String))];
+  if (!ids.length) return new Map();
+  const rows = usageDb
+    .prepare(
+      `SELECT placeId, MAX(version) AS version, MAX(createdAt) AS updatedAt
+       FROM restaurant_menus
+       WHERE status = 'approved' AND placeId IN (${ids.map(() => "?").join(",")})
+       GROUP BY placeId`
+    )
+    .all(...ids);
+  return new Map(rows.map((r) => [r.placeId, { version: r.version, updatedAt: r.updatedAt }]));
+}
+
+function withMenuFlags(places) {
+  const onFile = menusOnFile(places.map((p) => p.id));
+  return places.map((p) => {
+    const m = onFile.get(p.id);
+    return { ...p, hasMenu: !!m, menuVersion: m?.version ?? null, menuUpdatedAt: m?.updatedAt ?? null };
+  });
+}
+
+// Client-sent sections: bounded before any cleanup work
+function restaurantMenuSizeError(sections) {
+  if (sections.length > RESTAURANT_MENU_MAX_SECTIONS) return `at most ${RESTAURANT_MENU_MAX_SECTIONS} sections`;
+  const items = sections.reduce((n, sec) => n + (Array.isArray(sec?.items) ? sec.items.length : 0), 0);
+  if (items > RESTAURANT_MENU_MAX_ITEMS) return `at most ${RESTAURANT_MENU_MAX_ITEMS} items`;
+  if (Buffer.byteLength(JSON.stringify(sections)) > RESTAURANT_MENU_MAX_BYTES) {
+    return `at most ${RESTAURANT_MENU_MAX_BYTES / 1024} KB of menu data`;
+  }
+  return null;
+}
+
+/**
+ * POST /api/places/:placeId/menu
+ * body: { uploadKey } to attach a cached /api/menu/extract-upload result, or
+ *       { sections, source?: "url"|"upload"|"manual", sourceUrl? } (e.g. from /api/menu/extract)
+ *       plus optional placeName.
+ * returns: 201 { menu, created: true } for a new (pending) version; 200 { menu, created: false }
+ * when the sections match the approved menu or your own pending one. menu.status says whether
+ * others can see it yet.
+ */
+app.post("/api/places/:placeId/menu", requireUser, costlyLimiter, menuAttachLimiter, (req, res) => {
+  const placeId = String(req.params.placeId);
+  if (!isPlaceId(placeId)) return res.status(400).json({ error: "invalid_place_id" });
+
+  const uploadKey = String(req.body?.uploadKey ?? "").trim() || null;
+  let sections = req.body?.sections;
+  let source = String(req.body?.source ?? (uploadKey ? "upload" : "url")).trim();
+  const sourceUrl = String(req.body?.sourceUrl ?? "").trim().slice(0, 2000) || null;
+
+  if (!RESTAURANT_MENU_SOURCES.includes(source)) {
+    return res.status(400).json({ error: "invalid_source", allowed: RESTAURANT_MENU_SOURCES });
+  }
+
+  if (uploadKey && sections === undefined) {
+    const extraction = cache.get(`extract:${uploadKey}`);
+    if (!extraction) {
+      return res.status(404).json({
+        error: "extraction_not_found",
+        message: "No cached extraction for this uploadKey; re-run /api/menu/extract-upload or send sections.",
+      });
+    }
+    sections = extraction.sections;
+    source = "upload";
+  }
+
+  if (!Array.isArray(sections) || sections.length === 0) {
+    return res.status(400).json({ error: "missing_sections", message: "Send uploadKey or a non-empty sections array." });
+  }
+  const sizeError = restaurantMenuSizeError(sections);
+  if (sizeError) return res.status(413).json({ error: "menu_too_large", message: `Menus are limited to ${sizeError}.` });
+
+  // Same cleanup/dedupe as page-merged uploads, so stored menus have one shape
+  const clean = mergeMenuSections([sections]);
+  const itemCount = clean.reduce((n, s) => n + s.items.length, 0);
+  if (!itemCount) return res.status(400).json({ error: "missing_sections", message: "Sections contain no items." });
+
+  const sectionsJson = JSON.stringify(clean);
+  const { row, created } = attachRestaurantMenu({
+    placeId,
+    placeName: String(req.body?.placeName ?? "").trim().slice(0, 200) || null,
+    source,
+    sourceUrl,
+    uploadKey,
+    sectionsJson,
+    contentHash: sha256(Buffer.from(sectionsJson)),
+    itemCount,
+    createdBy: req.ctx.userId,
+    createdAt: nowIso(),
+    status: "pending",
+  });
+
+  res.status(created ? 201 : 200).json({
+    created,
+    menu: { ...restaurantMenuSummary(row), sections: safeJsonParse(row.sectionsJson, []) },
+  });
+});
+
+// GET /api/places/:placeId/menu[?version=N] -> latest approved (or a specific) menu version.
+// Pending/flagged versions are only returned to their uploader.
+app.get("/api/places/:placeId/menu", (req, res) => {
+  const placeId = String(req.params.placeId);
+  if (!isPlaceId(placeId)) return res.status(400).json({ error: "invalid_place_id" });
+
+  let row;
+  if (req.query.version !== undefined) {
+    const version = Number(req.query.version);
+    if (!Number.isInteger(version) || version < 1) return res.status(400).json({ error: "invalid_version" });
+    row = restaurantMenuVersionStmt.get(placeId, version);
+    const uid = getUserId(req);
+    if (row && row.status !== "approved" && !(uid && row.createdBy === uid)) row = null;
+  } else {
+    row = restaurantMenuLatestApprovedStmt.get(placeId);
+  }
+  if (!row) return res.status(404).json({ error: "menu_not_found", placeId });
+
+  const latest = restaurantMenuLatestApprovedStmt.get(placeId);
+  res.json({
+    menu: { ...restaurantMenuSummary(row), sections: safeJsonParse(row.sectionsJson, []) },
+    latestVersion: latest?.version ?? null,
+  });
+});
+
+app.get("/api/places/:placeId/menu/versions", (req, res) => {
+  const placeId = String(req.params.placeId);
+  if (!isPlaceId(placeId)) return res.status(400).json({ error: "invalid_place_id" });
+  res.json({ placeId, items: restaurantMenuListStmt.all(placeId, getUserId(req)).map(restaurantMenuSummary) });
+});
+
+// ---------- RESTAURANT MENUS (admin review) ----------
+app.use("/admin/restaurant-menus", requireAdminSession({ allowDevHeaderToken: true }));
+
+// ?status=pending (default) | approved | flagged
+app.get("/admin/restaurant-menus", (req, res) => {
+  const status = String(req.query.status || "pending");
+  if (!RESTAURANT_MENU_STATUSES.includes(status)) {
+    return res.status(400).json({ error: "invalid_status", allowed: RESTAURANT_MENU_STATUSES });
+  }
+  res.json({ status, items: restaurantMenuByStatusStmt.all(status).map(restaurantMenuSummary) });
+});
+
+// body: { status: "approved"|"flagged"|"pending", note? }
+app.post("/admin/restaurant-menus/:id/status", (req, res) => {
+  const status = String(req.body?.status || "");
+  if (!RESTAURANT_MENU_STATUSES.includes(status)) {
+    return res.status(400).json({ error: "invalid_status", allowed: RESTAURANT_MENU_STATUSES });
+  }
+  const row = restaurantMenuGetStmt.get(String(req.params.id));
+  if (!row) return res.status(404).json({ error: "menu_not_found" });
+
+  restaurantMenuReviewStmt.run({
+    id: row.id,
+    status,
+    reviewedBy: String(req.admin?.email || req.admin?.id || "admin"),
+    reviewedAt: nowIso(),
+    reviewNote: String(req.body?.note ?? "").trim().slice(0, 500) || null,
+  });
+  res.json({ ok: true, menu: restaurantMenuSummary(restaurantMenuGetStmt.get(row.id)) });
+});
+
 
 
 // ---------- PDF text extraction (pdfjs-dist) ----------
-async function extractTextFromPdfBuffer(buffer) {
+// One entry per page so long menus can be extracted a page at a time
+async function extractPdfPages(buffer) {
   const pdfjs = await import("pdfjs-dist/legacy/build/pdf.mjs");
   const loadingTask = pdfjs.getDocument({ data: new Uint8Array(buffer) });
   const pdf = await loadingTask.promise;
 
-  let out = "";
+  const pages = [];
   for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
     const page = await pdf.getPage(pageNum);
     const content = await page.getTextContent();
     const strings = content.items
       .map((it) => (it && it.str ? String(it.str) : ""))
       .filter(Boolean);
-    out += `\n\n--- PAGE ${pageNum} ---\n${strings.join(" ")}`;
+    pages.push({ page: pageNum, text: strings.join(" ").trim() });
   }
-  return out.trim();
+  return pages;
 }
 
 function makeUploadKey(files) {
@@ -3038,15 +5908,49 @@ function makeUploadKey(files) {
 function makeRateKey({ uploadKey, items, profile }) {
   const itemsKey = sha256(Buffer.from((items || []).join("\n")));
   const profileKey = sha256(Buffer.from(stableJsonKey(profile || {})));
-  return `rate:${uploadKey || "noUpload"}:${itemsKey}:${profileKey}`;
+  return `rate:${uploadKey || "noUpload"}:${getActiveRuleset().version}:${itemsKey}:${profileKey}`;
 }
 
 // ---------- MENU EXTRACT UPLOAD ----------
-app.post("/api/menu/extract-upload", upload.array("files", 6), async (req, res) => {
-  res.set("X-Voravia-Menu", "upload-v2");
+// Each PDF page and each image is its own extraction call ("chunk"); results are merged with
+// sections deduped across pages. Pages past MENU_PDF_MAX_PAGES, or left when the request has
+// spent MENU_EXTRACT_BUDGET_MS, are reported as skipped.
+// This runs inside one HTTP request (one model call per page, in order); catering-sized PDFs
+// belong on a job queue like the async scan jobs (/v1/scans?async=1) rather than a longer budget.
+// Until then the model calls are bounded per caller: anonymous uploads get MENU_PDF_MAX_PAGES_ANON
+// PDF pages, and every caller has an hourly page quota (signed-in user, or IP when anonymous).
+const MENU_PDF_MAX_PAGES = clampInt(process.env.MENU_PDF_MAX_PAGES, 1, 200, 40);
+const MENU_PDF_MAX_PAGES_ANON = clampInt(process.env.MENU_PDF_MAX_PAGES_ANON, 1, MENU_PDF_MAX_PAGES, 4);
+const MENU_PAGES_PER_HOUR = clampInt(process.env.MENU_PAGES_PER_HOUR, 1, 10000, 120);
+const MENU_PAGES_PER_HOUR_ANON = clampInt(process.env.MENU_PAGES_PER_HOUR_ANON, 1, 10000, 12);
+const MENU_EXTRACT_BUDGET_MS = clampInt(process.env.MENU_EXTRACT_BUDGET_MS, 5000, 600000, 120000);
+const MIN_PDF_PAGE_TEXT = 20; // below this the page is most likely a scan with no text layer
+
+// Reserves up to `wanted` model calls from the caller's hourly page quota; returns how many it got
+function takeMenuPageQuota(req, wanted) {
+  const userId = String(req.ctx?.userId || "");
+  const limit = userId ? MENU_PAGES_PER_HOUR : MENU_PAGES_PER_HOUR_ANON;
+  const k = `menuPages:${userId ? `u:${userId}` : `ip:${req.ip}`}`;
+  const now = Date.now();
+
+  let entry = cache.get(k);
+  if (!entry || entry.resetAt <= now) entry = { used: 0, resetAt: now + 60 * 60 * 1000 };
+  const granted = Math.max(0, Math.min(wanted, limit - entry.used));
+  entry.used += granted;
+  cache.set(k, entry, Math.ceil((entry.resetAt - now) / 1000));
+  return { granted, limit, resetAt: new Date(entry.resetAt).toISOString() };
+}
+
+function pageStatus(chunk) {
+  return { file: chunk.file, source: chunk.source, page: chunk.page };
+}
+
+app.post("/api/menu/extract-upload", costlyLimiter, upload.array("files", 6), async (req, res) => {
+  res.set("X-Voravia-Menu", "upload-v3");
 
   try {
-    if (!process.env.OPENAI_API_KEY) return res.status(500).json({ error: "MISSING_OPENAI_API_KEY" });
+    const missing = vision.missingConfig();
+    if (missing) return res.status(500).json({ error: missing });
 
     const files = req.files || [];
     if (!Array.isArray(files) || files.length === 0) {
@@ -3058,89 +5962,132 @@ app.post("/api/menu/extract-upload", upload.array("files", 6), async (req, res)
     const cached = cache.get(`extract:${uploadKey}`);
     if (cached) return res.json({ ...cached, cached: true, uploadKey });
 
-    let pdfText = "";
-    const imageInputs = [];
-
-    for (const f of files) {
+    // chunk: { file, source: "pdf"|"image", page, pdfText?, images? }
+    const chunks = [];
+    const pages = [];
+    const maxPdfPages = req.ctx?.userId ? MENU_PDF_MAX_PAGES : MENU_PDF_MAX_PAGES_ANON;
+    for (const [fileIdx, f] of files.entries()) {
       const mimetype = String(f.mimetype || "");
       if (mimetype === "application/pdf") {
-        const text = await extractTextFromPdfBuffer(f.buffer);
-        pdfText += `\n\n--- PDF TEXT START ---\n${text}\n--- PDF TEXT END ---\n`;
+        for (const p of await extractPdfPages(f.buffer)) {
+          const chunk = { file: fileIdx, source: "pdf", page: p.page, pdfText: p.text };
+          if (chunks.filter((c) => c.source === "pdf").length >= maxPdfPages) {
+            const hint = req.ctx?.userId ? "" : "; sign in for more";
+            pages.push({ ...pageStatus(chunk), status: "skipped", reason: "page_limit", message: `over the ${maxPdfPages}-page limit${hint}` });
+          } else if (p.text.length < MIN_PDF_PAGE_TEXT) {
+            pages.push({ ...pageStatus(chunk), status: "empty", message: "no text on this page (scanned?); upload it as an image" });
+          } else {
+            chunks.push(chunk);
+          }
+        }
       } else if (mimetype.startsWith("image/")) {
-        const b64 = f.buffer.toString("base64");
-        imageInputs.push({
-          type: "input_image",
-          image_url: `data:${mimetype};base64,${b64}`,
-        });
+        chunks.push({ file: fileIdx, source: "image", page: null, images: [{ buffer: f.buffer, mimeType: mimetype }] });
       }
     }
 
-    if (!pdfText && imageInputs.length === 0) {
+    if (chunks.length === 0) {
+      if (pages.length) {
+        return res.status(422).json({ error: "menu_upload_no_text", message: "No extractable text in the uploaded PDF.", pages });
+      }
       return res.status(400).json({ error: "Unsupported file types. Upload images or a PDF." });
     }
 
-    const instruction =
-      `Return ONLY valid JSON (no markdown). Schema:\n` +
-      `{"sections":[{"name":string,"items":[{"name":string,"description":string|null,"price":string|null}]}]}\n` +
-      `Rules:\n` +
-      `- keep section names\n` +
-      `- dedupe items by name\n` +
-      `- price/desc null if missing\n` +
-      `- LIMIT output to max 12 sections and max 25 items per section\n` +
-      `- DO NOT include rawText or any extra fields\n`;
-
-    const userContent = [
-      { type: "input_text", text: instruction + (pdfText ? `\n\nPDF:\n${pdfText}\n` : "") },
-      ...imageInputs,
-    ];
-
-    const response = await openai.responses.create({
-      model: "gpt-4.1-mini",
-      input: [{ role: "user", content: userContent }],
-    });
+    const quota = takeMenuPageQuota(req, chunks.length);
+    if (quota.granted === 0) {
+      return res.status(429).json({
+        error: "menu_page_quota_exceeded",
+        message: `Hourly limit of ${quota.limit} menu pages reached.`,
+        resetAt: quota.resetAt,
+      });
+    }
+    for (const chunk of chunks.splice(quota.granted)) {
+      pages.push({ ...pageStatus(chunk), status: "skipped", reason: "page_quota", message: `hourly limit of ${quota.limit} menu pages reached` });
+    }
 
-    const modelText = response?.output?.[0]?.content?.[0]?.text ?? "{}";
+    // Sequential so each page can be told which section the previous one ended in
+    const chunkSections = [];
+    const validation = { errors: null, coercions: [], repaired: false };
+    let continueSection = null;
 
-    let parsedJson;
-    try {
-      parsedJson = extractFirstJson(modelText);
-    } catch (e) {
-      return res.status(500).json({
-        error: "menu_upload_parse_error",
-        message: "Model did not return valid JSON.",
-        raw: String(modelText).slice(0, 1200),
+    const deadline = Date.now() + MENU_EXTRACT_BUDGET_MS;
+
+    for (const [i, chunk] of chunks.entries()) {
+      if (Date.now() > deadline) {
+        pages.push({ ...pageStatus(chunk), status: "skipped", reason: "time_budget", message: "extraction time budget used up; retry or split the file" });
+        continue;
+      }
+      const key = `${uploadKey}:${i}`;
+      const page = chunks.length > 1 ? { number: i + 1, count: chunks.length, continueSection } : null;
+      let result;
+      try {
+        result = await runValidated({
+          provider: vision,
+          task: "menu",
+          schema: MENU_SCHEMA,
+          key,
+          call: () => vision.extractMenu({ images: chunk.images || [], pdfText: chunk.pdfText || "", page, key }),
+        });
+      } catch (e) {
+        pages.push({ ...pageStatus(chunk), status: "failed", message: e?.message || String(e) });
+        continue;
+      }
+
+      if (result.fatal) {
+        pages.push({
+          ...pageStatus(chunk),
+          status: "failed",
+          message: "Model did not return valid JSON.",
+          errors: result.errors,
+          raw: String(result.raw || "").slice(0, 600),
+        });
+        continue;
+      }
+
+      const sections = result.value.sections || [];
+      chunkSections.push(sections);
+      if (sections.length) continueSection = String(sections[sections.length - 1]?.name || "").trim() || null;
+
+      const prefix = chunks.length > 1 ? `files[${chunk.file}]${chunk.page ? `.pages[${chunk.page}]` : ""}.` : "";
+      for (const [path, msgs] of Object.entries(result.errors || {})) {
+        validation.errors = { ...validation.errors, [`${prefix}${path}`]: msgs };
+      }
+      validation.coercions.push(...(result.coercions || []).map((c) => ({ ...c, path: `${prefix}${c.path}` })));
+      validation.repaired = validation.repaired || result.repaired;
+
+      pages.push({
+        ...pageStatus(chunk),
+        status: "ok",
+        sections: sections.length,
+        items: sections.reduce((n, s) => n + (Array.isArray(s?.items) ? s.items.length : 0), 0),
+        errors: result.errors,
+        repaired: result.repaired,
       });
     }
 
-    const sections = Array.isArray(parsedJson.sections) ? parsedJson.sections : [];
+    // Chunks are pushed in order, but keep pages sorted by file/page for clients
+    pages.sort((a, b) => a.file - b.file || (a.page ?? 0) - (b.page ?? 0));
+    const failed = pages.filter((p) => p.status === "failed").length;
+    const skipped = pages.filter((p) => p.status === "skipped").length;
 
-    const seen = new Set();
-    const cleanSections = sections
-      .map((sec) => {
-        const name = String(sec?.name ?? "Menu").trim() || "Menu";
-        const items = Array.isArray(sec?.items) ? sec.items : [];
-        const cleanItems = items
-          .map((it) => ({
-            name: String(it?.name ?? "").trim(),
-            description:
-              it?.description === null || it?.description === undefined ? null : String(it.description).trim() || null,
-            price: it?.price === null || it?.price === undefined ? null : String(it.price).trim() || null,
-          }))
-          .filter((it) => it.name.length >= 2)
-          .filter((it) => {
-            const k = it.name.toLowerCase();
-            if (seen.has(k)) return false;
-            seen.add(k);
-            return true;
-          });
-
-        return { name, items: cleanItems };
-      })
-      .filter((s) => s.items.length > 0);
+    if (!chunkSections.length) {
+      return res.status(502).json({
+        error: "menu_upload_parse_error",
+        message: "Model did not return valid JSON.",
+        pages,
+      });
+    }
 
-    const payload = { source: "upload", sections: cleanSections };
+    const payload = {
+      source: "upload",
+      sections: mergeMenuSections(chunkSections),
+      pages,
+      complete: failed === 0 && skipped === 0,
+      validation,
+    };
 
-    cache.set(`extract:${uploadKey}`, payload);
+    // A retry may recover failed, timed-out or over-quota pages, so those extractions aren't cached
+    const retryable = pages.some((p) => p.reason === "time_budget" || p.reason === "page_quota");
+    if (!failed && !retryable) cache.set(`extract:${uploadKey}`, payload);
 
     return res.json({ ...payload, cached: false, uploadKey });
   } catch (err) {
@@ -3150,33 +6097,162 @@ app.post("/api/menu/extract-upload", upload.array("files", 6), async (req, res)
 });
 
 // ---------- MENU RATE ----------
+const MENU_SORTS = ["score", "value", "price_asc", "price_desc"];
+
+// Value per 1 unit of the item's currency (score-per-dollar for USD). Ranges use the lower
+// bound; multi-buys ("2 for $10") the price of one item.
+function menuItemValue(item, price) {
+  if (!price || !(price.amount > 0)) return null;
+  const amount = perItemAmount(price);
+  const per = (v, digits) =>
+    v === null || v === undefined || !Number.isFinite(Number(v)) ? null : Number((Number(v) / amount).toFixed(digits));
+  return {
+    amount,
+    currency: price.currency,
+    scorePerUnit: per(item.score, 2),
+    proteinGPerUnit: per(item.nutrition?.proteinG, 2),
+    caloriesPerUnit: per(item.nutrition?.calories, 1),
+  };
+}
+
+// body.budget: number or { max, currency?, includeUnpriced? } -> normalized budget, or { error }
+function parseMenuBudget(raw, currency) {
+  if (raw === undefined || raw === null) return null;
+  const b = typeof raw === "object" ? raw : { max: raw };
+  const max = Number(b.max);
+  if (!Number.isFinite(max) || max <= 0) return { error: "budget.max must be a positive number" };
+  const cur = b.currency === undefined || b.currency === null ? currency : String(b.currency).trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(cur)) return { error: "budget.currency must be an ISO 4217 code like USD" };
+  return { max, currency: cur, includeUnpriced: b.includeUnpriced !== false };
+}
+
+function budgetStatus(price, budget) {
+  if (!price || price.amount === null || price.amount === undefined) return "unpriced";
+  if (price.currency !== budget.currency) return "other_currency";
+  return price.min <= budget.max ? "within" : "over";
+}
+
+/**
+ * Attach prices/value to rated items, then apply the budget filter and sort order.
+ * Runs on cached payloads too, since neither affects the nutrition estimates.
+ * With a budget, each item gets budgetStatus: within | over | unpriced | other_currency.
+ * A range fits when its lowest option does, a multi-buy when the whole deal does. Prices in
+ * another currency can't be compared and are excluded; unpriced items stay unless
+ * includeUnpriced is false. `excluded` counts the dropped items per status.
+ */
+function presentRatedMenu(ratedItems, prices, { sort, budget }) {
+  let items = ratedItems.map((it) => {
+    const price = prices.get(it.input) || null;
+    const value = menuItemValue(it, price);
+    if (!budget) return { ...it, price, value, withinBudget: null };
+    const status = budgetStatus(price, budget);
+    return { ...it, price, value, budgetStatus: status, withinBudget: status === "within" ? true : status === "over" ? false : null };
+  });
+
+  const excluded = { over: 0, unpriced: 0, otherCurrency: 0 };
+  if (budget) {
+    items = items.filter((it) => {
+      if (it.budgetStatus === "within") return true;
+      if (it.budgetStatus === "unpriced" && budget.includeUnpriced) return true;
+      if (it.budgetStatus === "over") excluded.over++;
+      else if (it.budgetStatus === "unpriced") excluded.unpriced++;
+      else excluded.otherCurrency++;
+      return false;
+    });
+  }
+
+  // Unpriced items go last for the price/value orders; hard conflicts always sink.
+  // Price orders use the same per-item amount as value ("2 for $10" sorts as $5).
+  const last = (v, dir) => (v === null || v === undefined ? Infinity : dir * v);
+  const order = {
+    score: (a, b) => (b.score ?? -1) - (a.score ?? -1),
+    value: (a, b) => last(a.value?.scorePerUnit, -1) - last(b.value?.scorePerUnit, -1) || (b.score ?? -1) - (a.score ?? -1),
+    price_asc: (a, b) => last(perItemAmount(a.price), 1) - last(perItemAmount(b.price), 1) || (b.score ?? -1) - (a.score ?? -1),
+    price_desc: (a, b) => last(perItemAmount(a.price), -1) - last(perItemAmount(b.price), -1) || (b.score ?? -1) - (a.score ?? -1),
+  }[sort];
+  items.sort((a, b) => Number(a.hardConflict) - Number(b.hardConflict) || order(a, b));
+
+  return { items, excluded };
+}
+
 app.post("/api/menu/rate", async (req, res) => {
   try {
-    if (!process.env.OPENAI_API_KEY) return res.status(500).json({ error: "Missing OPENAI_API_KEY" });
-
     const itemsRaw = req.body?.items;
     const profile = req.body?.profile ?? {};
     const uploadKey = String(req.body?.uploadKey ?? "").trim() || "noUpload";
 
     if (!Array.isArray(itemsRaw) || itemsRaw.length === 0) {
-      return res.status(400).json({ error: "items must be a non-empty array of strings" });
+      return res.status(400).json({ error: "items must be a non-empty array of strings or { name, description } objects" });
+    }
+
+    const sort = String(req.body?.sort ?? "score").trim();
+    if (!MENU_SORTS.includes(sort)) {
+      return res.status(400).json({ error: `sort must be one of: ${MENU_SORTS.join(", ")}` });
+    }
+    const currency = String(req.body?.currency ?? DEFAULT_CURRENCY).trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      return res.status(400).json({ error: "currency must be an ISO 4217 code like USD" });
     }
+    const budget = parseMenuBudget(req.body?.budget, currency);
+    if (budget?.error) return res.status(400).json({ error: budget.error });
 
+    // Items are dish names ("Pad Thai $12"), or { name, description, price } (description feeds
+    // allergen/diet detection). `currency` is what bare numbers and "$" mean on this menu.
+    const descriptions = new Map();
+    const prices = new Map();
     const items = itemsRaw
-      .map((s) => String(s ?? "").trim())
+      .map((it) => {
+        let name;
+        let rawPrice = null;
+        if (it && typeof it === "object") {
+          name = String(it.name ?? "").trim();
+          const description = String(it.description ?? "").trim();
+          if (name && description) descriptions.set(name, description);
+          rawPrice = it.price ?? null;
+        } else {
+          ({ name, price: rawPrice } = splitTrailingPrice(String(it ?? "")));
+        }
+        const price = parsePrice(rawPrice, { defaultCurrency: currency });
+        if (name && price) prices.set(name, price);
+        return name;
+      })
       .filter(Boolean)
       .slice(0, 120);
 
-    const flags = {
-      diabetes: !!profile.diabetes,
-      htn: !!profile.htn,
-      nafld: !!profile.nafld,
-      goal: profile.goal === "Lose" || profile.goal === "Maintain" || profile.goal === "Gain" ? profile.goal : "Maintain",
+    // Signed-in callers are rated like scans/logs: the member's stored preferences (incl.
+    // allergens/diets) and daily targets, with the request profile merged on top. body.memberId
+    // picks a family member the caller can see; default is the active member. Anonymous
+    // callers get the request profile with default targets (requestScoringProfile).
+    // Accepts { conditions, goals, avoid, targets } and the older { diabetes, htn, nafld, goal } flags
+    const requestedMemberId = String(req.body?.memberId ?? "").trim();
+    if (requestedMemberId && !req.ctx?.userId) return res.status(401).json({ error: "not_authenticated" });
+    if (requestedMemberId && !canAccessMemberPreferences(getUserId(req), requestedMemberId)) {
+      return res.status(404).json({ error: "NOT_FOUND" });
+    }
+    const memberId = requestedMemberId || (req.ctx?.userId ? String(getMemberIdForScan(req)) : null);
+    const scoringProfile = normalizeScoringProfile(memberId ? memberScoringProfile(memberId, profile) : requestScoringProfile(profile));
+
+    const rateKey = makeRateKey({
+      uploadKey,
+      items: items.map((n) => (descriptions.has(n) ? `${n}\t${descriptions.get(n)}` : n)),
+      profile: scoringProfile,
+    });
+    const respond = (payload, cached) => {
+      const { items: ratedItems, excluded } = presentRatedMenu(payload.ratedItems, prices, { sort, budget });
+      return res.json({
+        ...payload,
+        memberIdUsed: memberId,
+        profileSource: memberId ? "member" : "request",
+        sort,
+        budget: budget ? { ...budget, excluded } : null,
+        count: ratedItems.length,
+        ratedItems,
+        cached,
+      });
     };
 
-    const rateKey = makeRateKey({ uploadKey, items, profile: flags });
     const cached = cache.get(rateKey);
-    if (cached) return res.json({ ...cached, cached: true });
+    if (cached) return respond(cached, true);
 
     const chunk = (arr, size) => {
       const out = [];
@@ -3184,110 +6260,143 @@ app.post("/api/menu/rate", async (req, res) => {
       return out;
     };
 
-    const batches = chunk(items, 35);
-    const allEstimated = [];
-
-    for (const batch of batches) {
-      const prompt = {
-        role: "user",
-        content: [
-          {
-            type: "input_text",
-            text:
-              `Return ONLY JSON (no markdown). Shape:\n` +
-              `{"items":[{"input":string,"name":string,"calories":number,"carbsG":number,"proteinG":number,"fatG":number,"fiberG":number,"sugarG":number,"sodiumMg":number,"satFatG":number,"confidence":number,"assumptions":string}]}\n\n` +
-              `Menu items:\n` +
-              batch.map((x, i) => `${i + 1}. ${x}`).join("\n"),
-          },
-        ],
-      };
-
-      const response = await openai.responses.create({
-        model: "gpt-4.1-mini",
-        input: [prompt],
-      });
-
-      const text = response?.output?.[0]?.content?.[0]?.text ?? "{}";
+    // input -> { estimate, errors, source, match }; estimate is null when the batch (or item) had no usable output
+    const estimates = new Map();
+    const batchErrors = [];
 
-      let parsed;
-      try {
-        parsed = extractFirstJson(text);
-      } catch (e) {
-        return res.status(500).json({
-          error: "ai_parse_error",
-          message: "Model did not return valid JSON. Try again or reduce items.",
-          raw: String(text).slice(0, 1200),
-        });
-      }
+    // Local USDA FDC matches first; only the rest go to the model
+    const unmatched = [];
+    for (const input of items) {
+      const local = lookupDishNutrition(input);
+      if (local) estimates.set(input, { estimate: local.estimate, errors: null, source: local.source, match: local.match });
+      else unmatched.push(input);
+    }
 
-      const est = Array.isArray(parsed?.items) ? parsed.items : [];
-      allEstimated.push(...est);
+    if (unmatched.length && vision.missingConfig()) {
+      return res.status(500).json({ error: "Missing OPENAI_API_KEY" });
     }
 
-    const rated = items.map((input, idx) => {
-      const e = allEstimated.find((x) => String(x?.input ?? "").trim() === input) || allEstimated[idx] || {};
-      const calories = Number(e.calories ?? 0);
-      const sodium = Number(e.sodiumMg ?? 0);
-      const sugar = Number(e.sugarG ?? 0);
-      const fiber = Number(e.fiberG ?? 0);
-      const carbs = Number(e.carbsG ?? 0);
+    const batches = chunk(unmatched, 35);
 
-      let score = 80;
-      const reasons = [];
+    for (const [b, batch] of batches.entries()) {
+      const result = await runValidated({
+        provider: vision,
+        task: "nutrition",
+        schema: NUTRITION_SCHEMA,
+        key: rateKey,
+        call: () => vision.estimateNutrition({ items: batch, key: rateKey }),
+      });
 
-      if (flags.goal === "Lose" && calories > 950) {
-        score -= 15;
-        reasons.push("High calories for weight loss");
-      }
-      if (flags.htn && sodium > 1200) {
-        score -= 20;
-        reasons.push("Very high sodium (HTN)");
+      if (result.fatal) {
+        batchErrors.push({ batch: b, items: batch.length, errors: result.errors });
+        for (const input of batch) estimates.set(input, { estimate: null, errors: result.errors, source: "model", match: null });
+        continue;
       }
-      if (flags.diabetes && carbs - fiber > 55) {
-        score -= 18;
-        reasons.push("High net carbs (diabetes)");
-      }
-      if (flags.nafld && sugar > 20) {
-        score -= 15;
-        reasons.push("High sugar (NAFLD)");
+
+      // Per-item field errors ("items[3].calories") follow the item they belong to
+      const errorsByIdx = new Map();
+      for (const [path, msgs] of Object.entries(result.errors || {})) {
+        const m = path.match(/^items\[(\d+)\]\.?(.*)$/);
+        if (!m) continue;
+        const idx = Number(m[1]);
+        const errs = errorsByIdx.get(idx) || {};
+        errs[m[2] || "$"] = msgs;
+        errorsByIdx.set(idx, errs);
       }
-      if (fiber >= 6) {
-        score += 4;
-        reasons.push("Good fiber");
+
+      const est = result.value.items || [];
+      batch.forEach((input, i) => {
+        let idx = est.findIndex((x) => x && String(x.input ?? "").trim() === input);
+        if (idx === -1) idx = i < est.length ? i : -1;
+        const errors = idx === -1 ? { $: ["no estimate returned for item"] } : errorsByIdx.get(idx) || null;
+        const usable = idx !== -1 && !errors?.calories && !errors?.$;
+        estimates.set(input, { estimate: usable ? est[idx] : null, errors, source: "model", match: null });
+      });
+    }
+
+    const rated = items.map((input) => {
+      const { estimate, errors, source, match } = estimates.get(input) || { estimate: null, errors: null };
+      const description = descriptions.get(input) || null;
+      if (!estimate) {
+        // Allergies/diets only need the text, so they're still checked
+        const dietary = scoreDish({ name: input, description, nutrition: null, profile: scoringProfile });
+        return {
+          input,
+          name: input,
+          description,
+          nutrition: null,
+          source: source || null,
+          match: null,
+          score: null,
+          verdict: dietary.hardConflict ? "AVOID" : "UNKNOWN",
+          healthVerdict: "UNKNOWN",
+          reasons: ["Nutrition estimate unavailable"],
+          contributions: [],
+          allergens: dietary.allergens,
+          dietaryConflicts: dietary.dietaryConflicts,
+          hardConflict: dietary.hardConflict,
+          errors,
+        };
       }
 
-      score = clampScore(score);
-      const verdict = score >= 80 ? "FIT" : score >= 60 ? "MODERATE" : "AVOID";
+      const e = estimate;
+      const { score, verdict, healthVerdict, reasons, contributions, allergens, dietaryConflicts, hardConflict } = scoreDish({
+        name: input,
+        description,
+        nutrition: e,
+        profile: scoringProfile,
+      });
 
       return {
         input,
-        name: String(e.name ?? input),
+        name: String(e.name || input),
+        description,
         nutrition: e,
+        source,
+        match,
         score,
         verdict,
+        healthVerdict,
         reasons,
+        contributions,
+        allergens,
+        dietaryConflicts,
+        hardConflict,
+        errors,
       };
     });
 
-    rated.sort((a, b) => b.score - a.score);
-
     const payload = {
-      profileUsed: flags,
+      profileUsed: scoringProfile,
+      rulesetVersion: getActiveRuleset().version,
+      rulesetNotes: getActiveRuleset().notes || [],
       uploadKey,
       count: rated.length,
       ratedItems: rated,
+      sources: {
+        usda_fdc: items.length - unmatched.length,
+        model: unmatched.length,
+      },
+      batchErrors,
       cached: false,
     };
 
-    cache.set(rateKey, payload);
+    // Don't pin partial failures in the cache; a retry may succeed. Prices, sort and budget
+    // are applied per request on top of the cached ratings.
+    if (!batchErrors.length) cache.set(rateKey, payload);
 
-    return res.json(payload);
+    return respond(payload, false);
   } catch (err) {
     console.error("menu rate error:", err);
     res.status(500).json({ error: "menu_rate_error", message: err?.message });
   }
 });
 
+// ---------- MENU ROUTER (routes/menu.js) ----------
+// POST /api/menu/extract (restaurant URL -> sections) and /api/menu/ocr. Mounted after the
+// handlers above, which own /api/menu/extract-upload and /api/menu/rate. Both fetch pages or
+// call the model for the caller, so they share the costly limiter.
+app.use("/api/menu", costlyLimiter, menuRouter);
 
 // Run rollup for yesterday on startup (fast) and every hour (cheap)
 try {
@@ -0,0 +1,274 @@
+// src/services/dietary.js
+// Allergen + dietary-restriction detection from a dish name/description, and the conflicts
+// that detection raises for a member's settings.
+//
+// Detection is keyword based, so it reports certainty:
+//   "likely"   the text names the ingredient ("peanut sauce", "shrimp")
+//   "possible" a dish that usually contains it ("satay", "pesto", "korma")
+// A conflict is "hard" when a likely ingredient breaks an allergy or diet; possible hits
+// are surfaced as warnings. Text such as "gluten-free" / "no dairy" suppresses that group, and
+// a dish marked vegan as a whole ("Vegan ...", "(VG)") suppresses every animal group.
+
+export const ALLERGEN_TOKENS = ["peanut", "tree_nut", "gluten", "dairy", "shellfish"];
+export const DIET_TOKENS = ["vegetarian", "vegan", "halal", "kosher", "jain"];
+
+// Accepted spellings in member settings / request profiles
+const TOKEN_ALIASES = {
+  peanuts: "peanut",
+  tree_nuts: "tree_nut",
+  treenut: "tree_nut",
+  nuts: "tree_nut",
+  wheat: "gluten",
+  milk: "dairy",
+  lactose: "dairy",
+  crustacean: "shellfish",
+  seafood: "shellfish",
+  veg: "vegetarian",
+};
+
+export function normalizeDietaryTokens(list, allowed) {
+  const out = new Set();
+  for (const raw of Array.isArray(list) ? list : []) {
+    const t = String(raw || "").toLowerCase().trim().replace(/[\s-]+/g, "_");
+    const tok = TOKEN_ALIASES[t] || t;
+    if (!allowed || allowed.includes(tok)) out.add(tok);
+  }
+  return [...out];
+}
+
+// Ingredient groups: likely words name the ingredient; possible words are dishes that often hide it
+const GROUPS = {
+  peanut: {
+    likely: ["peanut", "peanuts", "groundnut", "groundnuts"],
+    possible: ["satay", "kung pao", "pad thai", "mole", "gado gado"],
+  },
+  tree_nut: {
+    likely: [
+      "almond", "almonds", "cashew", "cashews", "walnut", "walnuts", "pecan", "pecans", "pistachio",
+      "pistachios", "hazelnut", "hazelnuts", "macadamia", "pine nut", "pine nuts", "praline", "marzipan",
+      "baklava", "nutella", "brazil nut",
+    ],
+    possible: ["pesto", "korma", "badam", "kaju", "biryani", "frangipane"],
+  },
+  gluten: {
+    likely: [
+      "wheat", "flour", "bread", "breaded", "bun", "pasta", "spaghetti", "penne", "linguine", "fettuccine",
+      "lasagna", "naan", "roti", "paratha", "chapati", "pita", "couscous", "barley", "rye", "seitan",
+      "crouton", "croutons", "pizza", "cake", "cookie", "pastry", "croissant", "sandwich", "burger",
+      "tempura", "battered", "pie", "bagel", "waffle", "pancake", "ramen", "udon", "dumpling", "dumplings",
+      "samosa", "beer",
+    ],
+    possible: ["noodle", "noodles", "wrap", "tortilla", "soy sauce", "teriyaki", "gravy", "crispy", "fried"],
+  },
+  dairy: {
+    likely: [
+      "milk", "cheese", "cheesy", "butter", "cream", "creamy", "yogurt", "yoghurt", "paneer", "ghee",
+      "curd", "raita", "whey", "alfredo", "mozzarella", "parmesan", "cheddar", "feta", "ricotta",
+      "ice cream", "latte", "lassi", "kulfi", "makhani", "custard", "bechamel", "queso", "burrata",
+      "mascarpone", "tzatziki",
+    ],
+    possible: ["korma", "tikka masala", "malai", "pizza", "gratin", "kheer", "cake"],
+  },
+  shellfish: {
+    likely: [
+      "shrimp", "prawn", "prawns", "crab", "lobster", "crayfish", "crawfish", "scallop", "scallops", "clam",
+      "clams", "mussel", "mussels", "oyster", "oysters", "calamari", "squid", "langoustine", "scampi",
+    ],
+    possible: ["seafood", "paella", "bouillabaisse", "cioppino", "shrimp paste"],
+  },
+  meat: {
+    likely: [
+      "chicken", "beef", "pork", "lamb", "mutton", "goat", "veal", "turkey", "duck", "bacon", "ham",
+      "sausage", "pepperoni", "salami", "chorizo", "prosciutto", "pancetta", "steak", "meatball",
+      "meatballs", "brisket", "ribs", "wings", "keema", "gelatin", "lard", "carnitas", "venison",
+    ],
+    possible: ["burger", "kebab", "kabab", "biryani", "pho", "stock", "broth", "gravy"],
+  },
+  pork: {
+    likely: [
+      "pork", "bacon", "ham", "prosciutto", "pancetta", "chorizo", "pepperoni", "salami", "lard",
+      "carnitas", "char siu", "pulled pork",
+    ],
+    possible: ["sausage", "hot dog", "gelatin", "ribs"],
+  },
+  fish: {
+    likely: [
+      "fish", "salmon", "tuna", "cod", "tilapia", "anchovy", "anchovies", "sardine", "sardines", "mackerel",
+      "trout", "halibut", "sushi", "sashimi", "fish sauce", "caviar", "roe",
+    ],
+    possible: ["caesar", "worcestershire"],
+  },
+  egg: {
+    likely: ["egg", "eggs", "omelette", "omelet", "frittata", "quiche", "mayo", "mayonnaise", "aioli", "meringue"],
+    possible: ["carbonara", "fried rice", "cake", "custard", "pancake", "waffle"],
+  },
+  honey: { likely: ["honey"], possible: [] },
+  alcohol: {
+    likely: ["wine", "beer", "rum", "vodka", "sake", "mirin", "bourbon", "whiskey", "whisky", "brandy", "tequila"],
+    possible: ["tiramisu"],
+  },
+  root_veg: {
+    likely: [
+      "onion", "onions", "garlic", "potato", "potatoes", "carrot", "carrots", "beet", "beetroot", "radish",
+      "ginger", "turnip", "shallot", "shallots", "leek", "scallion", "scallions", "aloo", "fries",
+    ],
+    possible: ["curry", "masala", "biryani", "salsa"],
+  },
+};
+
+// Plant-based stand-ins turn a meat/fish hit into "possible" only when they qualify that word:
+// "tofu chicken", "jackfruit pulled pork", "soy chicken" - not "beef ... in soy sauce".
+const STAND_IN_BEFORE = /\b(vegan|vegetarian|veggie|plant[- ]based|impossible|beyond|tofu|seitan|tempeh|jackfruit|mock|faux)\b[\s'"‘’“”-]+(\S+\s+)?$/;
+const SOY_BEFORE = /\bsoya?[\s-]+$/;
+const isStandIn = (text, index) => {
+  const before = text.slice(Math.max(0, index - 40), index);
+  return STAND_IN_BEFORE.test(before) || SOY_BEFORE.test(before);
+};
+
+// The whole dish is vegan / vegetarian: a name that starts with it, or a menu tag.
+// "(V)" is the usual vegetarian mark; "(VG)" / "(VE)" vegan.
+const VEGAN_TAG = /[([](vegan|vg|ve)[)\]]/;
+const VEGETARIAN_TAG = /[([](v|veg|vegetarian)[)\]]/;
+const veganDish = ({ name, description }) =>
+  /^\s*(vegan|plant[- ]based)\b/.test(name) || VEGAN_TAG.test(name) || VEGAN_TAG.test(description);
+const vegetarianDish = ({ name, description }) =>
+  /^\s*(vegetarian|veggie)\b/.test(name) || VEGETARIAN_TAG.test(name) || VEGETARIAN_TAG.test(description);
+
+// Plant milks, nut butters etc. are not dairy
+const NOT_DAIRY =
+  /\b(coconut|oat|almond|soy|soya|rice|cashew|hemp|pea|plant[- ]based|vegan|nut)[- ](milk|cream|butter|cheese|yogurt|yoghurt)\b|\b(peanut|almond|cashew|hazelnut|nut|sunflower|seed|apple|cocoa)[- ]butter\b|\bbutter[- ](beans?|lettuce|squash)\b/g;
+
+// "gluten-free", "no dairy", "without nuts" -> groups to ignore
+const FREE_FROM = [
+  [/\b(gluten[- ]free|no gluten|without gluten|gf)\b/, ["gluten"]],
+  [/\b(dairy[- ]free|no dairy|without dairy|lactose[- ]free|non[- ]dairy)\b/, ["dairy"]],
+  [/\b(nut[- ]free|no nuts|without nuts)\b/, ["peanut", "tree_nut"]],
+  [/\b(peanut[- ]free|no peanuts?)\b/, ["peanut"]],
+  [/\b(egg[- ]free|no eggs?|eggless)\b/, ["egg"]],
+];
+const VEGAN_FREE_FROM = ["dairy", "egg", "honey", "meat", "fish", "shellfish", "pork"];
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const wordsRegex = (words) => (words.length ? new RegExp(`\\b(${words.map(escapeRegex).join("|")})\\b`) : null);
+const GROUP_REGEX = Object.fromEntries(
+  Object.entries(GROUPS).map(([g, { likely, possible }]) => [g, { likely: wordsRegex(likely), possible: wordsRegex(possible) }])
+);
+
+/**
+ * Ingredient groups found in a dish's text.
+ * Returns { [group]: { certainty: "likely"|"possible", matched } } for every group hit.
+ */
+export function detectIngredients({ name, description } = {}) {
+  const norm = (s) =>
+    String(s || "")
+      .toLowerCase()
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "");
+  const dish = { name: norm(name), description: norm(description) };
+  const text = `${dish.name} ${dish.description}`;
+
+  const free = new Set();
+  for (const [re, groups] of FREE_FROM) if (re.test(text)) groups.forEach((g) => free.add(g));
+  if (veganDish(dish)) VEGAN_FREE_FROM.forEach((g) => free.add(g));
+  const vegetarian = vegetarianDish(dish);
+
+  const found = {};
+  for (const [group, re] of Object.entries(GROUP_REGEX)) {
+    if (free.has(group)) continue;
+    const haystack = group === "dairy" ? text.replace(NOT_DAIRY, " ") : text;
+    const likely = re.likely?.exec(haystack);
+    const possible = likely ? null : re.possible?.exec(haystack);
+    if (!likely && !possible) continue;
+
+    let certainty = likely ? "likely" : "possible";
+    if (["meat", "pork", "fish"].includes(group) && (vegetarian || (likely && isStandIn(haystack, likely.index)))) {
+      certainty = "possible";
+    }
+    found[group] = { certainty, matched: (likely || possible)[1] };
+  }
+  return found;
+}
+
+// Diet -> ingredient groups it excludes
+const DIET_EXCLUDES = {
+  vegetarian: ["meat", "fish", "shellfish"],
+  vegan: ["meat", "fish", "shellfish", "dairy", "egg", "honey"],
+  jain: ["meat", "fish", "shellfish", "egg", "honey", "root_veg"],
+  halal: ["pork", "alcohol"],
+  kosher: ["pork", "shellfish"],
+};
+
+const GROUP_LABELS = {
+  peanut: "peanut",
+  tree_nut: "tree nuts",
+  gluten: "gluten",
+  dairy: "dairy",
+  shellfish: "shellfish",
+  meat: "meat",
+  pork: "pork",
+  fish: "fish",
+  egg: "egg",
+  honey: "honey",
+  alcohol: "alcohol",
+  root_veg: "root vegetables",
+};
+
+/**
+ * Conflicts between detected ingredients and a member's allergens/diets.
+ * Returns { allergens, conflicts, hardConflict } where allergens lists every detected allergen
+ * (whether or not the member has it) and conflicts only those that matter to the member.
+ */
+export function dietaryConflicts(found, { allergens = [], diets = [] } = {}) {
+  const conflicts = [];
+  const push = (kind, token, group, extra = {}) => {
+    const hit = found[group];
+    const severity = hit.certainty === "likely" ? "hard" : "possible";
+    conflicts.push({
+      kind,
+      token,
+      ingredient: group,
+      matched: hit.matched,
+      severity,
+      message:
+        severity === "hard"
+          ? `Contains ${GROUP_LABELS[group]} (${kind === "allergen" ? "allergy" : token})`
+          : `May contain ${GROUP_LABELS[group]} (${kind === "allergen" ? "allergy" : token})`,
+      ...extra,
+    });
+  };
+
+  for (const a of allergens) if (found[a]) push("allergen", a, a);
+
+  for (const d of diets) {
+    for (const g of DIET_EXCLUDES[d] || []) if (found[g]) push("diet", d, g);
+
+    // Certification can't be read off a menu: other meat is only a "possible" issue
+    if ((d === "halal" || d === "kosher") && found.meat && !found.pork) {
+      conflicts.push({
+        kind: "diet",
+        token: d,
+        ingredient: "meat",
+        matched: found.meat.matched,
+        severity: "possible",
+        message: `Meat may not be ${d}`,
+      });
+    }
+    // Kosher also rules out meat cooked with dairy
+    if (d === "kosher" && found.meat?.certainty === "likely" && found.dairy?.certainty === "likely") {
+      conflicts.push({
+        kind: "diet",
+        token: d,
+        ingredient: "meat_with_dairy",
+        matched: `${found.meat.matched} + ${found.dairy.matched}`,
+        severity: "hard",
+        message: "Meat with dairy (kosher)",
+      });
+    }
+  }
+
+  return {
+    allergens: ALLERGEN_TOKENS.filter((a) => found[a]).map((a) => ({ token: a, ...found[a] })),
+    conflicts,
+    hardConflict: conflicts.some((c) => c.severity === "hard"),
+  };
+}
@@ -0,0 +1,452 @@
+// src/services/foodDb.js
+// Local food/product nutrition database (SQLite, separate from usage.db so big imports
+// don't bloat the app DB). Path: FOOD_DB_PATH (default ./data/food.db).
+//
+// products: packaged foods keyed by barcode, loaded from an Open Food Facts dump
+//   (tab-separated CSV export or JSONL) with `npm run import:off -- <file>`.
+// foods:    generic foods/dishes from a USDA FoodData Central CSV download
+//   (food.csv + food_nutrient.csv [+ food_portion.csv]) with `npm run import:fdc -- <dir>`,
+//   plus an FTS5 index (foods_fts) over normalized names for the dish matcher.
+//
+// Nutrition is stored per 100 g in the same field names as a scan's estimatedNutrition.
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import Database from "better-sqlite3";
+
+const FOOD_DB_PATH = process.env.FOOD_DB_PATH || "./data/food.db";
+
+const NUTRITION_KEYS = ["caloriesKcal", "proteinG", "carbsG", "fatG", "fiberG", "sugarG", "sodiumMg"];
+
+// Food names -> comparable tokens ("Pizza, cheese, from restaurant" -> "pizza cheese restaurant")
+const NAME_STOPWORDS = new Set([
+  "a", "an", "and", "the", "of", "with", "w", "in", "on", "or", "to", "for", "from", "our", "your",
+  "house", "fresh", "homemade", "served", "style", "nfs", "ns", "made", "prepared", "type",
+]);
+
+export function foodNameTokens(name) {
+  return String(name || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[$€£₹]\s*\d+([.,]\d+)?/g, " ")
+    .replace(/[^a-z\s]/g, " ")
+    .split(/\s+/)
+    .map((t) => (t.length > 3 && t.endsWith("es") && !t.endsWith("ses") ? t.slice(0, -2) : t))
+    .map((t) => (t.length > 3 && t.endsWith("s") && !t.endsWith("ss") ? t.slice(0, -1) : t))
+    .filter((t) => t.length > 1 && !NAME_STOPWORDS.has(t));
+}
+
+let db = null;
+
+export function getFoodDb() {
+  if (db) return db;
+  fs.mkdirSync(path.dirname(FOOD_DB_PATH), { recursive: true });
+  db = new Database(FOOD_DB_PATH);
+  db.pragma("journal_mode = WAL");
+  db.pragma("synchronous = NORMAL");
+  db.pragma("busy_timeout = 5000");
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS products (
+      code TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      brand TEXT,
+      servingSize TEXT,
+      servingGrams REAL,
+      per100gJson TEXT NOT NULL,
+      source TEXT NOT NULL,
+      importedAt TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS foods (
+      fdcId TEXT PRIMARY KEY,
+      description TEXT NOT NULL,
+      normName TEXT NOT NULL,
+      dataType TEXT,
+      servingGrams REAL,
+      servingDescription TEXT,
+      per100gJson TEXT NOT NULL,
+      source TEXT NOT NULL,
+      importedAt TEXT NOT NULL
+    );
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS foods_fts USING fts5(normName, fdcId UNINDEXED);
+  `);
+  return db;
+}
+
+// ---------- barcodes ----------
+function gtinCheckDigitOk(digits) {
+  const body = digits.slice(0, -1);
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) {
+    // weights 3,1,3,1... from the right of the body
+    const w = (body.length - i) % 2 === 1 ? 3 : 1;
+    sum += Number(body[i]) * w;
+  }
+  return (10 - (sum % 10)) % 10 === Number(digits[digits.length - 1]);
+}
+
+/**
+ * UPC-A / EAN-8 / EAN-13 / GTIN-14 -> digits, or null when malformed.
+ * Check digits are verified.
+ */
+export function normalizeBarcode(raw) {
+  const digits = String(raw ?? "").replace(/[\s-]/g, "");
+  if (!/^\d+$/.test(digits)) return null;
+  if (![8, 12, 13, 14].includes(digits.length)) return null;
+  return gtinCheckDigitOk(digits) ? digits : null;
+}
+
+// Same product is often stored as UPC-A (12), EAN-13 (0 + UPC) or GTIN-14
+function barcodeVariants(code) {
+  const out = new Set([code]);
+  const stripped = code.replace(/^0+/, "");
+  for (const len of [8, 12, 13, 14]) {
+    if (stripped.length <= len) out.add(stripped.padStart(len, "0"));
+  }
+  return [...out];
+}
+
+export function lookupProductByBarcode(code) {
+  const variants = barcodeVariants(code);
+  const row = getFoodDb()
+    .prepare(
+      `SELECT * FROM products WHERE code IN (${variants.map(() => "?").join(", ")}) LIMIT 1`
+    )
+    .get(...variants);
+  if (!row) return null;
+
+  let per100g = {};
+  try {
+    per100g = JSON.parse(row.per100gJson) || {};
+  } catch {
+    per100g = {};
+  }
+  return {
+    code: row.code,
+    name: row.name,
+    brand: row.brand || null,
+    servingSize: row.servingSize || null,
+    servingGrams: row.servingGrams === null ? null : Number(row.servingGrams),
+    per100g,
+    source: row.source,
+  };
+}
+
+// per-100 g values -> amount for `grams`
+export function nutritionForGrams(per100g, grams) {
+  const out = {};
+  for (const k of NUTRITION_KEYS) {
+    out[k] = Math.round((Number(per100g?.[k]) || 0) * (grams / 100) * 10) / 10;
+  }
+  return out;
+}
+
+// ---------- Open Food Facts import ----------
+function num(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+// "30 g", "1 bar (45g)", "250 ml" -> grams (ml treated as g)
+export function parseServingGrams(servingSize, servingQuantity) {
+  const q = num(servingQuantity);
+  if (q) return q;
+  const m = String(servingSize || "").match(/(\d+(?:[.,]\d+)?)\s*(g|gr|grams?|ml)\b/i);
+  return m ? Number(m[1].replace(",", ".")) : null;
+}
+
+/**
+ * One OFF product (CSV row object or JSONL product) -> products row, or null if unusable.
+ * OFF stores sodium/salt in grams per 100 g and energy in kcal or kJ.
+ */
+export function offProductToRow(p) {
+  const n = p.nutriments || p;
+  const code = normalizeBarcode(p.code);
+  const name = String(p.product_name || p.product_name_en || p.generic_name || "").trim();
+  if (!code || !name) return null;
+
+  let kcal = num(n["energy-kcal_100g"]);
+  if (kcal === null && num(n.energy_100g) !== null) kcal = num(n.energy_100g) / 4.184;
+
+  let sodiumG = num(n.sodium_100g);
+  if (sodiumG === null && num(n.salt_100g) !== null) sodiumG = num(n.salt_100g) / 2.5;
+
+  const per100g = {
+    caloriesKcal: kcal,
+    proteinG: num(n.proteins_100g),
+    carbsG: num(n.carbohydrates_100g),
+    fatG: num(n.fat_100g),
+    fiberG: num(n.fiber_100g),
+    sugarG: num(n.sugars_100g),
+    sodiumMg: sodiumG === null ? null : sodiumG * 1000,
+  };
+  if (per100g.caloriesKcal === null) return null;
+
+  for (const k of NUTRITION_KEYS) {
+    per100g[k] = per100g[k] === null ? 0 : Math.round(per100g[k] * 10) / 10;
+  }
+
+  return {
+    code,
+    name: name.slice(0, 200),
+    brand: String(p.brands || "").split(",")[0].trim().slice(0, 120) || null,
+    servingSize: String(p.serving_size || "").trim().slice(0, 80) || null,
+    servingGrams: parseServingGrams(p.serving_size, p.serving_quantity),
+    per100gJson: JSON.stringify(per100g),
+  };
+}
+
+/**
+ * Streams an OFF dump into `products`. Accepts the tab-separated CSV export
+ * (header row first) or JSONL (one product per line). Existing codes are replaced.
+ * Returns { read, imported, skipped }.
+ */
+export async function importOpenFoodFacts(filePath, { batchSize = 2000, onProgress } = {}) {
+  const foodDb = getFoodDb();
+  const upsert = foodDb.prepare(`
+    INSERT INTO products(code, name, brand, servingSize, servingGrams, per100gJson, source, importedAt)
+    VALUES (@code, @name, @brand, @servingSize, @servingGrams, @per100gJson, 'openfoodfacts', @importedAt)
+    ON CONFLICT(code) DO UPDATE SET
+      name = excluded.name,
+      brand = excluded.brand,
+      servingSize = excluded.servingSize,
+      servingGrams = excluded.servingGrams,
+      per100gJson = excluded.per100gJson,
+      source = excluded.source,
+      importedAt = excluded.importedAt
+  `);
+  const writeBatch = foodDb.transaction((rows) => {
+    for (const r of rows) upsert.run(r);
+  });
+
+  const importedAt = new Date().toISOString();
+  const stats = { read: 0, imported: 0, skipped: 0 };
+  let header = null;
+  let batch = [];
+
+  const rl = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+
+    let product = null;
+    if (line.startsWith("{")) {
+      try {
+        product = JSON.parse(line);
+      } catch {
+        product = null;
+      }
+    } else if (!header) {
+      header = line.split("\t");
+      continue;
+    } else {
+      const cols = line.split("\t");
+      product = Object.fromEntries(header.map((h, i) => [h, cols[i]]));
+    }
+
+    stats.read++;
+    const row = product ? offProductToRow(product) : null;
+    if (!row) {
+      stats.skipped++;
+      continue;
+    }
+
+    batch.push({ ...row, importedAt });
+    if (batch.length >= batchSize) {
+      writeBatch(batch);
+      stats.imported += batch.length;
+      batch = [];
+      onProgress?.(stats);
+    }
+  }
+
+  if (batch.length) {
+    writeBatch(batch);
+    stats.imported += batch.length;
+  }
+  onProgress?.(stats);
+  return stats;
+}
+
+// ---------- USDA FoodData Central import ----------
+// FDC nutrient ids -> our fields (first id listed wins; later ones are fallbacks)
+const FDC_NUTRIENTS = {
+  caloriesKcal: ["1008", "2047", "2048"],
+  proteinG: ["1003"],
+  carbsG: ["1005"],
+  fatG: ["1004"],
+  fiberG: ["1079"],
+  sugarG: ["2000", "1063"],
+  sodiumMg: ["1093"],
+  satFatG: ["1258"],
+};
+
+const FDC_DEFAULT_TYPES = ["foundation_food", "sr_legacy_food", "survey_fndds_food"];
+
+// Minimal RFC 4180 line parser (FDC CSVs quote every field; no embedded newlines)
+export function parseCsvLine(line) {
+  const out = [];
+  let cur = "";
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (inQuotes) {
+      if (c === '"' && line[i + 1] === '"') {
+        cur += '"';
+        i++;
+      } else if (c === '"') inQuotes = false;
+      else cur += c;
+    } else if (c === '"') inQuotes = true;
+    else if (c === ",") {
+      out.push(cur);
+      cur = "";
+    } else cur += c;
+  }
+  out.push(cur);
+  return out;
+}
+
+async function forEachCsvRow(filePath, fn) {
+  const rl = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+  let header = null;
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    const cols = parseCsvLine(line);
+    if (!header) {
+      header = cols;
+      continue;
+    }
+    fn(Object.fromEntries(header.map((h, i) => [h, cols[i]])));
+  }
+}
+
+/**
+ * Imports an FDC CSV download directory into `foods` + `foods_fts`.
+ * Branded foods are skipped by default (they belong in `products`); pass dataTypes to override.
+ * Returns { foods, withNutrition, withServing }.
+ */
+export async function importUsdaFdc(dir, { dataTypes = FDC_DEFAULT_TYPES, onProgress } = {}) {
+  const wanted = new Set(dataTypes);
+  const foods = new Map(); // fdc_id -> { description, dataType, nutrients: {}, serving }
+
+  await forEachCsvRow(path.join(dir, "food.csv"), (r) => {
+    if (!wanted.has(r.data_type)) return;
+    foods.set(r.fdc_id, { description: r.description, dataType: r.data_type, nutrients: {}, serving: null });
+  });
+  onProgress?.({ step: "food.csv", foods: foods.size });
+
+  const idToField = new Map();
+  for (const [field, ids] of Object.entries(FDC_NUTRIENTS)) {
+    ids.forEach((id, rank) => idToField.set(id, { field, rank }));
+  }
+
+  let nutrientRows = 0;
+  await forEachCsvRow(path.join(dir, "food_nutrient.csv"), (r) => {
+    const f = foods.get(r.fdc_id);
+    const m = idToField.get(r.nutrient_id);
+    if (!f || !m) return;
+    const amount = num(r.amount);
+    if (amount === null) return;
+    const prev = f.nutrients[m.field];
+    if (!prev || m.rank < prev.rank) f.nutrients[m.field] = { value: amount, rank: m.rank };
+    if (++nutrientRows % 200000 === 0) onProgress?.({ step: "food_nutrient.csv", rows: nutrientRows });
+  });
+
+  const portionFile = path.join(dir, "food_portion.csv");
+  if (fs.existsSync(portionFile)) {
+    await forEachCsvRow(portionFile, (r) => {
+      const f = foods.get(r.fdc_id);
+      const grams = num(r.gram_weight);
+      if (!f || !grams) return;
+      const seq = Number(r.seq_num) || 9999;
+      if (!f.serving || seq < f.serving.seq) {
+        const desc = [r.amount, r.portion_description || r.modifier].filter(Boolean).join(" ").trim();
+        f.serving = { seq, grams, description: desc || null };
+      }
+    });
+  }
+
+  const foodDb = getFoodDb();
+  const upsert = foodDb.prepare(`
+    INSERT INTO foods(fdcId, description, normName, dataType, servingGrams, servingDescription, per100gJson, source, importedAt)
+    VALUES (@fdcId, @description, @normName, @dataType, @servingGrams, @servingDescription, @per100gJson, 'usda_fdc', @importedAt)
+    ON CONFLICT(fdcId) DO UPDATE SET
+      description = excluded.description,
+      normName = excluded.normName,
+      dataType = excluded.dataType,
+      servingGrams = excluded.servingGrams,
+      servingDescription = excluded.servingDescription,
+      per100gJson = excluded.per100gJson,
+      importedAt = excluded.importedAt
+  `);
+  const ftsDelete = foodDb.prepare(`DELETE FROM foods_fts WHERE fdcId = ?`);
+  const ftsInsert = foodDb.prepare(`INSERT INTO foods_fts(normName, fdcId) VALUES (?, ?)`);
+
+  const importedAt = new Date().toISOString();
+  const stats = { foods: 0, withNutrition: 0, withServing: 0 };
+
+  foodDb.transaction(() => {
+    for (const [fdcId, f] of foods) {
+      if (!f.nutrients.caloriesKcal) continue;
+      const per100g = {};
+      for (const field of Object.keys(FDC_NUTRIENTS)) {
+        per100g[field] = Math.round((f.nutrients[field]?.value ?? 0) * 10) / 10;
+      }
+      const normName = foodNameTokens(f.description).join(" ");
+      if (!normName) continue;
+
+      upsert.run({
+        fdcId,
+        description: String(f.description).slice(0, 300),
+        normName,
+        dataType: f.dataType,
+        servingGrams: f.serving?.grams ?? null,
+        servingDescription: f.serving?.description ?? null,
+        per100gJson: JSON.stringify(per100g),
+        importedAt,
+      });
+      ftsDelete.run(fdcId);
+      ftsInsert.run(normName, fdcId);
+
+      stats.withNutrition++;
+      if (f.serving) stats.withServing++;
+    }
+  })();
+
+  stats.foods = foods.size;
+  onProgress?.({ step: "done", ...stats });
+  return stats;
+}
+
+/**
+ * Candidate foods for a name via the FTS index (any token matches), best bm25 first.
+ */
+export function searchFoodsByTokens(tokens, limit = 25) {
+  if (!tokens.length) return [];
+  const match = tokens.map((t) => `"${t.replace(/"/g, "")}"`).join(" OR ");
+  const rows = getFoodDb()
+    .prepare(
+      `
+      SELECT f.fdcId, f.description, f.normName, f.dataType, f.servingGrams, f.servingDescription, f.per100gJson
+      FROM foods_fts
+      JOIN foods f ON f.fdcId = foods_fts.fdcId
+      WHERE foods_fts MATCH ?
+      ORDER BY bm25(foods_fts)
+      LIMIT ?
+    `
+    )
+    .all(match, limit);
+
+  return rows.map((r) => {
+    let per100g = {};
+    try {
+      per100g = JSON.parse(r.per100gJson) || {};
+    } catch {
+      per100g = {};
+    }
+    return { ...r, per100g, servingGrams: r.servingGrams === null ? null : Number(r.servingGrams) };
+  });
+}
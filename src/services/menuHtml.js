@@ -0,0 +1,503 @@
+// src/services/menuHtml.js
+// Restaurant page HTML -> menu sections { name, items: [{ name, description, price, priceParsed }] }.
+//
+// Tried in order, first one with items wins:
+//   1. schema.org JSON-LD (Restaurant.hasMenu / Menu / MenuSection / MenuItem, incl. @graph)
+//   2. schema.org microdata (itemscope itemtype=".../MenuSection|MenuItem")
+//   3. heuristics over the page structure: headings start sections, list/row blocks become
+//      items, prices are read off the line or a sibling "price" element; nav/header/footer
+//      and other boilerplate are skipped.
+// No DOM dependency: a small tolerant tree builder is enough for these three passes.
+
+import { splitTrailingPrice, isOnlyPrice, parsePrice } from "./price.js";
+
+const MAX_ITEMS = 1500;
+
+// ---------- HTML -> tree ----------
+const VOID_TAGS = new Set([
+  "area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr",
+]);
+const RAW_TEXT_TAGS = new Set(["script", "style", "textarea", "title"]);
+// Case-insensitive search for the closing tag without lowercasing the whole page per element
+const RAW_TEXT_CLOSE = Object.fromEntries([...RAW_TEXT_TAGS].map((t) => [t, new RegExp(`</${t}`, "gi")]));
+// Opening one of these closes an open sibling of the same kind (<li>a<li>b)
+const AUTO_CLOSE = {
+  li: ["li"],
+  p: ["p"],
+  tr: ["tr", "td", "th"],
+  td: ["td", "th"],
+  th: ["td", "th"],
+  dt: ["dt", "dd"],
+  dd: ["dt", "dd"],
+  option: ["option"],
+};
+const AUTO_CLOSE_STOP = new Set(["ul", "ol", "table", "tbody", "thead", "dl", "div", "section", "article", "body", "select"]);
+
+const NAMED_ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ", ndash: "–", mdash: "—",
+  rsquo: "’", lsquo: "‘", rdquo: "”", ldquo: "“", hellip: "…", eacute: "é", egrave: "è",
+  agrave: "à", ccedil: "ç", ntilde: "ñ", uuml: "ü", ouml: "ö", auml: "ä", euro: "€", pound: "£",
+  yen: "¥", cent: "¢", copy: "©", reg: "®", trade: "™", middot: "·", bull: "•", frac12: "½",
+};
+
+export function decodeEntities(s) {
+  return String(s || "").replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const code = e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code < 0x110000 ? String.fromCodePoint(code) : m;
+    }
+    return NAMED_ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+function parseAttrs(raw) {
+  const attrs = {};
+  const re = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  let m;
+  while ((m = re.exec(raw || ""))) {
+    attrs[m[1].toLowerCase()] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? "");
+  }
+  return attrs;
+}
+
+/**
+ * Tolerant HTML -> { tag, attrs, children } tree. Text nodes are { text }.
+ */
+export function parseHtml(html) {
+  const src = String(html || "");
+  const root = { tag: "#root", attrs: {}, children: [] };
+  const stack = [root];
+  const top = () => stack[stack.length - 1];
+
+  const tagRe = /<!--[\s\S]*?-->|<![^>]*>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+  let last = 0;
+  let m;
+  while ((m = tagRe.exec(src))) {
+    if (m.index > last) top().children.push({ text: src.slice(last, m.index) });
+    last = tagRe.lastIndex;
+
+    if (m[1]) {
+      // closing tag: pop to the matching open element, ignore strays
+      const tag = m[1].toLowerCase();
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].tag === tag) {
+          stack.length = i;
+          break;
+        }
+      }
+      continue;
+    }
+    if (!m[2]) continue; // comment / doctype
+
+    const tag = m[2].toLowerCase();
+    const rawAttrs = m[3] || "";
+    const node = { tag, attrs: parseAttrs(rawAttrs), children: [] };
+
+    const closes = AUTO_CLOSE[tag];
+    if (closes) {
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (AUTO_CLOSE_STOP.has(stack[i].tag)) break;
+        if (closes.includes(stack[i].tag)) {
+          stack.length = i;
+          break;
+        }
+      }
+    }
+
+    top().children.push(node);
+
+    if (RAW_TEXT_TAGS.has(tag)) {
+      const closeRe = RAW_TEXT_CLOSE[tag];
+      closeRe.lastIndex = last;
+      const end = closeRe.exec(src)?.index ?? -1;
+      const stop = end === -1 ? src.length : end;
+      node.children.push({ text: src.slice(last, stop) });
+      const close = src.indexOf(">", stop);
+      last = tagRe.lastIndex = end === -1 ? src.length : close === -1 ? src.length : close + 1;
+      continue;
+    }
+    if (VOID_TAGS.has(tag) || /\/\s*$/.test(rawAttrs)) continue;
+    stack.push(node);
+  }
+  if (last < src.length) top().children.push({ text: src.slice(last) });
+  return root;
+}
+
+const clean = (s) => decodeEntities(String(s || "")).replace(/\s+/g, " ").trim();
+
+export function textOf(node) {
+  if (!node) return "";
+  if (node.text !== undefined) return node.text;
+  if (RAW_TEXT_TAGS.has(node.tag) && node.tag !== "textarea") return "";
+  return node.children.map(textOf).join(" ");
+}
+
+function walk(node, fn) {
+  if (!node?.children) return;
+  for (const c of node.children) {
+    if (c.tag) {
+      if (fn(c) !== false) walk(c, fn);
+    }
+  }
+}
+
+// ---------- prices ----------
+const CURRENCY_SYMBOLS = { USD: "$", EUR: "€", GBP: "£", INR: "₹", JPY: "¥" };
+
+function formatPrice(price, currency) {
+  if (price === null || price === undefined || price === "") return null;
+  const p = String(price).trim();
+  if (!p) return null;
+  if (/[^\d.,\s-]/.test(p)) return p; // already has a symbol/words ("$12", "Market price")
+  const cur = String(currency || "").toUpperCase();
+  if (CURRENCY_SYMBOLS[cur]) return `${CURRENCY_SYMBOLS[cur]}${p}`;
+  return cur ? `${p} ${cur}` : p;
+}
+
+// ---------- JSON-LD ----------
+const typesOf = (o) => (Array.isArray(o?.["@type"]) ? o["@type"] : [o?.["@type"]]).map((t) => String(t || ""));
+const isType = (o, t) => typesOf(o).some((x) => x === t || x.endsWith(`/${t}`));
+const asArray = (v) => (Array.isArray(v) ? v : v === undefined || v === null ? [] : [v]);
+
+function jsonLdItem(o) {
+  const name = clean(o.name);
+  if (!name) return null;
+  const offer = asArray(o.offers)[0] || {};
+  const price = formatPrice(offer.price ?? o.price ?? null, offer.priceCurrency ?? o.priceCurrency);
+  return { name, description: clean(o.description) || null, price };
+}
+
+function jsonLdSections(menu, prefix, out, seen) {
+  if (!menu || typeof menu !== "object" || seen.has(menu)) return;
+  seen.add(menu);
+
+  const direct = asArray(menu.hasMenuItem).map(jsonLdItem).filter(Boolean);
+  if (direct.length) out.push({ name: clean(menu.name) || prefix || "Menu", items: direct });
+
+  for (const s of asArray(menu.hasMenuSection)) {
+    jsonLdSections(s, clean(s?.name) || prefix, out, seen);
+  }
+}
+
+/**
+ * schema.org JSON-LD -> { sections, menuUrl } (menuUrl when hasMenu is only a link).
+ */
+export function extractJsonLdMenu(tree) {
+  const docs = [];
+  walk(tree, (n) => {
+    if (n.tag === "script" && /ld\+json/i.test(n.attrs.type || "")) {
+      try {
+        docs.push(JSON.parse(n.children.map((c) => c.text || "").join("").trim()));
+      } catch {
+        // malformed block; other blocks may still be fine
+      }
+    }
+  });
+
+  const sections = [];
+  const seen = new Set();
+  let menuUrl = null;
+
+  const visit = (o) => {
+    if (!o || typeof o !== "object") return;
+    if (Array.isArray(o)) return o.forEach(visit);
+    if (seen.has(o)) return;
+
+    if (isType(o, "Menu") || isType(o, "MenuSection")) {
+      jsonLdSections(o, null, sections, seen);
+      return;
+    }
+    if (isType(o, "MenuItem")) {
+      seen.add(o);
+      const item = jsonLdItem(o);
+      if (item) sections.push({ name: "Menu", items: [item] });
+      return;
+    }
+    for (const key of ["hasMenu", "menu"]) {
+      for (const m of asArray(o[key])) {
+        if (typeof m === "string" && !menuUrl) menuUrl = m;
+        else if (m && typeof m === "object" && !m["@type"] && typeof m.url === "string" && !menuUrl) menuUrl = m.url;
+      }
+    }
+    Object.values(o).forEach(visit);
+  };
+  docs.forEach(visit);
+
+  return { sections, menuUrl };
+}
+
+// ---------- microdata ----------
+const itemTypeIs = (n, t) =>
+  n.attrs.itemscope !== undefined && String(n.attrs.itemtype || "").split(/\s+/).some((x) => x.endsWith(`/${t}`));
+
+// Property values of a scope, not looking inside nested scopes
+function microdataProps(scope) {
+  const props = {};
+  const visit = (node) => {
+    for (const c of node.children || []) {
+      if (!c.tag) continue;
+      const names = String(c.attrs.itemprop || "").split(/\s+/).filter(Boolean);
+      for (const name of names) (props[name] = props[name] || []).push(c);
+      if (c.attrs.itemscope === undefined) visit(c);
+    }
+  };
+  visit(scope);
+  return props;
+}
+
+function microdataValue(node) {
+  if (!node) return null;
+  if (node.attrs.content !== undefined) return clean(node.attrs.content);
+  if (node.tag === "meta") return clean(node.attrs.content);
+  if (node.tag === "data" && node.attrs.value !== undefined) return clean(node.attrs.value);
+  return clean(textOf(node));
+}
+
+function microdataItem(scope) {
+  const p = microdataProps(scope);
+  const name = microdataValue(p.name?.[0]);
+  if (!name) return null;
+
+  let price = microdataValue(p.price?.[0]);
+  let currency = microdataValue(p.priceCurrency?.[0]);
+  const offer = p.offers?.[0];
+  if (!price && offer) {
+    const op = microdataProps(offer);
+    price = microdataValue(op.price?.[0]) || (offer.attrs.itemscope === undefined ? microdataValue(offer) : null);
+    currency = currency || microdataValue(op.priceCurrency?.[0]);
+  }
+  return { name, description: microdataValue(p.description?.[0]) || null, price: formatPrice(price, currency) };
+}
+
+export function extractMicrodataMenu(tree) {
+  const sections = [];
+  let loose = null;
+
+  const visit = (node, current) => {
+    for (const c of node.children || []) {
+      if (!c.tag) continue;
+      if (itemTypeIs(c, "MenuSection")) {
+        const section = { name: microdataValue(microdataProps(c).name?.[0]) || "Menu", items: [] };
+        sections.push(section);
+        visit(c, section);
+      } else if (itemTypeIs(c, "MenuItem")) {
+        const item = microdataItem(c);
+        if (item) {
+          let target = current;
+          if (!target) {
+            if (!loose) sections.push((loose = { name: "Menu", items: [] }));
+            target = loose;
+          }
+          target.items.push(item);
+        }
+      } else {
+        visit(c, current);
+      }
+    }
+  };
+  visit(tree, null);
+
+  return { sections: sections.filter((s) => s.items.length) };
+}
+
+// ---------- heuristics ----------
+const SKIP_TAGS = new Set([
+  "script", "style", "noscript", "template", "svg", "iframe", "nav", "header", "footer", "aside",
+  "form", "button", "select", "head", "title",
+]);
+const SKIP_ROLES = new Set(["navigation", "banner", "contentinfo", "search", "dialog"]);
+// Whole class/id tokens only: "menu-header" or "section-header" titles a menu section, "header" doesn't
+const SKIP_CLASS_TOKENS = new Set([
+  "nav", "navbar", "navigation", "main-nav", "site-nav", "topbar", "header", "site-header", "masthead",
+  "footer", "site-footer", "page-footer", "cookie", "cookies", "consent", "breadcrumb", "breadcrumbs",
+  "social", "social-links", "share", "newsletter", "subscribe", "modal", "popup", "sidebar", "skip-link",
+  "visually-hidden", "sr-only", "screen-reader-text",
+]);
+const SKIP_CLASS_PREFIX_RE = /^(cookie|consent|gdpr)[-_]/;
+const isSkipClass = (node) =>
+  `${node.attrs.class || ""} ${node.attrs.id || ""}`
+    .toLowerCase()
+    .split(/\s+/)
+    .some((t) => SKIP_CLASS_TOKENS.has(t) || SKIP_CLASS_PREFIX_RE.test(t));
+
+const BLOCK_TAGS = new Set([
+  "p", "div", "li", "tr", "td", "th", "dt", "dd", "section", "article", "ul", "ol", "table", "tbody",
+  "thead", "dl", "main", "body", "h1", "h2", "h3", "h4", "h5", "h6", "br", "hr", "figure", "figcaption",
+  "blockquote", "pre", "address", "center",
+]);
+
+const BOILERPLATE_RE =
+  /(copyright|©|all rights reserved|privacy|terms (of|&)|cookie (policy|settings|preferences)|uses? cookies|sign in|log ?in|sign up|subscribe|newsletter|follow us|order online|order now|delivery|reservations?|book a table|gift cards?|careers|contact us|get directions|opening hours|hours of operation|powered by|skip to|back to top|view (full )?menu|download (the )?menu|facebook|instagram|twitter|tiktok|yelp|tripadvisor|add to cart|checkout|read more|learn more|see more|^home$|^menu$|^about( us)?$|^gallery$|^events?$|^location(s)?$|^catering$|^press$|^blog$|^shop$)/i;
+const CONTACT_RE = /(https?:\/\/|www\.|@[a-z0-9-]+\.[a-z]|\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}|\b\d{1,2}(:\d{2})?\s?(am|pm)\b)/i;
+
+// Inline-only content; a hinted wrapper around headings/lists is walked instead of flattened
+const hasBlockChild = (node) =>
+  (node.children || []).some((c) => c.tag && ((BLOCK_TAGS.has(c.tag) && c.tag !== "br" && c.tag !== "hr") || hasBlockChild(c)));
+
+const ITEM_NAME_CLASS_RE = /(item|dish|product)[-_]?(title|name)/i;
+
+function classHint(node) {
+  const s = `${node.attrs.class || ""} ${node.attrs.id || ""} ${node.attrs.itemprop || ""}`.toLowerCase();
+  if (/price|cost|amount/.test(s)) return "price";
+  if (/desc|ingredients|details|summary/.test(s)) return "description";
+  if (/(title|name|dish)/.test(s) && !/section|category|group/.test(s)) return "name";
+  if (/(section|category|group|course)[-_]?(title|name|heading|header)?/.test(s)) return "section";
+  return null;
+}
+
+const hintOf = (node) => {
+  const hint = classHint(node);
+  return hint && !hasBlockChild(node) ? hint : null;
+};
+
+/**
+ * Page -> ordered lines { text, heading, hint }. Hinted leaf elements (price/description/name)
+ * become their own line even when inline so a row "Name … $12" splits cleanly.
+ */
+function collectLines(tree) {
+  const lines = [];
+  let buf = "";
+  let bufHeading = null;
+
+  const flush = () => {
+    const text = clean(buf);
+    if (text) lines.push({ text, heading: bufHeading, hint: null });
+    buf = "";
+    bufHeading = null;
+  };
+
+  const visit = (node, heading) => {
+    for (const c of node.children || []) {
+      if (c.text !== undefined) {
+        buf += ` ${c.text}`;
+        if (heading && !bufHeading) bufHeading = heading;
+        continue;
+      }
+      if (SKIP_TAGS.has(c.tag)) continue;
+      if (SKIP_ROLES.has(String(c.attrs.role || "").toLowerCase())) continue;
+      if (c.attrs.hidden !== undefined || c.attrs["aria-hidden"] === "true") continue;
+      if (isSkipClass(c)) continue;
+
+      const h = /^h([1-6])$/.exec(c.tag);
+      const hint = hintOf(c);
+      // <h3 class="dish-title"> names a dish; any other heading still starts a section
+      if (hint && (!h || (hint === "name" && ITEM_NAME_CLASS_RE.test(c.attrs.class || "")))) {
+        flush();
+        const text = clean(textOf(c));
+        if (text) lines.push({ text, heading: null, hint });
+        continue;
+      }
+      const isBlock = BLOCK_TAGS.has(c.tag) || !!h;
+      if (isBlock) flush();
+      visit(c, h ? Number(h[1]) : heading);
+      if (isBlock) flush();
+    }
+  };
+  visit(tree, null);
+  flush();
+  return lines;
+}
+
+const isBoilerplate = (t) => BOILERPLATE_RE.test(t) || CONTACT_RE.test(t);
+const looksLikeSentence = (t) => t.length >= 40 || /^[a-z]/.test(t) || /[,;]/.test(t);
+
+export function extractHeuristicMenu(tree) {
+  const lines = collectLines(tree);
+  const sections = [];
+  let section = null;
+  let item = null;
+
+  const ensureSection = () => {
+    if (!section) sections.push((section = { name: "Menu", items: [], fromHeading: false }));
+    return section;
+  };
+
+  for (const line of lines) {
+    const t = line.text;
+    if (t.length < 2 || t.length > 300) continue;
+
+    // Section headings: real headings, or elements styled as a section/category title
+    if ((line.heading || line.hint === "section") && t.length <= 60 && !splitTrailingPrice(t).price) {
+      if (isBoilerplate(t)) {
+        section = null;
+        item = null;
+        continue;
+      }
+      sections.push((section = { name: t, items: [], fromHeading: true }));
+      item = null;
+      continue;
+    }
+
+    if (isBoilerplate(t)) continue;
+
+    if (line.hint === "price" || isOnlyPrice(t)) {
+      if (item && !item.price && isOnlyPrice(t)) item.price = t;
+      continue;
+    }
+
+    // Under a name-hinted dish, the next plain unpriced line is its description
+    const describes = item && !item.description && (looksLikeSentence(t) || (item.named && !item.price));
+    if (line.hint === "description" || (line.hint !== "name" && describes && !splitTrailingPrice(t).price)) {
+      if (item && !item.description) item.description = t;
+      continue;
+    }
+
+    const { name, price } = splitTrailingPrice(t);
+    if (!name || name.length > 80 || name.split(/\s+/).length > 12) continue;
+    ensureSection().items.push((item = { name, description: null, price, named: line.hint === "name" }));
+  }
+
+  // When the page prices its dishes, unpriced bare lines are almost always noise
+  const all = sections.flatMap((s) => s.items);
+  const priced = all.filter((i) => i.price).length;
+  const keep = (i) => (priced >= 3 ? !!(i.price || i.description) : true);
+
+  const out = sections
+    .map((s) => ({ ...s, items: s.items.filter(keep) }))
+    .filter((s) => s.items.length && (s.fromHeading || priced >= 3 || s.items.length >= 3))
+    .map(({ name, items }) => ({ name, items }));
+
+  return { sections: out };
+}
+
+// ---------- entry point ----------
+function tidy(sections) {
+  let total = 0;
+  const bySection = new Map();
+  for (const s of sections) {
+    const name = clean(s.name) || "Menu";
+    const key = name.toLowerCase();
+    if (!bySection.has(key)) bySection.set(key, { name, items: [], seen: new Set() });
+    const target = bySection.get(key);
+    for (const it of s.items) {
+      const k = it.name.toLowerCase();
+      if (target.seen.has(k) || total >= MAX_ITEMS) continue;
+      target.seen.add(k);
+      const price = it.price || null;
+      target.items.push({ name: it.name, description: it.description || null, price, priceParsed: parsePrice(price) });
+      total++;
+    }
+  }
+  return [...bySection.values()].filter((s) => s.items.length).map(({ name, items }) => ({ name, items }));
+}
+
+/**
+ * HTML -> { sections, method: "jsonld"|"microdata"|"heuristic"|null, menuUrl, itemCount }.
+ */
+export function extractMenuFromHtml(html) {
+  const tree = parseHtml(html);
+
+  const ld = extractJsonLdMenu(tree);
+  const passes = [
+    ["jsonld", () => ld.sections],
+    ["microdata", () => extractMicrodataMenu(tree).sections],
+    ["heuristic", () => extractHeuristicMenu(tree).sections],
+  ];
+
+  for (const [method, run] of passes) {
+    const sections = tidy(run());
+    const itemCount = sections.reduce((a, s) => a + s.items.length, 0);
+    if (itemCount) return { sections, method, menuUrl: ld.menuUrl, itemCount };
+  }
+  return { sections: [], method: null, menuUrl: ld.menuUrl, itemCount: 0 };
+}
@@ -0,0 +1,64 @@
+// src/services/menuMerge.js
+// Per-page menu extractions (PDF pages / images, in upload order) -> one deduped section list.
+// Also the single cleanup pass for client-sent sections, so stored menus always have one shape.
+import { parsePrice } from "./price.js";
+
+// "Mains (continued)" / "MAINS cont'd" -> "mains"
+function menuSectionKey(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/\(?\s*(continued|cont'?d|cont\.)\s*\)?/g, " ")
+    .replace(/[^\p{L}\p{N}&]+/gu, " ")
+    .trim();
+}
+
+function cleanMenuItem(it) {
+  const text = (v) => (v === null || v === undefined ? null : String(v).trim() || null);
+  const price = text(it?.price);
+  return { name: String(it?.name ?? "").trim(), description: text(it?.description), price, priceParsed: parsePrice(price) };
+}
+
+/**
+ * Merge per-chunk sections in page order. Sections with the same name (ignoring case and
+ * "(continued)") become one; an unnamed "Menu" section at the top of a page continues the
+ * previous page's last section. Items are deduped by name across the whole menu, filling in
+ * a missing description/price from later pages.
+ */
+export function mergeMenuSections(chunkSections) {
+  const sections = [];
+  const byKey = new Map();
+  const itemsByName = new Map();
+  let last = null;
+
+  for (const secs of chunkSections) {
+    secs.forEach((sec, i) => {
+      const name = String(sec?.name ?? "Menu").trim() || "Menu";
+      let key = menuSectionKey(name) || "menu";
+      if (i === 0 && key === "menu" && last) key = last.key;
+
+      let target = byKey.get(key);
+      if (!target) {
+        target = { key, name: name.replace(/\s*\(?\s*(continued|cont'?d|cont\.)\s*\)?\s*$/i, "") || name, items: [] };
+        byKey.set(key, target);
+        sections.push(target);
+      }
+      last = target;
+
+      for (const raw of Array.isArray(sec?.items) ? sec.items : []) {
+        const it = cleanMenuItem(raw);
+        if (it.name.length < 2) continue;
+        const k = it.name.toLowerCase();
+        const seen = itemsByName.get(k);
+        if (seen) {
+          if (!seen.description && it.description) seen.description = it.description;
+          if (!seen.price && it.price) Object.assign(seen, { price: it.price, priceParsed: it.priceParsed });
+          continue;
+        }
+        itemsByName.set(k, it);
+        target.items.push(it);
+      }
+    });
+  }
+
+  return sections.filter((s) => s.items.length > 0).map(({ name, items }) => ({ name, items }));
+}
@@ -0,0 +1,344 @@
+// src/services/modelOutput.js
+// Declared schemas for model JSON output + parse/validate/repair.
+//
+// validateOutput() never throws: it returns the coerced value, per-field errors
+// ({ "items[2].calories": ["must be a number"] }) and a list of coercions it applied
+// ("12 g" -> 12, 140 -> 100 clamp, ...). runValidated() gives the model exactly one
+// repair re-prompt when the first answer has errors.
+
+// ---------- schema builders ----------
+export const S = {
+  string: (opts = {}) => ({ type: "string", ...opts }),
+  number: (opts = {}) => ({ type: "number", ...opts }),
+  array: (items, opts = {}) => ({ type: "array", items, ...opts }),
+  object: (fields, opts = {}) => ({ type: "object", fields, ...opts }),
+};
+
+const NUTRIENT = S.number({ min: 0, default: 0 });
+
+const MEAL_NUTRITION_FIELDS = {
+  caloriesKcal: NUTRIENT,
+  proteinG: NUTRIENT,
+  carbsG: NUTRIENT,
+  fatG: NUTRIENT,
+  fiberG: NUTRIENT,
+  sugarG: NUTRIENT,
+  sodiumMg: NUTRIENT,
+};
+
+export const SCAN_SCHEMA = S.object({
+  dishName: S.string({ required: true, default: "Unknown dish" }),
+  confidence: S.number({ min: 0, max: 100, default: 0 }),
+  score: S.number({ min: 0, max: 100, required: true, default: 0 }),
+  why: S.array(S.string(), { maxItems: 6, default: [] }),
+  tips: S.array(S.string(), { maxItems: 6, default: [] }),
+  components: S.array(
+    S.object({
+      name: S.string({ required: true }),
+      portion: S.string({ nullable: true }),
+      confidence: S.number({ min: 0, max: 100, default: 0 }),
+      estimatedNutrition: S.object(MEAL_NUTRITION_FIELDS, { required: true }),
+    }),
+    { maxItems: 12, default: [] }
+  ),
+  servingGrams: S.number({ min: 0, max: 5000, nullable: true }),
+  estimatedNutrition: S.object(MEAL_NUTRITION_FIELDS, { required: true }),
+});
+
+export const MENU_SCHEMA = S.object({
+  sections: S.array(
+    S.object({
+      name: S.string({ default: "Menu" }),
+      items: S.array(
+        S.object({
+          name: S.string({ required: true }),
+          description: S.string({ nullable: true }),
+          price: S.string({ nullable: true }),
+        }),
+        { default: [] }
+      ),
+    }),
+    { required: true }
+  ),
+});
+
+export const NUTRITION_SCHEMA = S.object({
+  items: S.array(
+    S.object({
+      input: S.string({ required: true }),
+      name: S.string(),
+      calories: S.number({ min: 0, required: true }),
+      carbsG: NUTRIENT,
+      proteinG: NUTRIENT,
+      fatG: NUTRIENT,
+      fiberG: NUTRIENT,
+      sugarG: NUTRIENT,
+      sodiumMg: NUTRIENT,
+      satFatG: NUTRIENT,
+      confidence: S.number({ min: 0, max: 100, default: 0 }),
+      assumptions: S.string({ nullable: true }),
+    }),
+    { required: true }
+  ),
+});
+
+// Compact type sketch of a schema, used in repair prompts
+export function describeSchema(schema) {
+  switch (schema.type) {
+    case "object":
+      return `{${Object.entries(schema.fields)
+        .map(([k, f]) => `"${k}":${describeSchema(f)}`)
+        .join(",")}}`;
+    case "array":
+      return `[${describeSchema(schema.items)}]`;
+    default:
+      return schema.nullable ? `${schema.type}|null` : schema.type;
+  }
+}
+
+// ---------- parsing ----------
+/**
+ * Finds the JSON object in a model reply (bare, fenced, or surrounded by prose).
+ * Returns { value } or { error }.
+ */
+export function parseModelJson(text) {
+  const t = String(text || "").trim();
+  if (!t) return { error: "empty model response" };
+
+  const candidates = [t];
+  const fenced = t.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) candidates.push(fenced[1].trim());
+  const balanced = firstBalancedObject(t);
+  if (balanced) candidates.push(balanced);
+
+  for (const c of candidates) {
+    try {
+      return { value: JSON.parse(c) };
+    } catch {
+      // try next candidate
+    }
+  }
+  return { error: "no valid JSON object in model response" };
+}
+
+// First {...} with balanced braces, string-aware
+function firstBalancedObject(t) {
+  const start = t.indexOf("{");
+  if (start === -1) return null;
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  for (let i = start; i < t.length; i++) {
+    const c = t[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (c === "\\") escaped = true;
+      else if (c === '"') inString = false;
+      continue;
+    }
+    if (c === '"') inString = true;
+    else if (c === "{") depth++;
+    else if (c === "}" && --depth === 0) return t.slice(start, i + 1);
+  }
+  return null;
+}
+
+// ---------- validation ----------
+function joinPath(base, key) {
+  if (typeof key === "number") return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+function cloneDefault(v) {
+  return Array.isArray(v) ? [...v] : v && typeof v === "object" ? { ...v } : v;
+}
+
+/**
+ * Validates + coerces `raw` against `schema`.
+ * Returns { value, errors, coercions } where errors is null when the output is clean.
+ */
+export function validateOutput(raw, schema) {
+  const errors = {};
+  const coercions = [];
+
+  const fail = (path, msg) => {
+    const k = path || "$";
+    (errors[k] = errors[k] || []).push(msg);
+  };
+  const coerced = (path, from, to, note) => coercions.push({ path: path || "$", from, to, note });
+
+  function missing(path, s) {
+    if (s.required) fail(path, "is required");
+    if (s.default !== undefined) return cloneDefault(s.default);
+    return s.nullable || s.type === "string" ? null : undefined;
+  }
+
+  function walk(v, s, path) {
+    if (v === undefined || (v === null && !s.nullable)) return missing(path, s);
+    if (v === null) return null;
+
+    switch (s.type) {
+      case "string": {
+        if (typeof v === "string") return v.trim();
+        if (typeof v === "number" || typeof v === "boolean") {
+          coerced(path, v, String(v), "to string");
+          return String(v);
+        }
+        fail(path, "must be a string");
+        return missing("", { ...s, required: false });
+      }
+
+      case "number": {
+        let n = v;
+        if (typeof v === "string") {
+          const m = v.replace(/,/g, "").match(/-?\d+(\.\d+)?/);
+          n = m ? Number(m[0]) : NaN;
+          if (Number.isFinite(n)) coerced(path, v, n, "to number");
+        }
+        if (typeof n !== "number" || !Number.isFinite(n)) {
+          fail(path, "must be a number");
+          return missing("", { ...s, required: false });
+        }
+        const clamped = Math.min(s.max ?? Infinity, Math.max(s.min ?? -Infinity, n));
+        if (clamped !== n) coerced(path, n, clamped, `clamped to [${s.min ?? ""}, ${s.max ?? ""}]`);
+        return clamped;
+      }
+
+      case "array": {
+        if (!Array.isArray(v)) {
+          fail(path, "must be an array");
+          return missing("", { ...s, required: false }) ?? [];
+        }
+        let arr = v;
+        if (s.maxItems && arr.length > s.maxItems) {
+          coerced(path, arr.length, s.maxItems, "truncated");
+          arr = arr.slice(0, s.maxItems);
+        }
+        return arr.map((x, i) => walk(x, s.items, joinPath(path, i)));
+      }
+
+      case "object": {
+        if (typeof v !== "object" || Array.isArray(v)) {
+          fail(path, "must be an object");
+          return missing("", { ...s, required: false }) ?? null;
+        }
+        const out = {};
+        for (const [k, fs] of Object.entries(s.fields)) {
+          const r = walk(v[k], fs, joinPath(path, k));
+          if (r !== undefined) out[k] = r;
+        }
+        for (const k of Object.keys(v)) {
+          if (!(k in s.fields)) coerced(joinPath(path, k), undefined, undefined, "dropped unknown field");
+        }
+        return out;
+      }
+
+      default:
+        return v;
+    }
+  }
+
+  const value = walk(raw, schema, "");
+  return { value, errors: Object.keys(errors).length ? errors : null, coercions };
+}
+
+// ---------- parse + validate + one repair ----------
+function repairInstruction(schema, previousText, errors) {
+  return (
+    `Your previous reply did not match the required JSON schema.\n` +
+    `Schema: ${describeSchema(schema)}\n` +
+    `Problems: ${JSON.stringify(errors)}\n\n` +
+    `Previous reply:\n${String(previousText || "").slice(0, 6000)}\n\n` +
+    `Return ONLY the corrected JSON (no markdown, no commentary).`
+  );
+}
+
+function checkText(text, schema) {
+  const parsed = parseModelJson(text);
+  if (parsed.error) return { value: null, errors: { $: [parsed.error] }, coercions: [], fatal: true };
+  const r = validateOutput(parsed.value, schema);
+  return { ...r, fatal: r.value === null || typeof r.value !== "object" };
+}
+
+function addUsage(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  const n = (u, k) => Number(u?.[k] || 0);
+  return {
+    input_tokens: n(a, "input_tokens") + n(b, "input_tokens"),
+    output_tokens: n(a, "output_tokens") + n(b, "output_tokens"),
+    total_tokens: n(a, "total_tokens") + n(b, "total_tokens"),
+  };
+}
+
+// Array items + non-null fields, recursively; a repair must not shrink the answer
+function contentSize(v) {
+  if (Array.isArray(v)) return v.length + v.reduce((n, x) => n + contentSize(x), 0);
+  if (v && typeof v === "object") {
+    return Object.values(v).reduce((n, x) => n + (x === null || x === undefined ? 0 : 1 + contentSize(x)), 0);
+  }
+  return 0;
+}
+
+/**
+ * Calls the model via `call()`, validates against `schema`, and on any error asks
+ * `provider.repairJson` once for a corrected answer. The repair is only taken when it is
+ * non-fatal, has fewer errors and keeps at least as much data (so `{"items":[]}` can't
+ * replace three usable items); a failed repair call keeps the first answer.
+ *
+ * Returns { value, errors, coercions, fatal, repaired, repairError, attempts, model, usage, provider, raw }.
+ * `fatal` means there is no usable object at all; otherwise errors are per-field and the
+ * offending fields hold schema defaults.
+ */
+export async function runValidated({ provider, task, schema, key, call }) {
+  const first = await call();
+  let best = { ...checkText(first.text, schema), raw: first.text };
+  let usage = first.usage || null;
+  let model = first.model;
+  let attempts = 1;
+  let repaired = false;
+
+  let repairError = null;
+
+  if (best.errors && typeof provider?.repairJson === "function") {
+    let second = null;
+    attempts++;
+    try {
+      second = await provider.repairJson({
+        task,
+        key,
+        instruction: repairInstruction(schema, first.text, best.errors),
+      });
+    } catch (e) {
+      repairError = e?.message || String(e);
+    }
+
+    if (second) {
+      usage = addUsage(usage, second.usage);
+      model = second.model || model;
+
+      const retry = { ...checkText(second.text, schema), raw: second.text };
+      const errCount = (r) => (r.fatal ? Infinity : Object.keys(r.errors || {}).length);
+      const keepsData = best.fatal || contentSize(retry.value) >= contentSize(best.value);
+      if (!retry.fatal && errCount(retry) < errCount(best) && keepsData) {
+        best = retry;
+        repaired = true;
+      }
+    }
+  }
+
+  return {
+    value: best.value,
+    errors: best.errors,
+    coercions: best.coercions,
+    fatal: best.fatal,
+    repaired,
+    repairError,
+    attempts,
+    model,
+    usage,
+    provider: first.provider,
+    raw: best.raw,
+  };
+}
@@ -0,0 +1,66 @@
+// src/services/netGuard.js
+// Outbound-request guards for URLs that come from callers (scan callbacks, menu pages):
+// never let the server talk to itself, the LAN or a cloud metadata endpoint.
+import dns from "dns";
+import net from "net";
+
+// Loopback, private, link-local (incl. 169.254.169.254 metadata), CGNAT, multicast, unspecified
+export function isPrivateAddress(ip) {
+  const v = net.isIP(ip);
+  if (v === 4) {
+    const [a, b] = ip.split(".").map(Number);
+    return (
+      a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 100 && b >= 64 && b <= 127)
+    );
+  }
+  if (v === 6) {
+    const x = ip.toLowerCase();
+    const mapped = x.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    const mappedHex = x.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/); // URL form of the above
+    if (mappedHex) {
+      const [hi, lo] = [parseInt(mappedHex[1], 16), parseInt(mappedHex[2], 16)];
+      return isPrivateAddress(`${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`);
+    }
+    return x === "::" || x === "::1" || /^f[cd]/.test(x) || /^fe[89ab]/.test(x) || x.startsWith("ff");
+  }
+  return true; // not an IP at all
+}
+
+const hostOf = (u) => u.hostname.toLowerCase().replace(/^\[|\]$/g, "");
+
+/**
+ * Cheap syntactic check: http(s) and not localhost / *.local / *.internal / a private IP literal.
+ * Hostnames still need hostIsPublic() right before the request.
+ */
+export function isPublicHttpUrl(v, { allowHttp = true } = {}) {
+  let u;
+  try {
+    u = new URL(String(v));
+  } catch {
+    return false;
+  }
+  if (u.protocol !== "https:" && !(allowHttp && u.protocol === "http:")) return false;
+
+  const host = hostOf(u);
+  if (host === "localhost" || host.endsWith(".localhost") || host.endsWith(".local") || host.endsWith(".internal")) {
+    return false;
+  }
+  return !(net.isIP(host) && isPrivateAddress(host));
+}
+
+// A public-looking hostname can still resolve to 10.x / 169.254.x: resolve right before sending
+export async function hostIsPublic(url) {
+  const host = hostOf(new URL(url));
+  if (net.isIP(host)) return !isPrivateAddress(host);
+  try {
+    const addrs = await dns.promises.lookup(host, { all: true, verbatim: true });
+    return addrs.length > 0 && addrs.every((a) => !isPrivateAddress(a.address));
+  } catch {
+    return false;
+  }
+}
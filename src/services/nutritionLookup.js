@@ -0,0 +1,107 @@
+// src/services/nutritionLookup.js
+// Local-first nutrition for menu dishes: fuzzy-match a dish name against the USDA FDC
+// `foods` table (services/foodDb.js) and return an estimate in the same shape the model's
+// NUTRITION_SCHEMA items use, so /api/menu/rate can mix both sources.
+import { foodNameTokens, searchFoodsByTokens } from "./foodDb.js";
+
+const MIN_SIMILARITY = Number(process.env.FOOD_MATCH_MIN_SIMILARITY || 0.72);
+
+// One-word names ("Chicken", "Soup") say too little about the dish to trust a DB match,
+// and most of the dish's own words must be found in the food's description.
+const MIN_TOKENS = Math.max(1, Number(process.env.FOOD_MATCH_MIN_TOKENS || 2));
+const MIN_COVERAGE = 0.66;
+
+// When FDC has no portion for a food, assume one restaurant plate
+const DEFAULT_DISH_GRAMS = Number(process.env.FOOD_MATCH_DEFAULT_GRAMS || 300);
+
+/**
+ * Token-overlap similarity in [0, 1]. Weighted toward covering the dish's own words
+ * (FDC descriptions carry extra qualifiers like "from restaurant"), with a small
+ * bonus when the candidate starts with the same word.
+ */
+export function nameSimilarity(queryTokens, candidateTokens) {
+  if (!queryTokens.length || !candidateTokens.length) return 0;
+  const q = new Set(queryTokens);
+  const c = new Set(candidateTokens);
+  let shared = 0;
+  for (const t of q) if (c.has(t)) shared++;
+  if (!shared) return 0;
+
+  const coverage = shared / q.size;
+  const precision = shared / c.size;
+  const headBonus = queryTokens[0] === candidateTokens[0] ? 0.05 : 0;
+  return Math.min(1, Math.round((0.75 * coverage + 0.25 * precision + headBonus) * 1000) / 1000);
+}
+
+const coverageOf = (queryTokens, candidateTokens) => {
+  const c = new Set(candidateTokens);
+  const q = new Set(queryTokens);
+  return [...q].filter((t) => c.has(t)).length / q.size;
+};
+
+/**
+ * Best FDC food for a dish name, or null when the name is too short or nothing clears the
+ * similarity and coverage thresholds. Returns { food, similarity }.
+ */
+export function matchDish(name, { minSimilarity = MIN_SIMILARITY, minTokens = MIN_TOKENS } = {}) {
+  const tokens = foodNameTokens(name);
+  if (new Set(tokens).size < minTokens) return null;
+
+  let best = null;
+  for (const food of searchFoodsByTokens(tokens)) {
+    const candidate = food.normName.split(" ");
+    if (coverageOf(tokens, candidate) < MIN_COVERAGE) continue;
+    const similarity = nameSimilarity(tokens, candidate);
+    if (!best || similarity > best.similarity) best = { food, similarity };
+  }
+  return best && best.similarity >= minSimilarity ? best : null;
+}
+
+const r1 = (x) => Math.round(x * 10) / 10;
+
+/**
+ * Nutrition estimate for one menu line from the local DB, or null when nothing matches
+ * well enough (the caller then asks the model).
+ */
+export function lookupDishNutrition(input, opts) {
+  let match = null;
+  try {
+    match = matchDish(input, opts);
+  } catch {
+    // food DB missing/unreadable -> behave as "no match"
+    return null;
+  }
+  if (!match) return null;
+
+  const { food, similarity } = match;
+  const grams = food.servingGrams || DEFAULT_DISH_GRAMS;
+  const f = grams / 100;
+  const p = food.per100g;
+
+  return {
+    estimate: {
+      input,
+      name: food.description,
+      calories: Math.round((p.caloriesKcal || 0) * f),
+      carbsG: r1((p.carbsG || 0) * f),
+      proteinG: r1((p.proteinG || 0) * f),
+      fatG: r1((p.fatG || 0) * f),
+      fiberG: r1((p.fiberG || 0) * f),
+      sugarG: r1((p.sugarG || 0) * f),
+      sodiumMg: Math.round((p.sodiumMg || 0) * f),
+      satFatG: r1((p.satFatG || 0) * f),
+      confidence: Math.round(similarity * 100),
+      assumptions: food.servingGrams
+        ? `USDA FDC "${food.description}", ${food.servingDescription || "1 portion"} (${grams} g)`
+        : `USDA FDC "${food.description}", assumed ${grams} g plate`,
+    },
+    source: "usda_fdc",
+    match: {
+      fdcId: food.fdcId,
+      description: food.description,
+      dataType: food.dataType,
+      similarity,
+      grams,
+    },
+  };
+}
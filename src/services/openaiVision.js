@@ -1,35 +1,19 @@
-import OpenAI from "openai";
+import { getVisionProvider } from "./visionProvider.js";
 
+// Plain-text menu OCR; model/provider come from the shared vision config (VISION_PROVIDER, VISION_MODEL_MENU)
 export async function extractMenuTextFromImageBuffer({ buffer, mimeType }) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
+  const vision = getVisionProvider();
+  const missing = vision.missingConfig();
+  if (missing) {
     const e = new Error("Missing OPENAI_API_KEY in .env");
     e.statusCode = 500;
     throw e;
   }
 
-  const client = new OpenAI({ apiKey });
-
-  const base64 = buffer.toString("base64");
-  const dataUrl = `data:${mimeType};base64,${base64}`;
-
-  const resp = await client.chat.completions.create({
-    model: "gpt-4o-mini",
-    messages: [
-      {
-        role: "user",
-        content: [
-          {
-            type: "text",
-            text:
-              "Extract the menu text from this image. Return plain text only. " +
-              "One menu item per line. Keep section headings as their own lines.",
-          },
-          { type: "image_url", image_url: { url: dataUrl } },
-        ],
-      },
-    ],
+  const { text } = await vision.extractMenu({
+    images: [{ buffer, mimeType }],
+    format: "text",
   });
 
-  return resp.choices?.[0]?.message?.content ?? "";
+  return text ?? "";
 }
@@ -0,0 +1,172 @@
+// src/services/price.js
+// Menu price strings -> { amount, min, max, currency (ISO 4217), kind }.
+//
+//   "$12"          -> fixed 12 USD
+//   "12.50"        -> fixed 12.5 in the default currency (currencyAssumed: true)
+//   "€9" / "9,50 €" -> fixed EUR (decimal comma understood)
+//   "₹1,200"       -> fixed 1200 INR (thousands separator)
+//   "$12-16", "9/14", "12 to 16", "Half 8 / Full 14" -> range; amount = the lower bound
+//   "1/2 dozen $12"              -> fixed 12 (the fraction is a quantity)
+//   "Market price" / "MP"        -> market, amount null
+//   "2 for $10", "3/$12"         -> multi: amount is the deal price, quantity the count
+//
+// The default currency for bare numbers and "$" is MENU_DEFAULT_CURRENCY (default USD), or
+// the caller's option (e.g. a Canadian restaurant's "$" is CAD).
+
+export const DEFAULT_CURRENCY = /^[A-Z]{3}$/.test(String(process.env.MENU_DEFAULT_CURRENCY || ""))
+  ? process.env.MENU_DEFAULT_CURRENCY
+  : "USD";
+
+// Longest first so "C$" wins over "$"
+const SYMBOLS = [
+  ["US$", "USD"],
+  ["C$", "CAD"],
+  ["CA$", "CAD"],
+  ["A$", "AUD"],
+  ["AU$", "AUD"],
+  ["NZ$", "NZD"],
+  ["S$", "SGD"],
+  ["HK$", "HKD"],
+  ["R$", "BRL"],
+  ["Rs.", "INR"],
+  ["Rs", "INR"],
+  ["€", "EUR"],
+  ["£", "GBP"],
+  ["₹", "INR"],
+  ["¥", "JPY"],
+  ["₩", "KRW"],
+  ["₱", "PHP"],
+  ["฿", "THB"],
+  ["$", null], // dollar of the default currency's region
+];
+
+const CODES = ["USD", "EUR", "GBP", "INR", "CAD", "AUD", "NZD", "JPY", "CHF", "SGD", "HKD", "MXN", "BRL", "AED", "KRW", "PHP", "THB", "CNY"];
+
+const DOLLAR_CURRENCIES = new Set(["USD", "CAD", "AUD", "NZD", "SGD", "HKD", "MXN"]);
+
+// Pattern for a price at the end of a menu line ("Pad Thai ..... $12.95"); shared with menuHtml.js
+const AMOUNT = "\\d{1,5}(?:[.,]\\d{3})*(?:[.,]\\d{1,2})?";
+const SYMBOL_ALT = SYMBOLS.map(([s]) => s.replace(/[.$]/g, "\\$&")).join("|");
+const CODE_ALT = CODES.join("|");
+const PRICE_TOKEN =
+  `(?:(?:${SYMBOL_ALT}|(?:${CODE_ALT})\\s?)\\s?${AMOUNT}` +
+  `|\\d{1,5}[.,]\\d{2}(?:\\s?(?:${SYMBOL_ALT}|${CODE_ALT}))?` +
+  `|${AMOUNT}\\s?(?:€|£|₹|${CODE_ALT}))`;
+const PRICE_PATTERN = `${PRICE_TOKEN}(?:\\s?(?:-|–|/|to)\\s?(?:${SYMBOL_ALT})?${AMOUNT}(?:\\s?(?:€|£|${CODE_ALT}))?)?`;
+const MARKET_PATTERN = "(?:market price|mp|m\\.p\\.|seasonal price|price varies)";
+
+const MULTI_PREFIX = "(?:\\d{1,2}\\s*(?:for|@)\\s*)?";
+const TRAILING_PRICE_RE = new RegExp(`(?:^|[\\s.…·:|-])(${MULTI_PREFIX}${PRICE_PATTERN}|${MARKET_PATTERN})\\s*$`, "i");
+const ONLY_PRICE_RE = new RegExp(`^(${MULTI_PREFIX}${PRICE_PATTERN}|${MARKET_PATTERN})$`, "i");
+const MARKET_RE = new RegExp(`^${MARKET_PATTERN}$`, "i");
+// "2 for $10" / "3/$12" / "2 @ 10"; "9/14" (half/full) stays a range
+const MULTI_RE = /^(\d{1,2})\s*(?:for\s+|@\s*|\/\s*(?=[^\d\s]))(.+)$/i;
+// "1/2 dozen", "3/4 lb": a quantity, not a price
+const FRACTION_RE = /\b\d{1,2}\s?\/\s?\d{1,2}\s*(?=(dozen|doz|lbs?|pounds?|oz|kg|rack|order|portion|pint|gallon|tray|pan|chicken|size)\b)/gi;
+// Size words allowed between the two amounts of a range: "Half 8 / Full 14", "Sm 6 - Lg 9"
+const SIZE_WORD = "(?:half|full|small|medium|large|regular|sm|med|lg|reg|single|double|cup|bowl|glass|bottle|pint|pitcher|lunch|dinner)\\.?";
+const RANGE_RE = new RegExp(`\\d\\s?(?:[^\\d\\s.,]{0,3})\\s?(?:-|–|\\/|to)\\s?(?:${SIZE_WORD}\\s*)?\\D{0,3}\\d`, "i");
+
+/**
+ * "Pad Thai ..... $12.95" -> { name: "Pad Thai", price: "$12.95" }; price null when none.
+ */
+export function splitTrailingPrice(text) {
+  const t = String(text || "");
+  const m = TRAILING_PRICE_RE.exec(t);
+  if (!m) return { name: t.trim(), price: null };
+  const name = t.slice(0, m.index).replace(/[\s.…·:|-]+$/, "").trim();
+  return { name, price: m[1].trim() };
+}
+
+export function isOnlyPrice(text) {
+  return ONLY_PRICE_RE.test(String(text || "").trim());
+}
+
+// "1,200" / "1.200,50" / "12,50" / "12.50" -> number
+function parseAmount(s) {
+  let t = String(s).replace(/\s/g, "");
+  const lastComma = t.lastIndexOf(",");
+  const lastDot = t.lastIndexOf(".");
+  if (lastComma !== -1 && lastDot !== -1) {
+    // whichever comes last is the decimal mark
+    t = lastComma > lastDot ? t.replace(/\./g, "").replace(",", ".") : t.replace(/,/g, "");
+  } else if (lastComma !== -1) {
+    // "12,50" decimal vs "1,200" thousands
+    t = /,\d{3}$/.test(t) ? t.replace(/,/g, "") : t.replace(",", ".");
+  } else if (/^\d{1,3}(?:\.\d{3})+$/.test(t)) {
+    t = t.replace(/\./g, ""); // "1.200" thousands (EU)
+  }
+  const n = Number(t);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+function currencyIn(s, defaultCurrency) {
+  const upper = s.toUpperCase();
+  for (const code of CODES) if (new RegExp(`\\b${code}\\b`).test(upper)) return { currency: code, assumed: false };
+  for (const [sym, code] of SYMBOLS) {
+    if (s.includes(sym)) {
+      if (code) return { currency: code, assumed: false };
+      // bare "$": the default currency if it's a dollar, else USD
+      return DOLLAR_CURRENCIES.has(defaultCurrency)
+        ? { currency: defaultCurrency, assumed: defaultCurrency !== "USD" }
+        : { currency: "USD", assumed: false };
+    }
+  }
+  return { currency: defaultCurrency, assumed: true };
+}
+
+/**
+ * Free-form price -> { raw, amount, min, max, currency, currencyAssumed, kind } or null
+ * when there is no price at all. kind: "fixed" | "range" | "multi" | "market" | "unknown".
+ * "multi" also carries quantity; amount/min/max are the deal's total.
+ */
+/**
+ * What one item costs: the deal total divided by its quantity for multi-buys, else amount.
+ */
+export function perItemAmount(price) {
+  if (!price || price.amount === null || price.amount === undefined) return null;
+  return price.kind === "multi" ? Math.round((price.amount / price.quantity) * 100) / 100 : price.amount;
+}
+
+export function parsePrice(raw, { defaultCurrency = DEFAULT_CURRENCY } = {}) {
+  if (raw === null || raw === undefined) return null;
+  if (typeof raw === "number") {
+    return Number.isFinite(raw) && raw >= 0
+      ? { raw: String(raw), amount: raw, min: raw, max: raw, currency: defaultCurrency, currencyAssumed: true, kind: "fixed" }
+      : null;
+  }
+
+  const text = String(raw).trim();
+  if (!text) return null;
+  const base = { raw: text, amount: null, min: null, max: null, currency: null, currencyAssumed: false };
+
+  if (MARKET_RE.test(text)) return { ...base, kind: "market" };
+
+  const multi = MULTI_RE.exec(text);
+  if (multi) {
+    const quantity = Number(multi[1]);
+    const deal = parsePrice(multi[2], { defaultCurrency });
+    if (!deal || deal.amount === null) return { ...base, kind: "unknown" };
+    if (quantity < 2) return { ...deal, raw: text };
+    return { ...deal, raw: text, kind: "multi", quantity };
+  }
+
+  const priceText = text.replace(FRACTION_RE, " ");
+  const amounts = [...priceText.matchAll(new RegExp(AMOUNT, "g"))].map((m) => parseAmount(m[0])).filter((n) => n !== null);
+  if (!amounts.length) return { ...base, kind: "unknown" };
+
+  const { currency, assumed } = currencyIn(text, defaultCurrency);
+  const isRange = amounts.length >= 2 && RANGE_RE.test(priceText);
+  const min = Math.min(...(isRange ? amounts.slice(0, 2) : amounts.slice(0, 1)));
+  const max = isRange ? Math.max(...amounts.slice(0, 2)) : min;
+
+  return {
+    ...base,
+    amount: min,
+    min,
+    max,
+    currency,
+    currencyAssumed: assumed,
+    kind: isRange ? "range" : "fixed",
+  };
+}
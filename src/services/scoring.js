@@ -1,36 +1,512 @@
-export function scoreMenuLine(line) {
-    const l = (line || "").toLowerCase();
-    let score = 70;
-    const reasons = [];
-  
-    // Positive signals
-    if (l.includes("grilled") || l.includes("baked") || l.includes("steamed")) {
-      score += 10; reasons.push("Grilled/baked");
+// src/services/scoring.js
+// One dish scorer for every path (menu rating, scans, logs, barcode lookups) so the
+// same dish + profile always gets the same score.
+//
+// Input:  nutrition for one serving (caloriesKcal|calories, proteinG, carbsG, fatG, fiberG,
+//         sugarG, sodiumMg, satFatG — any may be missing), the dish name (+ description), and a
+//         merged member profile { conditions, goals, avoid, targets, allergens, diets }.
+// Output: { score 0-100, verdict FIT|MODERATE|AVOID, reasons[], contributions[], rulesetVersion,
+//           allergens[], dietaryConflicts[], hardConflict }.
+//
+// The rules themselves are data (a versioned ruleset, see DEFAULT_RULESET). server.js keeps
+// tuned versions in SQLite and swaps the active one in with setActiveRuleset().
+//
+// Allergy/diet conflicts (services/dietary.js) are kept apart from the health reasons: the
+// score stays the health score, but a hard conflict forces the verdict to AVOID.
+import { ALLERGEN_TOKENS, DIET_TOKENS, normalizeDietaryTokens, detectIngredients, dietaryConflicts } from "./dietary.js";
+
+export const CONDITION_TOKENS = ["diabetes", "htn", "nafld"];
+
+const CONDITION_ALIASES = {
+  diabetes: "diabetes",
+  diabetic: "diabetes",
+  prediabetes: "diabetes",
+  htn: "htn",
+  hypertension: "htn",
+  high_blood_pressure: "htn",
+  nafld: "nafld",
+  fatty_liver: "nafld",
+};
+
+// Legacy menu profile goal ("Lose" | "Maintain" | "Gain") -> goal token
+const LEGACY_GOALS = { lose: "weight_loss" };
+
+const tokens = (v) =>
+  (Array.isArray(v) ? v : []).map((x) => String(x || "").toLowerCase().trim()).filter(Boolean);
+
+/**
+ * Any profile shape we accept (member preferences merged with request overrides,
+ * or the legacy { diabetes, htn, nafld, goal } menu flags)
+ * -> { conditions, goals, avoid, targets, allergens, diets }.
+ */
+export function normalizeScoringProfile(profile) {
+  const p = profile && typeof profile === "object" ? profile : {};
+
+  const conditions = new Set();
+  for (const c of tokens(p.conditions)) if (CONDITION_ALIASES[c]) conditions.add(CONDITION_ALIASES[c]);
+  for (const c of CONDITION_TOKENS) if (p[c] === true) conditions.add(c);
+
+  const goals = new Set(tokens(p.goals));
+  const legacyGoal = LEGACY_GOALS[String(p.goal || "").toLowerCase()];
+  if (legacyGoal) goals.add(legacyGoal);
+
+  let targets = null;
+  if (p.targets && typeof p.targets === "object") {
+    targets = {};
+    for (const [k, v] of Object.entries(p.targets)) {
+      const n = Number(v);
+      if (v !== null && v !== "" && Number.isFinite(n) && n > 0) targets[k] = n;
     }
-    if (l.includes("salad") || l.includes("veggie") || l.includes("greens")) {
-      score += 8; reasons.push("Veggies/greens");
-    }
-    if (l.includes("chicken") || l.includes("fish") || l.includes("tofu") || l.includes("lentil")) {
-      score += 6; reasons.push("Lean protein");
+  }
+
+  return {
+    conditions: [...conditions],
+    goals: [...goals],
+    avoid: [...new Set(tokens(p.avoid))],
+    targets,
+    allergens: normalizeDietaryTokens(p.allergens, ALLERGEN_TOKENS),
+    diets: normalizeDietaryTokens(p.diets, DIET_TOKENS),
+  };
+}
+
+// ---------- ruleset ----------
+// Rule shapes:
+//   nutrient rule: { id, group?, when?, nutrient, op, threshold, points, reason }
+//     threshold is a number, or { of, share, fallback }: share x the member's daily target
+//     `of` when they have one, else the fallback (a per-meal cap).
+//   name-cue rule: { id, group?, when?, cue, nutrition?, points, reason }
+//     cue names a word list in ruleset.cues; nutrition "absent" = only when there is no
+//     nutrition estimate (the cue stands in for it).
+// `when` matches if the profile has ANY listed condition/goal/avoid token; omitted = always.
+// Within a `group` only the first matching rule counts (rules are ordered most specific first).
+// `notes` are returned with scores (rulesetNotes) so clients can explain a shift between versions.
+export const DEFAULT_RULESET = {
+  version: "2026-10-19.1",
+  baseScore: 75,
+  verdicts: { fit: 80, moderate: 60 },
+  notes: [
+    "Menu ratings start from a base score of 75 (was 80 before this ruleset).",
+    "The hypertension sodium penalty applies above 40% of the daily sodium target (720 mg at the 1800 mg default; 600 mg per meal without targets) instead of a fixed 1200 mg.",
+    "Anonymous requests are scored with the request profile and the default daily targets; signed-in requests use the member's stored preferences and targets.",
+  ],
+  cues: {
+    fried: ["fried", "crispy", "tempura", "battered", "pakora", "fritter", "fritters"],
+    processed_meat: ["bacon", "pepperoni", "sausage", "salami", "ham", "hot dog"],
+    light_cooking: ["grilled", "baked", "steamed", "roasted", "poached", "tandoori"],
+    greens: ["salad", "veggie", "vegetable", "greens", "spinach", "kale"],
+    lean_protein: ["chicken", "fish", "tofu", "lentil", "lentils", "dal", "salmon", "turkey", "bean", "beans"],
+    heavy_sauce: ["creamy", "alfredo", "cheese", "cheesy", "butter", "makhani", "korma"],
+    sweet: ["sweet", "dessert", "syrup", "honey", "cake", "ice cream", "gulab", "brownie", "shake"],
+  },
+  rules: [
+    {
+      id: "calories.weight_loss",
+      group: "calories",
+      when: { goals: ["weight_loss"] },
+      nutrient: "caloriesKcal",
+      op: ">",
+      threshold: { of: "caloriesKcal", share: 0.4, fallback: 950 },
+      points: -15,
+      reason: "High calories for weight loss",
+    },
+    {
+      id: "calories.high",
+      group: "calories",
+      nutrient: "caloriesKcal",
+      op: ">",
+      threshold: { of: "caloriesKcal", share: 0.4, fallback: 950 },
+      points: -12,
+      reason: "High calories",
+    },
+    {
+      id: "sodium.htn",
+      group: "sodium",
+      when: { conditions: ["htn"] },
+      nutrient: "sodiumMg",
+      op: ">",
+      threshold: { of: "sodiumMg", share: 0.4, fallback: 600 },
+      points: -20,
+      reason: "Very high sodium (HTN)",
+    },
+    {
+      id: "sodium.watch",
+      group: "sodium",
+      when: { goals: ["low_sodium"], avoid: ["excess_sodium"] },
+      nutrient: "sodiumMg",
+      op: ">",
+      threshold: { of: "sodiumMg", share: 0.4, fallback: 600 },
+      points: -18,
+      reason: "High sodium",
+    },
+    {
+      id: "sodium.high",
+      group: "sodium",
+      nutrient: "sodiumMg",
+      op: ">",
+      threshold: { of: "sodiumMg", share: 0.4, fallback: 900 },
+      points: -10,
+      reason: "High sodium",
+    },
+    {
+      id: "sugar.nafld",
+      group: "sugar",
+      when: { conditions: ["nafld"] },
+      nutrient: "sugarG",
+      op: ">",
+      threshold: { of: "sugarG", share: 0.4, fallback: 12 },
+      points: -15,
+      reason: "High sugar (NAFLD)",
+    },
+    {
+      id: "sugar.watch",
+      group: "sugar",
+      when: { conditions: ["diabetes"], goals: ["low_sugar"], avoid: ["excess_sugar", "high_sugar"] },
+      nutrient: "sugarG",
+      op: ">",
+      threshold: { of: "sugarG", share: 0.4, fallback: 12 },
+      points: -15,
+      reason: "High sugar",
+    },
+    {
+      id: "sugar.high",
+      group: "sugar",
+      nutrient: "sugarG",
+      op: ">",
+      threshold: { of: "sugarG", share: 0.4, fallback: 20 },
+      points: -10,
+      reason: "High sugar",
+    },
+    {
+      id: "net_carbs.diabetes",
+      group: "net_carbs",
+      when: { conditions: ["diabetes"] },
+      nutrient: "netCarbsG",
+      op: ">",
+      threshold: 55,
+      points: -18,
+      reason: "High net carbs (diabetes)",
+    },
+    {
+      id: "net_carbs.low_carb",
+      group: "net_carbs",
+      when: { goals: ["low_carb"] },
+      nutrient: "netCarbsG",
+      op: ">",
+      threshold: 45,
+      points: -10,
+      reason: "High net carbs",
+    },
+    {
+      id: "sat_fat.avoid",
+      when: { avoid: ["excess_sat_fat"] },
+      nutrient: "satFatG",
+      op: ">",
+      threshold: 10,
+      points: -10,
+      reason: "High saturated fat",
+    },
+    {
+      id: "protein.goal",
+      group: "protein",
+      when: { goals: ["high_protein"] },
+      nutrient: "proteinG",
+      op: ">=",
+      threshold: 25,
+      points: 10,
+      reason: "Good protein",
+    },
+    {
+      id: "protein.good",
+      group: "protein",
+      nutrient: "proteinG",
+      op: ">=",
+      threshold: 25,
+      points: 5,
+      reason: "Good protein",
+    },
+    {
+      id: "protein.low_for_goal",
+      group: "protein",
+      when: { goals: ["high_protein"] },
+      nutrient: "proteinG",
+      op: "<",
+      threshold: 15,
+      points: -8,
+      reason: "Low protein",
+    },
+    {
+      id: "fiber.goal",
+      group: "fiber",
+      when: { goals: ["high_fiber"] },
+      nutrient: "fiberG",
+      op: ">=",
+      threshold: 6,
+      points: 8,
+      reason: "Good fiber",
+    },
+    { id: "fiber.good", group: "fiber", nutrient: "fiberG", op: ">=", threshold: 6, points: 5, reason: "Good fiber" },
+    {
+      id: "cue.fried.avoided",
+      group: "fried",
+      when: { avoid: ["fried"] },
+      cue: "fried",
+      points: -15,
+      reason: "Fried (avoided)",
+    },
+    { id: "cue.fried", group: "fried", cue: "fried", nutrition: "absent", points: -18, reason: "Fried" },
+    {
+      id: "cue.processed_meat.avoided",
+      group: "processed_meat",
+      when: { avoid: ["processed_meat"] },
+      cue: "processed_meat",
+      points: -15,
+      reason: "Processed meat (avoided)",
+    },
+    {
+      id: "cue.processed_meat",
+      group: "processed_meat",
+      cue: "processed_meat",
+      nutrition: "absent",
+      points: -10,
+      reason: "Processed meat",
+    },
+    { id: "cue.light_cooking", cue: "light_cooking", nutrition: "absent", points: 10, reason: "Grilled/baked" },
+    { id: "cue.greens", cue: "greens", nutrition: "absent", points: 8, reason: "Veggies/greens" },
+    { id: "cue.lean_protein", cue: "lean_protein", nutrition: "absent", points: 6, reason: "Lean protein" },
+    { id: "cue.heavy_sauce", cue: "heavy_sauce", nutrition: "absent", points: -10, reason: "Heavier sauce" },
+    {
+      id: "cue.sweet.watch",
+      group: "sweet",
+      when: { conditions: ["diabetes", "nafld"], goals: ["low_sugar"], avoid: ["excess_sugar", "high_sugar"] },
+      cue: "sweet",
+      nutrition: "absent",
+      points: -18,
+      reason: "High sugar",
+    },
+    { id: "cue.sweet", group: "sweet", cue: "sweet", nutrition: "absent", points: -12, reason: "High sugar" },
+  ],
+};
+
+export const RULE_NUTRIENTS = [
+  "caloriesKcal",
+  "proteinG",
+  "carbsG",
+  "fatG",
+  "fiberG",
+  "sugarG",
+  "sodiumMg",
+  "satFatG",
+  "netCarbsG",
+];
+
+const RULE_OPS = {
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+};
+
+const WHEN_KEYS = ["conditions", "goals", "avoid"];
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Validates a ruleset document (admin uploads).
+ * Returns { value } or { errors } where errors maps path -> problems.
+ */
+export function validateRuleset(raw) {
+  const r = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+  const errors = {};
+  const fail = (path, msg) => (errors[path] = errors[path] || []).push(msg);
+  const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+  const version = String(r.version ?? "").trim();
+  if (!/^[A-Za-z0-9._-]{1,40}$/.test(version)) fail("version", "must be 1-40 chars of [A-Za-z0-9._-]");
+
+  const baseScore = r.baseScore ?? DEFAULT_RULESET.baseScore;
+  if (!isNum(baseScore) || baseScore < 0 || baseScore > 100) fail("baseScore", "must be a number 0-100");
+
+  const verdicts = r.verdicts ?? DEFAULT_RULESET.verdicts;
+  if (!verdicts || !isNum(verdicts.fit) || !isNum(verdicts.moderate) || verdicts.moderate > verdicts.fit) {
+    fail("verdicts", "must be { fit, moderate } numbers with moderate <= fit");
+  }
+
+  const notes = r.notes ?? [];
+  if (!Array.isArray(notes) || notes.length > 20 || notes.some((n) => typeof n !== "string" || !n.trim() || n.length > 500)) {
+    fail("notes", "must be an array of up to 20 non-empty strings");
+  }
+
+  const cues = {};
+  if (r.cues !== undefined && (typeof r.cues !== "object" || Array.isArray(r.cues))) fail("cues", "must be an object");
+  for (const [name, words] of Object.entries(r.cues || {})) {
+    if (!Array.isArray(words) || !words.length || words.some((w) => typeof w !== "string" || !w.trim())) {
+      fail(`cues.${name}`, "must be a non-empty array of words");
+      continue;
     }
-  
-    // Risk signals
-    if (l.includes("fried") || l.includes("crispy") || l.includes("tempura")) {
-      score -= 18; reasons.push("Fried");
+    cues[name] = words.map((w) => w.toLowerCase().trim());
+  }
+
+  if (!Array.isArray(r.rules) || !r.rules.length) fail("rules", "must be a non-empty array");
+  const ids = new Set();
+  const rules = (Array.isArray(r.rules) ? r.rules : []).map((rule, i) => {
+    const p = `rules[${i}]`;
+    const x = rule && typeof rule === "object" ? rule : {};
+
+    if (typeof x.id !== "string" || !/^[a-z0-9_.-]{1,60}$/.test(x.id)) fail(`${p}.id`, "must match [a-z0-9_.-]{1,60}");
+    else if (ids.has(x.id)) fail(`${p}.id`, "duplicate id");
+    ids.add(x.id);
+
+    if (!isNum(x.points) || Math.abs(x.points) > 100) fail(`${p}.points`, "must be a number between -100 and 100");
+    if (typeof x.reason !== "string" || !x.reason.trim()) fail(`${p}.reason`, "must be a non-empty string");
+    if (x.group !== undefined && typeof x.group !== "string") fail(`${p}.group`, "must be a string");
+
+    if (x.when !== undefined) {
+      if (!x.when || typeof x.when !== "object") fail(`${p}.when`, "must be an object");
+      else {
+        for (const k of Object.keys(x.when)) {
+          if (!WHEN_KEYS.includes(k)) fail(`${p}.when.${k}`, `unknown key (allowed: ${WHEN_KEYS.join(", ")})`);
+          else if (!Array.isArray(x.when[k])) fail(`${p}.when.${k}`, "must be an array of tokens");
+        }
+      }
     }
-    if (l.includes("creamy") || l.includes("alfredo") || l.includes("cheese")) {
-      score -= 10; reasons.push("Heavier sauce");
+
+    if (x.cue !== undefined) {
+      if (!cues[x.cue]) fail(`${p}.cue`, "must name an entry in cues");
+      if (x.nutrition !== undefined && !["absent", "any"].includes(x.nutrition)) {
+        fail(`${p}.nutrition`, 'must be "absent" or "any"');
+      }
+    } else {
+      if (!RULE_NUTRIENTS.includes(x.nutrient)) fail(`${p}.nutrient`, `must be one of: ${RULE_NUTRIENTS.join(", ")}`);
+      if (!RULE_OPS[x.op]) fail(`${p}.op`, `must be one of: ${Object.keys(RULE_OPS).join(" ")}`);
+      const t = x.threshold;
+      const okObj =
+        t &&
+        typeof t === "object" &&
+        RULE_NUTRIENTS.includes(t.of) &&
+        isNum(t.share) &&
+        t.share > 0 &&
+        t.share <= 1 &&
+        isNum(t.fallback) &&
+        t.fallback >= 0;
+      if (!(isNum(t) && t >= 0) && !okObj) {
+        fail(`${p}.threshold`, "must be a number >= 0 or { of, share (0-1], fallback }");
+      }
     }
-    if (l.includes("sweet") || l.includes("dessert") || l.includes("syrup") || l.includes("honey")) {
-      score -= 12; reasons.push("High sugar");
+    return x;
+  });
+
+  if (Object.keys(errors).length) return { errors };
+  return {
+    value: { version, baseScore, verdicts: { fit: verdicts.fit, moderate: verdicts.moderate }, notes: notes.map((n) => n.trim()), cues, rules },
+  };
+}
+
+// Word lists -> one regex per cue, cached per ruleset object
+const compiledCues = new WeakMap();
+function cueRegexes(ruleset) {
+  let out = compiledCues.get(ruleset);
+  if (!out) {
+    out = {};
+    for (const [name, words] of Object.entries(ruleset.cues || {})) {
+      out[name] = new RegExp(`\\b(${words.map(escapeRegex).join("|")})\\b`);
     }
-    if (l.includes("bacon") || l.includes("pepperoni") || l.includes("sausage")) {
-      score -= 10; reasons.push("Processed meat");
+    compiledCues.set(ruleset, out);
+  }
+  return out;
+}
+
+let activeRuleset = DEFAULT_RULESET;
+
+export function getActiveRuleset() {
+  return activeRuleset;
+}
+
+// Caller validates first (validateRuleset); null restores the built-in default
+export function setActiveRuleset(ruleset) {
+  activeRuleset = ruleset || DEFAULT_RULESET;
+}
+
+function nutrientValue(n, key) {
+  const num = (v) => (v !== null && v !== "" && Number.isFinite(Number(v)) ? Number(v) : null);
+  if (key === "caloriesKcal") return num(n.caloriesKcal) ?? num(n.calories) ?? 0;
+  if (key === "netCarbsG") return Math.max(0, (num(n.carbsG) ?? 0) - (num(n.fiberG) ?? 0));
+  return num(n[key]) ?? 0;
+}
+
+function resolveThreshold(t, targets) {
+  if (typeof t === "number") return { value: t, basis: "fixed" };
+  const daily = targets?.[t.of];
+  if (daily) return { value: Math.round(daily * t.share * 10) / 10, basis: `target:${t.of}x${t.share}` };
+  return { value: t.fallback, basis: "fallback" };
+}
+
+function profileMatches(when, prof) {
+  if (!when) return true;
+  return WHEN_KEYS.some((k) => (when[k] || []).some((tok) => prof[k].includes(String(tok).toLowerCase())));
+}
+
+const r1 = (x) => Math.round(x * 10) / 10;
+
+/**
+ * Scores one dish for a profile. `profile` may be raw (it is normalized here).
+ * Each fired rule shows up in `contributions` with what it compared and the points it moved.
+ */
+export function scoreDish({ name, description, nutrition, profile, ruleset = activeRuleset } = {}) {
+  const prof = normalizeScoringProfile(profile);
+  const n = nutrition && typeof nutrition === "object" ? nutrition : null;
+  const text = [name, description].filter(Boolean).join(" ").toLowerCase();
+  const cues = cueRegexes(ruleset);
+
+  const firedGroups = new Set();
+  const contributions = [];
+
+  for (const rule of ruleset.rules) {
+    if (rule.group && firedGroups.has(rule.group)) continue;
+    if (!profileMatches(rule.when, prof)) continue;
+
+    let contribution = null;
+    if (rule.cue) {
+      if (rule.nutrition === "absent" && n) continue;
+      const m = text ? text.match(cues[rule.cue]) : null;
+      if (!m) continue;
+      contribution = { ruleId: rule.id, cue: rule.cue, nutrient: null, op: null, threshold: null, thresholdBasis: null, observed: m[1] };
+    } else {
+      if (!n) continue;
+      const observed = nutrientValue(n, rule.nutrient);
+      const threshold = resolveThreshold(rule.threshold, prof.targets);
+      if (!RULE_OPS[rule.op](observed, threshold.value)) continue;
+      contribution = {
+        ruleId: rule.id,
+        cue: null,
+        nutrient: rule.nutrient,
+        op: rule.op,
+        threshold: threshold.value,
+        thresholdBasis: threshold.basis,
+        observed: r1(observed),
+      };
     }
-  
-    score = Math.max(0, Math.min(100, score));
-    const verdict = score >= 80 ? "FIT" : score >= 60 ? "MODERATE" : "AVOID";
-  
-    return { score, verdict, reasons: reasons.slice(0, 3) };
+
+    if (rule.group) firedGroups.add(rule.group);
+    contributions.push({ ...contribution, points: rule.points, reason: rule.reason });
   }
-  
\ No newline at end of file
+
+  const raw = ruleset.baseScore + contributions.reduce((a, c) => a + c.points, 0);
+  const score = Math.max(0, Math.min(100, Math.round(raw)));
+  const healthVerdict =
+    score >= ruleset.verdicts.fit ? "FIT" : score >= ruleset.verdicts.moderate ? "MODERATE" : "AVOID";
+
+  const dietary = dietaryConflicts(detectIngredients({ name, description }), prof);
+
+  return {
+    score,
+    verdict: dietary.hardConflict ? "AVOID" : healthVerdict,
+    healthVerdict,
+    reasons: contributions.map((c) => c.reason),
+    contributions,
+    baseScore: ruleset.baseScore,
+    rulesetVersion: ruleset.version,
+    allergens: dietary.allergens,
+    dietaryConflicts: dietary.conflicts,
+    hardConflict: dietary.hardConflict,
+  };
+}
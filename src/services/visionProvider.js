@@ -0,0 +1,353 @@
+// src/services/visionProvider.js
+// Model-agnostic vision/LLM calls used by /v1/scans and the menu routes.
+//
+// Every provider implements:
+//   analyzeMealImage({ image, context, key })        -> { text, model, usage, provider }
+//   extractMenu({ images, pdfText, format, page, key }) -> { text, model, usage, provider }
+//   estimateNutrition({ items, key })                -> { text, model, usage, provider }
+//   repairJson({ task, instruction, key })           -> { text, model, usage, provider }
+// `text` is the raw model output (JSON for scans/nutrition, JSON or plain text for menus);
+// parsing stays with the caller.
+//
+// Config (env):
+//   VISION_PROVIDER          openai (default) | fixture (deterministic, offline)
+//   VISION_MODEL             default model for every task (gpt-4.1-mini)
+//   VISION_MODEL_SCAN / VISION_MODEL_MENU / VISION_MODEL_NUTRITION   per-task override
+//   VISION_MODEL_AB          "<model>:<percent>" routes that share of calls to another model,
+//                            bucketed by the request key so retries land on the same model
+import crypto from "crypto";
+import OpenAI from "openai";
+
+const DEFAULT_MODEL = "gpt-4.1-mini";
+
+const TASKS = ["scan", "menu", "nutrition"];
+
+// ---------- prompts (shared by all providers) ----------
+export function scanInstruction(context) {
+  return (
+    `Return ONLY valid JSON (no markdown). Schema:\n` +
+    `{\n` +
+    `  "dishName": string,\n` +
+    `  "confidence": number,     // 0-100\n` +
+    `  "score": number,          // 0-100 overall health fit\n` +
+    `  "why": string[],          // 2-6 bullets\n` +
+    `  "tips": string[],         // 2-6 bullets\n` +
+    `  "components": [           // every distinct item on the plate (1 for a single dish)\n` +
+    `    { "name": string, "portion": string, "confidence": number, "estimatedNutrition": { same fields as below } }\n` +
+    `  ],\n` +
+    `  "servingGrams": number,   // estimated weight of the pictured food in grams\n` +
+    `  "estimatedNutrition": {   // whole plate\n` +
+    `    "caloriesKcal": number,\n` +
+    `    "proteinG": number,\n` +
+    `    "carbsG": number,\n` +
+    `    "fatG": number,\n` +
+    `    "fiberG": number,\n` +
+    `    "sugarG": number,\n` +
+    `    "sodiumMg": number\n` +
+    `  }\n` +
+    `}\n\n` +
+    `Personalization (member-specific): ${JSON.stringify(context || {})}\n`
+  );
+}
+
+// page: { number, count, continueSection } when a long menu is extracted one page at a time
+export function menuInstruction(page) {
+  const pageRules = page
+    ? `- this is page ${page.number} of ${page.count}; extract every item on this page\n` +
+      (page.continueSection
+        ? `- items before the first heading on this page continue the section "${page.continueSection}"\n`
+        : "")
+    : "";
+  return (
+    `Return ONLY valid JSON (no markdown). Schema:\n` +
+    `{"sections":[{"name":string,"items":[{"name":string,"description":string|null,"price":string|null}]}]}\n` +
+    `Rules:\n` +
+    `- keep section names\n` +
+    `- dedupe items by name\n` +
+    `- price/desc null if missing\n` +
+    pageRules +
+    `- DO NOT include rawText or any extra fields\n`
+  );
+}
+
+const MENU_TEXT_INSTRUCTION =
+  "Extract the menu text from this image. Return plain text only. " +
+  "One menu item per line. Keep section headings as their own lines.";
+
+export function nutritionInstruction(items) {
+  return (
+    `Return ONLY JSON (no markdown). Shape:\n` +
+    `{"items":[{"input":string,"name":string,"calories":number,"carbsG":number,"proteinG":number,"fatG":number,"fiberG":number,"sugarG":number,"sodiumMg":number,"satFatG":number,"confidence":number,"assumptions":string}]}\n\n` +
+    `Menu items:\n` +
+    (items || []).map((x, i) => `${i + 1}. ${x}`).join("\n")
+  );
+}
+
+// ---------- model selection ----------
+function parseAbSplit(raw) {
+  const m = String(raw || "").trim().match(/^([^:\s]+):(\d{1,3})$/);
+  if (!m) return null;
+  const percent = Math.min(100, Number(m[2]));
+  return percent > 0 ? { model: m[1], percent } : null;
+}
+
+function bucketOf(key) {
+  const h = crypto.createHash("sha256").update(String(key)).digest();
+  return h.readUInt32BE(0) % 100;
+}
+
+/**
+ * Resolved model config. Explicit options win over env.
+ */
+export function resolveVisionConfig(opts = {}, env = process.env) {
+  const base = opts.model || env.VISION_MODEL || DEFAULT_MODEL;
+  const models = {};
+  for (const t of TASKS) {
+    models[t] = opts.models?.[t] || env[`VISION_MODEL_${t.toUpperCase()}`] || base;
+  }
+  return {
+    provider: String(opts.provider || env.VISION_PROVIDER || "openai").toLowerCase(),
+    models,
+    ab: opts.ab === undefined ? parseAbSplit(env.VISION_MODEL_AB) : opts.ab,
+  };
+}
+
+function pickModel(config, task, key) {
+  const ab = config.ab;
+  if (ab && key !== undefined && key !== null && bucketOf(`${task}:${key}`) < ab.percent) return ab.model;
+  return config.models[task];
+}
+
+// ---------- OpenAI (Responses API) ----------
+function responseText(response) {
+  if (typeof response?.output_text === "string" && response.output_text) return response.output_text;
+  return response?.output?.[0]?.content?.[0]?.text ?? "";
+}
+
+export function createOpenAIVisionProvider(config, { apiKey = process.env.OPENAI_API_KEY } = {}) {
+  let client = null;
+  const getClient = () => {
+    if (!apiKey) {
+      const e = new Error("Missing OPENAI_API_KEY in .env");
+      e.statusCode = 500;
+      throw e;
+    }
+    client = client || new OpenAI({ apiKey });
+    return client;
+  };
+
+  async function run(task, key, content) {
+    const model = pickModel(config, task, key);
+    const response = await getClient().responses.create({
+      model,
+      input: [{ role: "user", content }],
+    });
+    return { text: responseText(response), model, usage: response?.usage || null, provider: "openai" };
+  }
+
+  return {
+    name: "openai",
+    missingConfig: () => (apiKey ? null : "MISSING_OPENAI_API_KEY"),
+
+    analyzeMealImage({ image, context, key }) {
+      const b64 = image.buffer.toString("base64");
+      const mime = String(image.mimeType || "image/jpeg");
+      return run("scan", key, [
+        { type: "input_text", text: scanInstruction(context) },
+        { type: "input_image", image_url: `data:${mime};base64,${b64}` },
+      ]);
+    },
+
+    extractMenu({ images = [], pdfText = "", format = "json", page = null, key }) {
+      const instruction = format === "text" ? MENU_TEXT_INSTRUCTION : menuInstruction(page);
+      return run("menu", key, [
+        { type: "input_text", text: instruction + (pdfText ? `\n\nPDF:\n${pdfText}\n` : "") },
+        ...images.map((img) => ({
+          type: "input_image",
+          image_url: `data:${img.mimeType};base64,${img.buffer.toString("base64")}`,
+        })),
+      ]);
+    },
+
+    estimateNutrition({ items, key }) {
+      return run("nutrition", key, [{ type: "input_text", text: nutritionInstruction(items) }]);
+    },
+
+    // Text-only re-prompt with the schema + validation errors (see services/modelOutput.js)
+    repairJson({ task, instruction, key }) {
+      return run(task, key, [{ type: "input_text", text: instruction }]);
+    },
+  };
+}
+
+// ---------- Fixture (deterministic, offline) ----------
+// Same input -> same output; no network. Meant for local dev and tests (VISION_PROVIDER=fixture).
+const FIXTURE_DISHES = [
+  {
+    dishName: "Grilled chicken salad",
+    confidence: 82,
+    score: 84,
+    servingGrams: 350,
+    why: ["Lean protein from grilled chicken", "Plenty of leafy vegetables"],
+    tips: ["Keep dressing on the side", "Add beans for extra fiber"],
+    estimatedNutrition: { caloriesKcal: 420, proteinG: 38, carbsG: 18, fatG: 20, fiberG: 7, sugarG: 6, sodiumMg: 620 },
+  },
+  {
+    dishName: "Chicken biryani plate",
+    confidence: 76,
+    score: 62,
+    servingGrams: 520,
+    why: ["Good protein from chicken", "Large rice portion raises carbs"],
+    tips: ["Pair with raita and salad", "Eat a smaller rice portion"],
+    components: [
+      {
+        name: "Chicken biryani",
+        portion: "1.5 cups",
+        confidence: 80,
+        estimatedNutrition: { caloriesKcal: 640, proteinG: 28, carbsG: 80, fatG: 22, fiberG: 3, sugarG: 3, sodiumMg: 980 },
+      },
+      {
+        name: "Raita",
+        portion: "1/2 cup",
+        confidence: 70,
+        estimatedNutrition: { caloriesKcal: 60, proteinG: 3, carbsG: 6, fatG: 2, fiberG: 1, sugarG: 5, sodiumMg: 90 },
+      },
+      {
+        name: "Gulab jamun",
+        portion: "1 piece",
+        confidence: 65,
+        estimatedNutrition: { caloriesKcal: 150, proteinG: 2, carbsG: 25, fatG: 5, fiberG: 0, sugarG: 20, sodiumMg: 30 },
+      },
+    ],
+    estimatedNutrition: { caloriesKcal: 850, proteinG: 33, carbsG: 111, fatG: 29, fiberG: 4, sugarG: 28, sodiumMg: 1100 },
+  },
+  {
+    dishName: "Pepperoni pizza",
+    confidence: 88,
+    score: 41,
+    why: ["Processed meat topping", "High sodium and saturated fat"],
+    tips: ["Limit to one or two slices", "Add a side salad"],
+    estimatedNutrition: { caloriesKcal: 890, proteinG: 34, carbsG: 88, fatG: 42, fiberG: 4, sugarG: 9, sodiumMg: 1980 },
+  },
+  {
+    dishName: "Lentil soup with bread",
+    confidence: 71,
+    score: 80,
+    why: ["High fiber from lentils", "Moderate calories"],
+    tips: ["Choose whole-grain bread", "Watch added salt"],
+    estimatedNutrition: { caloriesKcal: 510, proteinG: 24, carbsG: 72, fatG: 12, fiberG: 15, sugarG: 7, sodiumMg: 890 },
+  },
+];
+
+const FIXTURE_MENU = {
+  sections: [
+    {
+      name: "Starters",
+      items: [
+        { name: "Garden Salad", description: "Mixed greens, cucumber, lemon vinaigrette", price: "$8" },
+        { name: "Crispy Calamari", description: "Fried squid with aioli", price: "$12" },
+      ],
+    },
+    {
+      name: "Mains",
+      items: [
+        { name: "Grilled Salmon", description: "With steamed vegetables", price: "$24" },
+        { name: "Chicken Alfredo", description: "Creamy parmesan sauce, fettuccine", price: "$19" },
+        { name: "Lentil Curry", description: "Served with brown rice", price: "$16" },
+      ],
+    },
+  ],
+};
+
+function fixtureHash(x) {
+  return crypto.createHash("sha256").update(x).digest().readUInt32BE(0);
+}
+
+function fixtureNutritionFor(input) {
+  const l = String(input).toLowerCase();
+  const h = fixtureHash(l);
+  let calories = 450 + (h % 300);
+  let sodiumMg = 600 + (h % 700);
+  let sugarG = 4 + (h % 10);
+  let fiberG = 2 + (h % 5);
+  let satFatG = 3 + (h % 6);
+
+  if (/fried|crispy|tempura/.test(l)) {
+    calories += 250;
+    satFatG += 6;
+  }
+  if (/salad|greens|veggie|steamed/.test(l)) {
+    calories -= 200;
+    fiberG += 4;
+  }
+  if (/lentil|bean|chickpea/.test(l)) fiberG += 8;
+  if (/dessert|cake|sweet|syrup/.test(l)) sugarG += 30;
+  if (/pizza|bacon|sausage|pepperoni|soy/.test(l)) sodiumMg += 600;
+
+  return {
+    input: String(input),
+    name: String(input),
+    calories,
+    carbsG: Math.round(calories * 0.12),
+    proteinG: 10 + (h % 30),
+    fatG: Math.round(calories * 0.035),
+    fiberG,
+    sugarG,
+    sodiumMg,
+    satFatG,
+    confidence: 60,
+    assumptions: "fixture estimate",
+  };
+}
+
+export function createFixtureVisionProvider(config) {
+  const result = (task, key, text) => ({
+    text,
+    model: `fixture:${pickModel(config, task, key)}`,
+    usage: { input_tokens: 0, output_tokens: 0, total_tokens: 0 },
+    provider: "fixture",
+  });
+
+  return {
+    name: "fixture",
+    missingConfig: () => null,
+
+    async analyzeMealImage({ image, key }) {
+      const dish = FIXTURE_DISHES[fixtureHash(image.buffer) % FIXTURE_DISHES.length];
+      return result("scan", key, JSON.stringify(dish));
+    },
+
+    async extractMenu({ format = "json", key }) {
+      if (format === "text") {
+        const lines = FIXTURE_MENU.sections.flatMap((s) => [s.name, ...s.items.map((it) => `${it.name} ${it.price}`)]);
+        return result("menu", key, lines.join("\n"));
+      }
+      return result("menu", key, JSON.stringify(FIXTURE_MENU));
+    },
+
+    async estimateNutrition({ items, key }) {
+      return result("nutrition", key, JSON.stringify({ items: (items || []).map(fixtureNutritionFor) }));
+    },
+
+    // Fixture answers are always schema-valid; an empty repair keeps the original answer
+    async repairJson({ task, key }) {
+      return result(task, key, "{}");
+    },
+  };
+}
+
+// ---------- factory ----------
+export function createVisionProvider(opts = {}) {
+  const config = resolveVisionConfig(opts);
+  if (config.provider === "fixture") return createFixtureVisionProvider(config);
+  if (config.provider === "openai") return createOpenAIVisionProvider(config, opts);
+  throw new Error(`Unknown VISION_PROVIDER: ${config.provider}`);
+}
+
+let defaultProvider = null;
+
+// Process-wide provider built from env on first use
+export function getVisionProvider() {
+  defaultProvider = defaultProvider || createVisionProvider();
+  return defaultProvider;
+}
@@ -0,0 +1,98 @@
+import jwt from "jsonwebtoken";
+import bcrypt from "bcryptjs";
+
+function requireEnv(name) {
+  const v = process.env[name];
+  if (!v) throw new Error(`Missing env var: ${name}`);
+  return v;
+}
+
+function accessSecret() {
+  return requireEnv("USER_JWT_SECRET");
+}
+
+function refreshSecret() {
+  // Separate secret is recommended; fall back to the access secret for dev
+  return process.env.USER_REFRESH_JWT_SECRET || requireEnv("USER_JWT_SECRET");
+}
+
+export function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+export function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizeEmail(email));
+}
+
+export function isValidPassword(password) {
+  const pwd = String(password || "");
+  return pwd.length >= 8 && pwd.length <= 200;
+}
+
+export async function hashPassword(password) {
+  return bcrypt.hash(String(password || ""), 10);
+}
+
+export async function checkPassword(password, hash) {
+  if (!hash) return false;
+  return bcrypt.compare(String(password || ""), String(hash));
+}
+
+/**
+ * Issues a short-lived access token + long-lived refresh token.
+ * tokenVersion is stored on the users row; bumping it revokes refresh tokens.
+ */
+export function issueUserTokens({ userId, email, tokenVersion = 0 }) {
+  const accessTtlMin = Number(process.env.USER_ACCESS_TTL_MIN || "15");
+  const refreshTtlDays = Number(process.env.USER_REFRESH_TTL_DAYS || "30");
+  const accessExpiresIn = Math.max(60, Math.floor(accessTtlMin * 60));
+  const refreshExpiresIn = Math.max(60, Math.floor(refreshTtlDays * 24 * 60 * 60));
+
+  const accessToken = jwt.sign(
+    { sub: userId, email, typ: "access" },
+    accessSecret(),
+    { expiresIn: accessExpiresIn }
+  );
+
+  const refreshToken = jwt.sign(
+    { sub: userId, typ: "refresh", ver: Number(tokenVersion) || 0 },
+    refreshSecret(),
+    { expiresIn: refreshExpiresIn }
+  );
+
+  return {
+    accessToken,
+    refreshToken,
+    accessExpiresAt: new Date(Date.now() + accessExpiresIn * 1000).toISOString(),
+    refreshExpiresAt: new Date(Date.now() + refreshExpiresIn * 1000).toISOString(),
+  };
+}
+
+export function verifyUserAccessToken(token) {
+  const decoded = jwt.verify(token, accessSecret());
+  if (decoded?.typ !== "access" || !decoded?.sub) throw new Error("Not an access token");
+  return decoded;
+}
+
+export function verifyUserRefreshToken(token) {
+  const decoded = jwt.verify(token, refreshSecret());
+  if (decoded?.typ !== "refresh" || !decoded?.sub) throw new Error("Not a refresh token");
+  return decoded;
+}
+
+export function readBearerToken(req) {
+  const auth = String(req.headers?.authorization || "");
+  const match = auth.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : "";
+}
+
+/**
+ * Dev-only escape hatch for local tooling: trust x-user-id / ?userId=.
+ * Requires ALLOW_DEV_USER_HEADER=true and is always off in production.
+ */
+export function isDevUserHeaderAllowed() {
+  return (
+    String(process.env.ALLOW_DEV_USER_HEADER || "").toLowerCase() === "true" &&
+    process.env.NODE_ENV !== "production"
+  );
+}
@@ -0,0 +1,67 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { detectIngredients, dietaryConflicts, normalizeDietaryTokens, ALLERGEN_TOKENS, DIET_TOKENS } from "../src/services/dietary.js";
+
+const conflictsFor = (dish, settings) => dietaryConflicts(detectIngredients(dish), settings);
+
+test("normalizeDietaryTokens maps aliases and drops unknown tokens", () => {
+  assert.deepEqual(normalizeDietaryTokens(["Peanuts", "tree nuts", "milk", "sesame"], ALLERGEN_TOKENS), ["peanut", "tree_nut", "dairy"]);
+  assert.deepEqual(normalizeDietaryTokens(["veg", "Halal"], DIET_TOKENS), ["vegetarian", "halal"]);
+});
+
+test("detectIngredients reports likely vs possible", () => {
+  const satay = detectIngredients({ name: "Chicken satay", description: "with peanut sauce" });
+  assert.equal(satay.peanut.certainty, "likely");
+  assert.equal(satay.meat.certainty, "likely");
+  assert.equal(detectIngredients({ name: "Pesto pasta" }).tree_nut.certainty, "possible");
+});
+
+test("free-from wording suppresses a group", () => {
+  assert.equal(detectIngredients({ name: "Gluten-free pasta" }).gluten, undefined);
+  assert.equal(detectIngredients({ name: "Curry", description: "no dairy" }).dairy, undefined);
+});
+
+test("plant-based stand-ins downgrade meat to possible", () => {
+  assert.equal(detectIngredients({ name: "Tofu 'chicken' nuggets" }).meat.certainty, "possible");
+  assert.equal(detectIngredients({ name: "Jackfruit pulled pork" }).pork.certainty, "possible");
+});
+
+test("dietaryConflicts: allergies and diets", () => {
+  const peanut = conflictsFor({ name: "Peanut satay" }, { allergens: ["peanut"] });
+  assert.equal(peanut.hardConflict, true);
+  assert.equal(peanut.conflicts[0].message, "Contains peanut (allergy)");
+
+  assert.equal(conflictsFor({ name: "Grilled salmon" }, { diets: ["vegetarian"] }).hardConflict, true);
+  assert.equal(conflictsFor({ name: "Lentil curry" }, { diets: ["vegan"] }).hardConflict, false);
+
+  const halal = conflictsFor({ name: "Lamb kebab" }, { diets: ["halal"] });
+  assert.equal(halal.hardConflict, false);
+  assert.equal(halal.conflicts[0].severity, "possible");
+
+  const kosher = conflictsFor({ name: "Beef burger with cheddar" }, { diets: ["kosher"] });
+  assert.ok(kosher.conflicts.some((c) => c.ingredient === "meat_with_dairy" && c.severity === "hard"));
+});
+
+test("soy sauce or a side of vegan slaw doesn't excuse real meat", () => {
+  assert.equal(conflictsFor({ name: "Beef and Broccoli", description: "stir-fried in soy sauce" }, { diets: ["vegetarian"] }).hardConflict, true);
+  assert.equal(conflictsFor({ name: "Chicken Teriyaki", description: "soy glaze" }, { diets: ["vegetarian"] }).hardConflict, true);
+  assert.equal(conflictsFor({ name: "Pork Belly Bao", description: "served with vegan slaw" }, { diets: ["halal"] }).hardConflict, true);
+  assert.equal(conflictsFor({ name: "Chicken and tofu stir fry" }, { diets: ["vegetarian"] }).hardConflict, true);
+  assert.equal(detectIngredients({ name: "Soy chicken" }).meat.certainty, "possible");
+});
+
+test("a dish marked vegan as a whole has no animal groups", () => {
+  assert.deepEqual(detectIngredients({ name: "Vegan Chorizo Tacos" }), {});
+  assert.equal(detectIngredients({ name: "Chorizo Tacos (VG)" }).pork, undefined);
+  assert.equal(detectIngredients({ name: "Mushroom Burger (V)" }).meat.certainty, "possible");
+});
+
+test("plant milks and nut butters are not dairy", () => {
+  assert.equal(conflictsFor({ name: "Thai Green Curry", description: "in coconut milk" }, { diets: ["vegan"] }).hardConflict, false);
+  const smoothie = detectIngredients({ name: "Smoothie", description: "oat milk, almond milk, peanut butter" });
+  assert.equal(smoothie.dairy, undefined);
+  assert.equal(smoothie.peanut.certainty, "likely");
+  assert.equal(smoothie.tree_nut.certainty, "likely");
+  assert.equal(detectIngredients({ name: "Toast with butter" }).dairy.certainty, "likely");
+});
@@ -0,0 +1,110 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { extractMenuFromHtml, parseHtml } from "../src/services/menuHtml.js";
+
+const names = (r) => r.sections.flatMap((s) => s.items.map((i) => i.name));
+
+test("JSON-LD Menu wins over page text", () => {
+  const ld = {
+    "@context": "https://schema.org",
+    "@type": "Menu",
+    hasMenuSection: [
+      {
+        "@type": "MenuSection",
+        name: "Mains",
+        hasMenuItem: [
+          { "@type": "MenuItem", name: "Butter Chicken", offers: { price: "15", priceCurrency: "USD" } },
+          { "@type": "MenuItem", name: "Chana Masala", description: "Chickpeas", offers: { price: "12" } },
+        ],
+      },
+    ],
+  };
+  const r = extractMenuFromHtml(`<html><script type="application/ld+json">${JSON.stringify(ld)}</script><body><li>Other $1</li></body></html>`);
+  assert.equal(r.method, "jsonld");
+  assert.deepEqual(names(r), ["Butter Chicken", "Chana Masala"]);
+  assert.equal(r.sections[0].name, "Mains");
+});
+
+test("JSON-LD hasMenu URL is reported for a follow-up fetch", () => {
+  const r = extractMenuFromHtml(`<script type="application/ld+json">{"@type":"Restaurant","hasMenu":"https://example.com/menu"}</script>`);
+  assert.equal(r.menuUrl, "https://example.com/menu");
+});
+
+test("heuristic pass reads heading + priced lines", () => {
+  const r = extractMenuFromHtml(`
+    <h2>Starters</h2>
+    <p>Samosa ..... $5</p>
+    <p>Pakora $6.50</p>
+    <h2>Mains</h2>
+    <p>Dal Makhani $13</p>`);
+  assert.equal(r.method, "heuristic");
+  assert.deepEqual(r.sections.map((s) => s.name), ["Starters", "Mains"]);
+  assert.equal(r.sections[0].items[1].priceParsed.amount, 6.5);
+});
+
+test("a section wrapper with a heading and a list keeps both", () => {
+  const r = extractMenuFromHtml(`
+    <div class="menu-section"><h2>Mains</h2>
+      <ul><li>Butter Chicken $15</li><li>Lamb Rogan Josh $17</li><li>Chana Masala $12</li></ul>
+    </div>`);
+  assert.deepEqual(r.sections.map((s) => s.name), ["Mains"]);
+  assert.deepEqual(names(r), ["Butter Chicken", "Lamb Rogan Josh", "Chana Masala"]);
+});
+
+test("menu-header / section-header titles are sections, not page chrome", () => {
+  const r = extractMenuFromHtml(`
+    <div class="site-header">Order online $5 off</div>
+    <div class="menu-header"><h2>Starters</h2></div>
+    <ul><li>Samosa $5</li><li>Pakora $6</li><li>Chaat $7</li></ul>
+    <div class="section-header">Desserts</div>
+    <ul><li>Kulfi $4</li></ul>`);
+  assert.deepEqual(r.sections.map((s) => s.name), ["Starters", "Desserts"]);
+  assert.deepEqual(names(r), ["Samosa", "Pakora", "Chaat", "Kulfi"]);
+});
+
+test("dish cards with item-details / product-summary wrappers", () => {
+  const card = (n, d, p) =>
+    `<div class="dish-card"><span class="dish-name">${n}</span><div class="item-details"><p>${d}</p><span class="price">${p}</span></div></div>`;
+  const cards = extractMenuFromHtml(
+    `<h2>Grill</h2>${card("Paneer Tikka", "Grilled cottage cheese", "$14")}${card("Seekh Kebab", "Minced lamb skewers", "$16")}${card("Tandoori Chicken", "Half bird", "$18")}`
+  );
+  assert.deepEqual(cards.sections[0].items.map((i) => [i.name, i.description, i.price]), [
+    ["Paneer Tikka", "Grilled cottage cheese", "$14"],
+    ["Seekh Kebab", "Minced lamb skewers", "$16"],
+    ["Tandoori Chicken", "Half bird", "$18"],
+  ]);
+
+  const product = (n, d, p) =>
+    `<div class="product-summary"><h3 class="product-title">${n}</h3><p class="product-description">${d}</p><div class="product-price">${p}</div></div>`;
+  const products = extractMenuFromHtml(product("Falafel Wrap", "Chickpea fritters", "$9") + product("Hummus Plate", "With pita", "$8") + product("Shawarma", "Chicken", "$11"));
+  assert.deepEqual(names(products), ["Falafel Wrap", "Hummus Plate", "Shawarma"]);
+  assert.equal(products.sections[0].items[0].description, "Chickpea fritters");
+});
+
+test("header / cookie / nav chrome is skipped", () => {
+  const r = extractMenuFromHtml(`
+    <div id="header"><a>Specials $1</a></div>
+    <div class="cookie-banner">We use cookies $2</div>
+    <nav><li>Gift cards $25</li></nav>
+    <ul><li>Dal $9</li><li>Naan $3</li><li>Rice $4</li></ul>`);
+  assert.deepEqual(names(r), ["Dal", "Naan", "Rice"]);
+});
+
+test("raw-text elements close case-insensitively, in linear time", () => {
+  assert.deepEqual(
+    parseHtml("<TITLE>Hi <b></TITLE><Style>a{}</STYLE><p>ok</p>").children.map((c) => c.tag),
+    ["title", "style", "p"]
+  );
+
+  const page = `${"<script>var a = 1;</script><p>x</p>".repeat(20000)}<ul><li>Dal $9</li><li>Naan $3</li><li>Rice $4</li></ul>`;
+  const started = Date.now();
+  assert.equal(extractMenuFromHtml(page).itemCount, 3);
+  assert.ok(Date.now() - started < 5000);
+});
+
+test("no menu -> empty result", () => {
+  const r = extractMenuFromHtml("<html><body><p>Welcome!</p></body></html>");
+  assert.deepEqual(r.sections, []);
+  assert.equal(r.method, null);
+});
@@ -0,0 +1,22 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { mergeMenuSections } from "../src/services/menuMerge.js";
+
+test("sections continue across pages and items dedupe by name", () => {
+  const merged = mergeMenuSections([
+    [{ name: "Starters", items: [{ name: "Samosa", price: "$5" }] }, { name: "Mains", items: [{ name: "Dal", price: null }] }],
+    [{ name: "Menu", items: [{ name: "Paneer tikka", price: "$14" }] }, { name: "Mains (continued)", items: [{ name: "dal", price: "$11" }] }],
+  ]);
+
+  assert.deepEqual(merged.map((s) => s.name), ["Starters", "Mains"]);
+  const mains = merged[1].items;
+  assert.deepEqual(mains.map((i) => i.name), ["Dal", "Paneer tikka"]);
+  assert.equal(mains[0].price, "$11");
+  assert.equal(mains[0].priceParsed.amount, 11);
+});
+
+test("empty sections and one-letter items are dropped", () => {
+  const merged = mergeMenuSections([[{ name: "Drinks", items: [] }, { name: "Sides", items: [{ name: "x" }, { name: " Rice ", description: "  " }] }]]);
+  assert.deepEqual(merged, [{ name: "Sides", items: [{ name: "Rice", description: null, price: null, priceParsed: null }] }]);
+});
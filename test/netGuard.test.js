@@ -0,0 +1,26 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { isPrivateAddress, isPublicHttpUrl, hostIsPublic } from "../src/services/netGuard.js";
+
+test("isPrivateAddress", () => {
+  for (const ip of ["127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0", "::1", "fd00::1", "fe80::1", "::ffff:127.0.0.1", "::ffff:7f00:1"]) {
+    assert.equal(isPrivateAddress(ip), true, ip);
+  }
+  for (const ip of ["8.8.8.8", "93.184.216.34", "2606:4700::1111"]) assert.equal(isPrivateAddress(ip), false, ip);
+  assert.equal(isPrivateAddress("example.com"), true);
+});
+
+test("isPublicHttpUrl", () => {
+  assert.equal(isPublicHttpUrl("https://example.com/menu"), true);
+  assert.equal(isPublicHttpUrl("http://example.com/menu"), true);
+  assert.equal(isPublicHttpUrl("http://example.com/menu", { allowHttp: false }), false);
+  for (const u of ["ftp://example.com", "http://localhost:3000", "http://api.internal/", "http://[::ffff:127.0.0.1]/", "http://169.254.169.254/", "not a url"]) {
+    assert.equal(isPublicHttpUrl(u), false, u);
+  }
+});
+
+test("hostIsPublic checks IP literals without DNS", async () => {
+  assert.equal(await hostIsPublic("http://127.0.0.1:8080/"), false);
+  assert.equal(await hostIsPublic("http://93.184.216.34/"), true);
+});
@@ -0,0 +1,67 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { parsePrice, perItemAmount, splitTrailingPrice, isOnlyPrice } from "../src/services/price.js";
+
+test("parsePrice: fixed prices and currencies", () => {
+  assert.deepEqual(
+    { ...parsePrice("$12"), raw: undefined },
+    { raw: undefined, amount: 12, min: 12, max: 12, currency: "USD", currencyAssumed: false, kind: "fixed" }
+  );
+  assert.equal(parsePrice("12.50", { defaultCurrency: "USD" }).currencyAssumed, true);
+  assert.equal(parsePrice("9,50 €").amount, 9.5);
+  assert.equal(parsePrice("9,50 €").currency, "EUR");
+  assert.equal(parsePrice("₹1,200").amount, 1200);
+  assert.equal(parsePrice("₹1,200").currency, "INR");
+  assert.equal(parsePrice("C$14").currency, "CAD");
+  assert.equal(parsePrice("$10", { defaultCurrency: "CAD" }).currency, "CAD");
+});
+
+test("parsePrice: ranges, market price and unknown", () => {
+  const r = parsePrice("$12-16");
+  assert.equal(r.kind, "range");
+  assert.deepEqual([r.amount, r.min, r.max], [12, 12, 16]);
+  assert.equal(parsePrice("9/14").kind, "range");
+  assert.equal(parsePrice("Market price").kind, "market");
+  assert.equal(parsePrice("MP").amount, null);
+  assert.equal(parsePrice("ask your server").kind, "unknown");
+  assert.equal(parsePrice(""), null);
+  assert.equal(parsePrice(null), null);
+});
+
+test("parsePrice: multi-buy deals", () => {
+  const m = parsePrice("2 for $10");
+  assert.equal(m.kind, "multi");
+  assert.equal(m.quantity, 2);
+  assert.equal(m.amount, 10);
+  assert.equal(parsePrice("3/$12").quantity, 3);
+  assert.equal(parsePrice("1 for $5").kind, "fixed");
+});
+
+test("parsePrice: fractions are quantities; size words can sit inside a range", () => {
+  const wings = parsePrice("1/2 dozen $12");
+  assert.equal(wings.kind, "fixed");
+  assert.equal(wings.amount, 12);
+  assert.equal(parsePrice("3/4 lb burger $11").amount, 11);
+
+  const curry = parsePrice("Half 8 / Full 14");
+  assert.equal(curry.kind, "range");
+  assert.deepEqual([curry.min, curry.max], [8, 14]);
+  assert.equal(parsePrice("Small $8 / Large $14").max, 14);
+});
+
+test("perItemAmount splits multi-buys", () => {
+  assert.equal(perItemAmount(parsePrice("2 for $10")), 5);
+  assert.equal(perItemAmount(parsePrice("3/$10")), 3.33);
+  assert.equal(perItemAmount(parsePrice("$12-16")), 12);
+  assert.equal(perItemAmount(parsePrice("Market price")), null);
+  assert.equal(perItemAmount(null), null);
+});
+
+test("splitTrailingPrice / isOnlyPrice", () => {
+  assert.deepEqual(splitTrailingPrice("Pad Thai ..... $12.95"), { name: "Pad Thai", price: "$12.95" });
+  assert.deepEqual(splitTrailingPrice("Tacos 2 for $10"), { name: "Tacos", price: "2 for $10" });
+  assert.deepEqual(splitTrailingPrice("Soup of the day"), { name: "Soup of the day", price: null });
+  assert.equal(isOnlyPrice("$9"), true);
+  assert.equal(isOnlyPrice("Naan"), false);
+});
@@ -0,0 +1,74 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { DEFAULT_RULESET, validateRuleset, scoreDish } from "../src/services/scoring.js";
+
+test("the built-in ruleset validates", () => {
+  const r = validateRuleset(DEFAULT_RULESET);
+  assert.equal(r.errors, undefined);
+  assert.equal(r.value.version, DEFAULT_RULESET.version);
+});
+
+test("validateRuleset reports per-path errors", () => {
+  const { errors } = validateRuleset({
+    version: "bad version!",
+    baseScore: 140,
+    rules: [
+      { id: "a", points: 5, reason: "x", nutrient: "sodiumMg", op: ">", threshold: 100 },
+      { id: "a", points: 500, reason: "", nutrient: "salt", op: "~", threshold: -1 },
+      { id: "c", points: 1, reason: "y", cue: "nope" },
+    ],
+  });
+  assert.ok(errors.version);
+  assert.ok(errors.baseScore);
+  assert.deepEqual(errors["rules[1].id"], ["duplicate id"]);
+  for (const k of ["points", "reason", "nutrient", "op", "threshold"]) assert.ok(errors[`rules[1].${k}`], k);
+  assert.ok(errors["rules[2].cue"]);
+});
+
+test("validateRuleset accepts target-relative thresholds", () => {
+  const r = validateRuleset({
+    version: "t1",
+    rules: [{ id: "sodium", points: -10, reason: "Salty", nutrient: "sodiumMg", op: ">", threshold: { of: "sodiumMg", share: 0.3, fallback: 720 } }],
+  });
+  assert.equal(r.errors, undefined);
+  assert.equal(r.value.baseScore, DEFAULT_RULESET.baseScore);
+});
+
+test("validateRuleset keeps notes and rejects malformed ones", () => {
+  const rules = [{ id: "sodium", points: -10, reason: "Salty", nutrient: "sodiumMg", op: ">", threshold: 720 }];
+  assert.ok(DEFAULT_RULESET.notes.length > 0);
+  assert.deepEqual(validateRuleset({ version: "n1", rules, notes: ["  Base score is now 75. "] }).value.notes, ["Base score is now 75."]);
+  assert.deepEqual(validateRuleset({ version: "n2", rules }).value.notes, []);
+  assert.ok(validateRuleset({ version: "n3", rules, notes: ["ok", ""] }).errors.notes);
+  assert.ok(validateRuleset({ version: "n4", rules, notes: "text" }).errors.notes);
+});
+
+test("scoreDish explains every rule it fired", () => {
+  const ruleset = validateRuleset({
+    version: "t2",
+    baseScore: 70,
+    verdicts: { fit: 75, moderate: 50 },
+    cues: { fried: ["fried"] },
+    rules: [
+      { id: "fiber", points: 10, reason: "Fiber", nutrient: "fiberG", op: ">=", threshold: 8 },
+      { id: "fried", points: -30, reason: "Fried", cue: "fried", nutrition: "any" },
+    ],
+  }).value;
+
+  const lentils = scoreDish({ name: "Lentil soup", nutrition: { fiberG: 12 }, ruleset });
+  assert.equal(lentils.score, 80);
+  assert.equal(lentils.verdict, "FIT");
+  assert.deepEqual(lentils.contributions.map((c) => c.ruleId), ["fiber"]);
+  assert.equal(lentils.rulesetVersion, "t2");
+
+  const fried = scoreDish({ name: "Fried chicken", nutrition: { fiberG: 1 }, ruleset });
+  assert.equal(fried.score, 40);
+  assert.equal(fried.verdict, "AVOID");
+});
+
+test("a hard dietary conflict forces AVOID whatever the score", () => {
+  const r = scoreDish({ name: "Garden salad with shrimp", nutrition: { fiberG: 9 }, profile: { allergens: ["shellfish"] } });
+  assert.equal(r.hardConflict, true);
+  assert.equal(r.verdict, "AVOID");
+});
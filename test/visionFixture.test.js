@@ -0,0 +1,62 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { createVisionProvider } from "../src/services/visionProvider.js";
+import { runValidated, validateOutput, parseModelJson, MENU_SCHEMA, NUTRITION_SCHEMA, SCAN_SCHEMA } from "../src/services/modelOutput.js";
+import { mergeMenuSections } from "../src/services/menuMerge.js";
+
+const vision = createVisionProvider({ provider: "fixture" });
+
+test("fixture menu extraction validates and merges like an upload", async () => {
+  const pages = [];
+  for (const key of ["k:0", "k:1"]) {
+    const r = await runValidated({
+      provider: vision,
+      task: "menu",
+      schema: MENU_SCHEMA,
+      key,
+      call: () => vision.extractMenu({ images: [], pdfText: "menu", key }),
+    });
+    assert.equal(r.fatal, false);
+    assert.equal(r.errors, null);
+    assert.equal(r.provider, "fixture");
+    pages.push(r.value.sections);
+  }
+
+  const merged = mergeMenuSections(pages);
+  assert.deepEqual(merged.map((s) => s.name), ["Starters", "Mains"]);
+  assert.equal(merged[1].items.length, 3);
+  assert.equal(merged[0].items[0].priceParsed.amount, 8);
+});
+
+test("fixture answers are deterministic", async () => {
+  const image = { buffer: Buffer.from("same image"), mimeType: "image/jpeg" };
+  const a = await vision.analyzeMealImage({ image, key: "x" });
+  const b = await vision.analyzeMealImage({ image, key: "y" });
+  assert.equal(a.text, b.text);
+  assert.equal(validateOutput(JSON.parse(a.text), SCAN_SCHEMA).errors, null);
+
+  const n = await vision.estimateNutrition({ items: ["Crispy calamari", "Garden salad"], key: "n" });
+  const { value, errors } = validateOutput(JSON.parse(n.text), NUTRITION_SCHEMA);
+  assert.equal(errors, null);
+  assert.ok(value.items[0].calories > value.items[1].calories);
+});
+
+test("parseModelJson finds JSON in fenced or chatty replies", () => {
+  assert.deepEqual(parseModelJson('```json\n{"a":1}\n```').value, { a: 1 });
+  assert.deepEqual(parseModelJson('Sure! {"a":{"b":"}"}} hope that helps').value, { a: { b: "}" } });
+  assert.ok(parseModelJson("no json here").error);
+});
+
+test("runValidated keeps the first answer when a repair would drop data", async () => {
+  const provider = { repairJson: async () => ({ text: '{"sections":[]}' }) };
+  const r = await runValidated({
+    provider,
+    task: "menu",
+    schema: MENU_SCHEMA,
+    call: async () => ({ text: '{"sections":[{"name":"Mains","items":[{"name":"Dal","price":11},{"price":"$3"}]}]}' }),
+  });
+  assert.equal(r.repaired, false);
+  assert.equal(r.value.sections[0].items[0].price, "11");
+  assert.ok(r.errors["sections[0].items[1].name"]);
+});